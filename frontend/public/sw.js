@@ -0,0 +1,139 @@
+// ── Service worker: offline app shell, map tiles, commute alerts ──────
+// Caches:
+//   shell    index.html and the hashed /assets/ it loads; pages are
+//            network-first so a deploy shows up on the next online load
+//   tiles    basemap tiles, cache-first; the page asks for the tiles
+//            along every route it shows (see src/offline.js)
+// The page keeps its last result per trip in the results cache itself.
+const SHELL_CACHE   = 'commute-shell-v1';
+const TILE_CACHE    = 'commute-tiles-v1';
+const RESULTS_CACHE = 'commute-results-v1';  // written by src/offline.js
+const KEEP = [SHELL_CACHE, TILE_CACHE, RESULTS_CACHE];
+
+const TILE_HOST = 'basemaps.cartocdn.com';
+const MAX_TILES = 2500;  // ~40 MB of PNG tiles
+
+// The shell: the page plus every asset it references
+async function cacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  const response = await fetch('/', { cache: 'no-cache' });
+  if (!response.ok) return;
+  const html = await response.clone().text();
+  const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(m => m[1]);
+  await cache.put('/', response);
+  await cache.addAll(['/manifest.webmanifest', '/icon.svg', ...assets]);
+}
+
+self.addEventListener('install', (event) => {
+  // A failed precache should not block alerts; pages still fill the cache as they load
+  event.waitUntil(cacheShell().catch(() => {}).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(n => n.startsWith('commute-') && !KEEP.includes(n)).map(n => caches.delete(n))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Oldest tiles go first; cache keys come back in insertion order
+async function trimTiles(cache) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_TILES)).map(k => cache.delete(k)));
+}
+
+// Tiles are fetched with CORS (Carto allows it) so the cache stores
+// readable responses rather than padded opaque ones
+async function fetchTile(url, cache) {
+  const response = await fetch(url, { mode: 'cors', credentials: 'omit' });
+  if (response.ok) await cache.put(url, response.clone());
+  return response;
+}
+
+async function tileFirst(request) {
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(request.url);
+  if (cached) return cached;
+  try {
+    return await fetchTile(request.url, cache);
+  } catch {
+    return fetch(request);  // let the <img> fail as it would without us
+  }
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request.mode === 'navigate' ? '/' : request, response.clone());
+    return response;
+  } catch (err) {
+    // Any page of the single-page app is the cached shell
+    const cached = await cache.match(request.mode === 'navigate' ? '/' : request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.hostname.endsWith(TILE_HOST)) {
+    event.respondWith(tileFirst(request));
+  } else if (url.origin === self.location.origin) {
+    if (request.mode === 'navigate') event.respondWith(networkFirst(request));
+    else if (url.pathname.startsWith('/assets/')) event.respondWith(cacheFirst(request));  // hashed, never change
+  }
+  // Everything else (the backend API) goes straight to the network
+});
+
+// { type: 'cache-tiles', urls } from the page: fetch what is missing
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'cache-tiles') return;
+  event.waitUntil((async () => {
+    const cache = await caches.open(TILE_CACHE);
+    for (const url of event.data.urls) {
+      if (await cache.match(url)) continue;
+      await fetchTile(url, cache).catch(() => {});
+    }
+    await trimTiles(cache);
+  })());
+});
+
+// ── Commute alerts ────────────────────────────────────────────────────
+// The backend sends { title, body, commuteId, departAt, best, reasons }.
+
+self.addEventListener('push', (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Commute alert', {
+      body: data.body || 'Air quality on your commute has changed.',
+      icon: '/icon.svg',
+      tag: `commute-${data.commuteId ?? 'alert'}`,
+      data,
+    })
+  );
+});
+
+// Focus an open tab, or open the planner
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((tabs) => {
+      const tab = tabs.find(t => new URL(t.url).origin === self.location.origin);
+      return tab ? tab.focus() : self.clients.openWindow('/');
+    })
+  );
+});
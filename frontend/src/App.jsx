@@ -2,6 +2,17 @@ import React, { useState, useEffect, useRef, useCallback } from 'react';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import './App.css';
+import { apiFetch, apiStream, apiDownload, loadToken, storeToken, loadHealth, loadQueuedRefresh, storeQueuedRefresh } from './api';
+import { TRAVEL_MODES, HEALTH_OPTIONS, PM_LABEL, pmLegend, TILE_URL, TILE_SUBDOMAINS } from './constants';
+import { tripKey, saveResult, loadResult, isNetworkError, cacheRouteTiles } from './offline';
+import SavedPanel from './components/SavedPanel';
+import ExposureDashboard from './components/ExposureDashboard';
+import PlaceInput from './components/PlaceInput';
+import NavigationPanel from './components/NavigationPanel';
+import HealthProfile from './components/HealthProfile';
+import AirLayer from './components/AirLayer';
+import RouteCard from './components/RouteCard';
+import { OFF_ROUTE_M, HOT_PM25, legAt, locateOnRoute, nextStep, pm25At, hotAhead, summarizeTrack } from './navigation';
 
 // ── Custom map markers ────────────────────────────────────────────────
 function makePin(color, label) {
@@ -30,34 +41,109 @@ const ROUTE_CONFIG = [
   { key: 'fastest',          label: 'Fastest',    icon: '⚡', color: '#3B7FF5', bg: 'fastest'    },
   { key: 'healthiest',       label: 'Healthiest', icon: '🌿', color: '#0EA874', bg: 'healthiest' },
   { key: 'secondHealthiest', label: 'Alt Route',  icon: '🍃', color: '#E8930A', bg: 'alt'        },
+  { key: 'transit',          label: 'Transit',    icon: '🚇', color: '#7C3AED', bg: 'transit'    },
 ];
 
-const PM_LABEL = (v) => {
-  if (v <= 12)  return { text: 'Good',      cls: 'good'      };
-  if (v <= 35)  return { text: 'Moderate',  cls: 'moderate'  };
-  if (v <= 55)  return { text: 'Sensitive', cls: 'sensitive' };
-  return              { text: 'Hazardous', cls: 'hazardous' };
-};
+const CONDITION_LABELS = Object.fromEntries(HEALTH_OPTIONS.condition.map(o => [o.key, o.label]));
+const AGE_LABELS = Object.fromEntries(HEALTH_OPTIONS.ageGroup.map(o => [o.key, o.label]));
+
+// Live navigation
+const TRACK_INTERVAL_MS   = 5000;   // one recorded fix per 5 s is plenty for the dose
+const OFF_ROUTE_FIXES     = 2;      // consecutive off-route fixes before rerouting
+const REROUTE_COOLDOWN_MS = 30e3;   // POST /api/routes is rate limited
+const ARRIVAL_KM          = 0.03;
+
+// ── Route heatmap ─────────────────────────────────────────────────────
+// Splits a LineString into runs of edges that fall between the same pair
+// of samples, so each sampled stretch can be drawn in its own PM2.5 colour.
+function segmentBySamples(coords, samples) {
+  const segments = [];
+  let travelledKm = 0;
+  let s = 0;
+  let current = null;
+
+  for (let i = 1; i < coords.length; i++) {
+    const a = L.latLng(coords[i - 1][1], coords[i - 1][0]);
+    const b = L.latLng(coords[i][1], coords[i][0]);
+    const edgeKm = a.distanceTo(b) / 1000;
+    const midKm = travelledKm + edgeKm / 2;
+    travelledKm += edgeKm;
+
+    while (s + 1 < samples.length && samples[s + 1].distanceKm <= midKm) s++;
+    if (!current || current.index !== s) {
+      current = { index: s, sample: samples[s], latlngs: [a] };
+      segments.push(current);
+    }
+    current.latlngs.push(b);
+  }
+
+  return segments.map(seg => ({
+    ...seg,
+    toKm: samples[seg.index + 1]?.distanceKm ?? travelledKm,
+  }));
+}
+
+const DEPART_WINDOWS = [1, 2, 3, 6]; // hours
+
+const MAX_WAYPOINTS = 4; // the backend allows 6 stops in all
 
-const MAPBOX_TOKEN = import.meta.env.VITE_MAPBOX_TOKEN;
+// How much extra time a cleaner detour may cost; 0 = don't search
+const DETOUR_LIMITS = [0, 5, 10, 20]; // minutes
+
+// "YYYY-MM-DDTHH:mm" in local time, as <input type="datetime-local"> expects
+const toLocalInput = (date) => {
+  const d = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return d.toISOString().slice(0, 16);
+};
 
 // ── App ───────────────────────────────────────────────────────────────
 export default function App() {
   const [start, setStart]       = useState('');
   const [end, setEnd]           = useState('');
+  const [waypoints, setWaypoints] = useState([]);         // stops between start and end
+  const [optimizeOrder, setOptimizeOrder] = useState(false);
+  const [reordered, setReordered] = useState(false);      // backend changed the stop order
+  const [maxDetourMins, setMaxDetourMins] = useState(10);
+  const [picked, setPicked]     = useState({});         // suggestion label → [lon, lat]
+  const [mode, setMode]         = useState('driving');
+  const [planAhead, setPlanAhead] = useState(false);
+  const [departAt, setDepartAt] = useState(() => toLocalInput(new Date()));
+  const [windowHours, setWindowHours] = useState(2);
   const [routes, setRoutes]     = useState(null);
   const [loading, setLoading]   = useState(false);
   const [error, setError]       = useState('');
   const [activeKey, setActiveKey] = useState('healthiest');
   const [progress, setProgress] = useState(0);
+  const [progressLabel, setProgressLabel] = useState('');  // current analysis stage
   const [locating, setLocating] = useState(false); // GPS button state
+  const [token, setToken]       = useState(loadToken);
+  const [commuteId, setCommuteId] = useState(null);  // saved commute being analysed
+  const [loggedKey, setLoggedKey] = useState(null);  // route recorded as taken
+  const [showDashboard, setShowDashboard] = useState(false);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [shared, setShared]     = useState(null);  // shared snapshot on screen: { id, createdAt }
+  const [shareNote, setShareNote] = useState('');
+  const [nav, setNav]           = useState(null);  // live trip card state
+  const [health, setHealth]     = useState(loadHealth);  // { condition, ageGroup, activity }
+  const [online, setOnline]     = useState(() => navigator.onLine);
+  const [stale, setStale]       = useState(null);  // offline copy on screen: { savedAt }
+  const [queued, setQueued]     = useState(loadQueuedRefresh);  // trip to re-run once online
 
   const mapRef        = useRef(null);
   const routeLayerRef = useRef(null);
-  const startPinRef   = useRef(null);
-  const endPinRef     = useRef(null);
+  const stopPinsRef   = useRef([]);
+  const hotspotsRef   = useRef(null);
   const userDotRef    = useRef(null);
-  const progressTimer = useRef(null);
+  const navRef        = useRef(null);   // live trip: route, stops, GPS track, watch id
+  const linkOpenedRef = useRef(false);  // the page's share link has been handled
+  const fetchRoutesRef = useRef(null);  // latest fetchRoutes, for effects that run it
+
+  const placeUserDot = (lat, lng) => {
+    const map = mapRef.current;
+    if (!map) return;
+    if (userDotRef.current) userDotRef.current.setLatLng([lat, lng]);
+    else userDotRef.current = L.marker([lat, lng], { icon: makeUserDot(), zIndexOffset: 1000 }).addTo(map);
+  };
 
   // ── Initialise Leaflet ────────────────────────────────────────────
   useEffect(() => {
@@ -66,7 +152,8 @@ export default function App() {
     mapRef.current = L.map('map-container', { zoomControl: false })
       .setView([25.2023, 75.8333], 13);
 
-    L.tileLayer('https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png', {
+    L.tileLayer(TILE_URL, {
+      subdomains: TILE_SUBDOMAINS,
       attribution: '© OpenStreetMap © CARTO',
       maxZoom: 19,
     }).addTo(mapRef.current);
@@ -78,17 +165,13 @@ export default function App() {
       navigator.geolocation.getCurrentPosition(({ coords }) => {
         const { latitude: lat, longitude: lng } = coords;
         mapRef.current.flyTo([lat, lng], 14, { duration: 1.4 });
-        if (userDotRef.current) mapRef.current.removeLayer(userDotRef.current);
-        userDotRef.current = L.marker([lat, lng], {
-          icon: makeUserDot(),
-          zIndexOffset: 1000,
-        }).addTo(mapRef.current);
+        placeUserDot(lat, lng);
       }, () => {});
     }
   }, []);
 
   // ── Use My Location ───────────────────────────────────────────────
-  // Gets GPS coords, reverse-geocodes to a readable address via Mapbox,
+  // Gets GPS coords, reverse-geocodes to a readable address via the backend,
   // then fills the start input and flies the map there.
   const useMyLocation = () => {
     if (!navigator.geolocation) {
@@ -105,20 +188,13 @@ export default function App() {
         // Fly map to user
         mapRef.current?.flyTo([lat, lng], 15, { duration: 1.2 });
 
-        // Update user dot
-        if (userDotRef.current) mapRef.current?.removeLayer(userDotRef.current);
-        userDotRef.current = L.marker([lat, lng], {
-          icon: makeUserDot(),
-          zIndexOffset: 1000,
-        }).addTo(mapRef.current);
+        placeUserDot(lat, lng);
 
         // Reverse geocode to get a human-readable address
         try {
-          const res = await fetch(
-            `https://api.mapbox.com/geocoding/v5/mapbox.places/${lng},${lat}.json?access_token=${MAPBOX_TOKEN}&limit=1&types=address,neighborhood,locality,place`
-          );
-          const data = await res.json();
-          const placeName = data.features?.[0]?.place_name || `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+          const { label: placeName } = await apiFetch(`/api/geocode/reverse?lon=${lng}&lat=${lat}`);
+          // Route from the GPS fix itself, not wherever the address geocodes to
+          setPicked(p => ({ ...p, [placeName]: [lng, lat] }));
           setStart(placeName);
         } catch {
           // Fallback to raw coords if reverse geocoding fails
@@ -137,18 +213,14 @@ export default function App() {
   };
 
   // ── Progress bar ──────────────────────────────────────────────────
+  // Driven by the analysis stream's progress events (fetchRoutes)
   const startProgress = () => {
-    setProgress(0);
-    let p = 0;
-    progressTimer.current = setInterval(() => {
-      p += Math.random() * 8;
-      if (p >= 90) { clearInterval(progressTimer.current); p = 90; }
-      setProgress(p);
-    }, 400);
+    setProgress(1);
+    setProgressLabel('');
   };
   const finishProgress = () => {
-    clearInterval(progressTimer.current);
     setProgress(100);
+    setProgressLabel('');
     setTimeout(() => setProgress(0), 600);
   };
 
@@ -156,83 +228,546 @@ export default function App() {
   const clearPins = useCallback(() => {
     const map = mapRef.current;
     if (!map) return;
-    if (startPinRef.current) { map.removeLayer(startPinRef.current); startPinRef.current = null; }
-    if (endPinRef.current)   { map.removeLayer(endPinRef.current);   endPinRef.current   = null; }
+    stopPinsRef.current.forEach(pin => map.removeLayer(pin));
+    stopPinsRef.current = [];
   }, []);
 
-  const getEndpoints = (geometry) => {
-    try {
-      const coords = geometry.type === 'LineString'
-        ? geometry.coordinates
-        : geometry.features.flatMap(f => f.geometry.coordinates);
-      return [
-        [coords[0][1], coords[0][0]],
-        [coords[coords.length - 1][1], coords[coords.length - 1][0]],
-      ];
-    } catch { return [null, null]; }
-  };
+  // PM2.5 hotspots the detour search tried to route around
+  const drawHotspots = useCallback((hotspots) => {
+    const map = mapRef.current;
+    if (!map) return;
+    if (hotspotsRef.current) { map.removeLayer(hotspotsRef.current); hotspotsRef.current = null; }
+    if (!hotspots?.length) return;
+    hotspotsRef.current = L.layerGroup(hotspots.map(({ coordinates: [lng, lat], peakPm25 }) =>
+      L.circleMarker([lat, lng], {
+        radius: 11, color: '#E5433A', weight: 1.5, dashArray: '3 3', fillColor: '#E5433A', fillOpacity: 0.12,
+      }).bindTooltip(`Hotspot · PM2.5 ${peakPm25}`)
+    )).addTo(map);
+  }, []);
+
+  // One pin per stop: green start, amber numbered stops, red destination
+  const pinStops = useCallback((stops) => {
+    const map = mapRef.current;
+    if (!map) return;
+    clearPins();
+    stopPinsRef.current = stops.map(({ query, coordinates: [lng, lat] }, i) => {
+      const last = i === stops.length - 1;
+      const pin = i === 0 ? makePin('#0EA874', query || 'Start')
+        : last ? makePin('#EF4444', query || 'End')
+        : makePin('#E8930A', `Stop ${i}`);
+      return L.marker([lat, lng], { icon: pin, title: query }).addTo(map);
+    });
+  }, [clearPins]);
 
-  const drawRoute = useCallback((geometry, color, startLabel, endLabel) => {
+  const drawRoute = useCallback((route, color, stops, bands) => {
     const map = mapRef.current;
     if (!map) return;
 
+    const { geometry, samples } = route;
     if (routeLayerRef.current) map.removeLayer(routeLayerRef.current);
-    routeLayerRef.current = L.geoJSON(geometry, {
-      style: { color, weight: 5, opacity: 0.92, lineCap: 'round', lineJoin: 'round' },
-    }).addTo(map);
+
+    if (geometry.type === 'LineString' && samples?.length) {
+      // Route-coloured casing underneath, PM2.5-coloured segments on top
+      const casing = L.geoJSON(geometry, {
+        style: { color, weight: 9, opacity: 0.35, lineCap: 'round', lineJoin: 'round' },
+      });
+      const segments = segmentBySamples(geometry.coordinates, samples).map(({ sample, latlngs, toKm }) => {
+        const pm = PM_LABEL(sample.pm25, bands);
+        return L.polyline(latlngs, {
+          color: pm.color, weight: 5, opacity: 0.95, lineCap: 'round', lineJoin: 'round',
+        }).bindPopup(
+          `<div class="seg-popup">
+            <b>${Math.round(sample.pm25)}</b> µg/m³ PM2.5 · <em class="seg-popup__band seg-popup__band--${pm.cls}">${pm.text}</em>
+            <small>km ${sample.distanceKm.toFixed(1)} – ${toKm.toFixed(1)}</small>
+          </div>`
+        );
+      });
+      routeLayerRef.current = L.featureGroup([casing, ...segments]).addTo(map);
+    } else {
+      routeLayerRef.current = L.geoJSON(geometry, {
+        style: { color, weight: 5, opacity: 0.92, lineCap: 'round', lineJoin: 'round' },
+      }).addTo(map);
+    }
     map.fitBounds(routeLayerRef.current.getBounds(), { padding: [60, 80] });
 
-    clearPins();
-    const [s, e] = getEndpoints(geometry);
-    if (s) startPinRef.current = L.marker(s, { icon: makePin('#0EA874', startLabel || 'Start') }).addTo(map);
-    if (e) endPinRef.current   = L.marker(e, { icon: makePin('#EF4444', endLabel   || 'End')   }).addTo(map);
-  }, [clearPins]);
+    pinStops(stops);
+  }, [pinStops]);
+
+  // ── Address suggestions ───────────────────────────────────────────
+  // Bias suggestions to whatever the map is showing
+  const mapCenter = () => {
+    const c = mapRef.current?.getCenter();
+    return c ? [c.lng, c.lat] : null;
+  };
+
+  const choosePlace = (setter) => (suggestion) => {
+    setPicked(p => ({ ...p, [suggestion.label]: suggestion.coordinates }));
+    setter(suggestion.label);
+  };
+
+  // Picked text goes with its coordinates; anything typed is geocoded server-side
+  const toStop = (text) => {
+    const query = text.trim();
+    return picked[query] ? { query, coordinates: picked[query] } : query;
+  };
+
+  const handleToken = useCallback((t) => {
+    storeToken(t);
+    setToken(t);
+  }, []);
 
   // ── Fetch routes ──────────────────────────────────────────────────
-  const fetchRoutes = async () => {
-    if (!start.trim() || !end.trim()) { setError('Enter both start and destination.'); return; }
+  const departureParams = () => {
+    if (!planAhead) return {};
+    const from = new Date(departAt);
+    return {
+      departAt: from.toISOString(),
+      departBy: new Date(from.getTime() + windowHours * 3600e3).toISOString(),
+    };
+  };
+
+  // Overrides let a saved commute or a shared link run before its state
+  // updates land; routeKey picks the card shown once the result is in
+  const fetchRoutes = async (overrides = {}) => {
+    const { commuteId: savedId = null, routeKey = 'healthiest', ...tripOverrides } = overrides;
+    const trip = { start, end, mode, waypoints, ...tripOverrides };
+    if (!trip.start.trim() || !trip.end.trim()) { setError('Enter both start and destination.'); return; }
+    const stops = trip.waypoints.map(w => w.trim()).filter(Boolean);
+    const refresh = { start: trip.start, end: trip.end, mode: trip.mode, waypoints: stops, commuteId: savedId };
+    const key = tripKey(refresh);
     setLoading(true);
     setError('');
     setRoutes(null);
+    setStale(null);
+    setCommuteId(savedId);
+    setLoggedKey(null);
+    setReordered(false);
+    setShareNote('');
     clearPins();
+    drawHotspots(null);
     if (routeLayerRef.current && mapRef.current) {
       mapRef.current.removeLayer(routeLayerRef.current);
       routeLayerRef.current = null;
     }
+    // Live results replace the shared snapshot
+    if (shared) {
+      setShared(null);
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+
+    // No connection: the last result for this trip, marked stale, and a refresh for later
+    const showOffline = async () => {
+      storeQueuedRefresh(refresh);
+      setQueued(refresh);
+      const saved = await loadResult(key);
+      if (!saved) {
+        setError('You are offline and this trip has not been analysed on this device yet. It will run once you are back online.');
+        return;
+      }
+      setRoutes(saved.result);
+      setStale({ savedAt: saved.savedAt });
+      drawRoute(saved.result.healthiest, '#0EA874', saved.result.stops, saved.result.health?.bands);
+    };
+    if (!navigator.onLine) {
+      await showOffline();
+      setLoading(false);
+      return;
+    }
     startProgress();
+    setActiveKey('healthiest');
+
+    // Cards appear as the stream scores each route; the final result replaces them
+    let placed = null;  // { stops, health } from the trip event
+    const onEvent = (type, data) => {
+      if (type === 'progress') {
+        setProgress(p => Math.max(p, data.percent));
+        setProgressLabel(`${data.label}…`);
+      } else if (type === 'option') {
+        setProgressLabel(`${data.name}: ${data.samples} samples · ${data.pm25} µg/m³`);
+      } else if (type === 'trip') {
+        placed = { stops: data.stops, health: data.health };
+        setRoutes(placed);
+      } else if (type === 'route') {
+        setRoutes(prev => ({ ...prev, [data.key]: data.route }));
+        if (data.key === 'healthiest') drawRoute(data.route, '#0EA874', placed.stops, placed.health.bands);
+      }
+    };
 
     try {
-      const res  = await fetch('http://localhost:3000/api/routes', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ start, end }),
+      const data = await apiStream('/api/routes/stream', {
+        onEvent,
+        body: {
+          start: toStop(trip.start),
+          end: toStop(trip.end),
+          mode: trip.mode,
+          waypoints: stops.map(toStop),
+          optimizeOrder: optimizeOrder && stops.length > 1,
+          maxExtraMinutes: maxDetourMins,
+          health,
+          ...departureParams(),
+        },
       });
-      const data = await res.json();
-      if (data.error) throw new Error(data.error);
       finishProgress();
       setRoutes(data);
-      setActiveKey('healthiest');
-      drawRoute(data.healthiest.geometry, '#0EA874', start, end);
+      const shown = ROUTE_CONFIG.find(c => c.key === routeKey && data[c.key])
+        || ROUTE_CONFIG.find(c => c.key === 'healthiest');
+      setActiveKey(shown.key);
+      // Show the stops in the order the backend chose
+      if (data.order) {
+        setWaypoints(data.stops.slice(1, -1).map(s => s.query));
+        setReordered(data.order.some((stop, i) => stop !== i));
+      }
+      drawRoute(data[shown.key], shown.color, data.stops, data.health.bands);
+      drawHotspots(data.detours?.hotspots);
+      // Kept for offline use: this result, and the map along its routes
+      storeQueuedRefresh(null);
+      setQueued(null);
+      saveResult(key, data);
+      cacheRouteTiles([data.fastest, data.healthiest, data.secondHealthiest, data.transit]);
     } catch (err) {
       finishProgress();
-      setError(err.message);
+      // Drop any cards that streamed in before the failure
+      setRoutes(null);
+      if (routeLayerRef.current && mapRef.current) {
+        mapRef.current.removeLayer(routeLayerRef.current);
+        routeLayerRef.current = null;
+      }
+      if (isNetworkError(err)) await showOffline();
+      else setError(err.message);
     } finally {
       setLoading(false);
     }
   };
 
+  useEffect(() => {
+    fetchRoutesRef.current = fetchRoutes;
+  });
+
+  // ── Open a shared link (?from=…&to=…&mode=…&route=…[&share=<id>]) ─
+  // The link names the trip itself, so it always works: with a stored
+  // snapshot (share) the results are shown as they were analysed and
+  // "Re-run" fetches live air quality; without one, or once it has
+  // expired, the trip is analysed afresh.
+  useEffect(() => {
+    if (linkOpenedRef.current) return;
+    linkOpenedRef.current = true;
+
+    const params = new URLSearchParams(window.location.search);
+    const id = params.get('share');
+    const linked = ROUTE_CONFIG.some(c => c.key === params.get('route')) ? params.get('route') : null;
+    const trip = params.get('from') && params.get('to') && {
+      start: params.get('from'),
+      end: params.get('to'),
+      mode: TRAVEL_MODES.some(m => m.key === params.get('mode')) ? params.get('mode') : 'driving',
+      waypoints: params.getAll('via'),
+    };
+    if (!id && !trip) return;
+
+    const rerun = () => {
+      window.history.replaceState(null, '', window.location.pathname);
+      setStart(trip.start);
+      setEnd(trip.end);
+      setMode(trip.mode);
+      setWaypoints(trip.waypoints);
+      fetchRoutesRef.current({ ...trip, routeKey: linked || 'healthiest' });
+    };
+    if (!id) {
+      rerun();
+      return;
+    }
+
+    apiFetch(`/api/share/${encodeURIComponent(id)}`)
+      .then(({ route, createdAt, result }) => {
+        const key = linked || route;
+        const cfg = ROUTE_CONFIG.find(c => c.key === key);
+        setStart(result.stops[0].query);
+        setEnd(result.stops[result.stops.length - 1].query);
+        setWaypoints(result.stops.slice(1, -1).map(s => s.query));
+        setPicked(Object.fromEntries(result.stops.map(s => [s.query, s.coordinates])));
+        setMode(result.fastest.mode);
+        setRoutes(result);
+        setActiveKey(key);
+        setShared({ id, createdAt });
+        drawRoute(result[key], cfg.color, result.stops, result.health?.bands);
+        drawHotspots(result.detours?.hotspots);
+      })
+      .catch(err => (trip ? rerun() : setError(err.message)));
+  }, [drawRoute, drawHotspots]);
+
+  // ── Connectivity ──────────────────────────────────────────────────
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  // The refresh queued while offline runs as soon as the network is back.
+  // Read from storage rather than state: a refresh queued while online
+  // (server unreachable) must wait for the next reconnect, not loop.
+  useEffect(() => {
+    const refresh = online && loadQueuedRefresh();
+    if (!refresh) return;
+    setStart(refresh.start);
+    setEnd(refresh.end);
+    setMode(refresh.mode);
+    setWaypoints(refresh.waypoints);
+    fetchRoutesRef.current(refresh);
+  }, [online]);
+
+  const handlePickPlace = (query) => {
+    if (!start.trim()) setStart(query);
+    else setEnd(query);
+  };
+
+  const handleRunCommute = (commute) => {
+    setStart(commute.start);
+    setEnd(commute.end);
+    setMode(commute.mode);
+    setWaypoints([]);
+    fetchRoutes({ start: commute.start, end: commute.end, mode: commute.mode, waypoints: [], commuteId: commute.id });
+  };
+
+  // Records the chosen route, with the fastest one for comparison
+  const pickMetrics = (r) => ({
+    name: r.name, durationMins: r.durationMins, distanceKm: r.distanceKm,
+    healthScore: r.healthScore, metrics: r.metrics,
+  });
+  const logTrip = async (key) => {
+    try {
+      await apiFetch('/api/history', {
+        method: 'POST',
+        token,
+        body: {
+          start, end, mode: routes[key].mode, commuteId,
+          resultId: routes.resultId, routeKey: key,
+          route: pickMetrics(routes[key]),
+          fastest: pickMetrics(routes.fastest),
+        },
+      });
+      setLoggedKey(key);
+      setHistoryVersion(v => v + 1);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // ── Share & export ────────────────────────────────────────────────
+  // The link names the stops, mode and route, so it can always re-run
+  // the trip. A snapshot id is added when the server can store these
+  // exact results (a shared snapshot is re-shared by its own id).
+  const shareRoute = async (key) => {
+    const { stops } = routes;
+    const params = new URLSearchParams({
+      from: stops[0].query,
+      to: stops[stops.length - 1].query,
+      mode: routes.fastest.mode,
+      route: key,
+    });
+    stops.slice(1, -1).forEach(s => params.append('via', s.query));
+
+    const id = shared?.id || await apiFetch('/api/share', { method: 'POST', token, body: { resultId: routes.resultId, route: key } })
+      .then(({ id }) => id, () => null);
+    if (id) params.set('share', id);
+
+    const link = `${window.location.origin}${window.location.pathname}?${params}`;
+    try {
+      await navigator.clipboard.writeText(link);
+      setShareNote('✓ Link copied');
+    } catch {
+      setShareNote(link);
+    }
+  };
+
+  const exportRoute = (key, format) => {
+    const path = shared
+      ? `/api/share/${shared.id}/export?route=${key}&format=${format}`
+      : `/api/routes/${routes.resultId}/export?route=${key}&format=${format}`;
+    apiDownload(path).catch(err => setError(err.message));
+  };
+
+  // ── Live navigation ───────────────────────────────────────────────
+  // Follows the GPS along the chosen route: next turn, PM2.5 warnings,
+  // a new route when the traveller strays, and at the end the exposure
+  // measured from the recorded track. The watch callbacks only read
+  // navRef, so they stay correct across renders.
+  useEffect(() => () => {
+    if (navRef.current) navigator.geolocation.clearWatch(navRef.current.watchId);
+  }, []);
+
+  const startTrip = (key) => {
+    if (!navigator.geolocation) { setError('Geolocation is not supported by your browser.'); return; }
+    const cfg = ROUTE_CONFIG.find(c => c.key === key);
+    const route = routes[key];
+    navRef.current = {
+      key, color: cfg.color, route, resultId: routes.resultId, resultKey: key, stops: routes.stops, health, bands: routes.health?.bands,
+      track: [], offRouteFixes: 0, lastRerouteAt: 0, warnedKm: null, rerouting: false,
+    };
+    navRef.current.watchId = navigator.geolocation.watchPosition(handleFix, handleFixError, {
+      enableHighAccuracy: true, maximumAge: 5000, timeout: 20000,
+    });
+    setNav({ key, name: route.name, mode: route.mode, status: null, rerouting: false, error: '', summary: null });
+    setActiveKey(key);
+    drawRoute(route, cfg.color, routes.stops, routes.health?.bands);
+  };
+
+  const handleFix = ({ coords, timestamp }) => {
+    const trip = navRef.current;
+    if (!trip) return;
+    const position = [coords.longitude, coords.latitude];
+    placeUserDot(coords.latitude, coords.longitude);
+    mapRef.current?.panTo([coords.latitude, coords.longitude]);
+
+    const { alongKm, offRouteM, lengthKm } = locateOnRoute(trip.route.geometry.coordinates, position);
+    const offRoute = offRouteM > Math.max(OFF_ROUTE_M, coords.accuracy || 0);
+    // Off the line, the nearest sample is still the best reading we have
+    const pm25 = pm25At(trip.route.samples, alongKm);
+
+    const last = trip.track[trip.track.length - 1];
+    if (!last || timestamp - last.at >= TRACK_INTERVAL_MS) {
+      const point = { coordinates: position, at: timestamp, pm25: pm25 ?? last?.pm25 ?? 0 };
+      // Transit legs breathe differently (walking vs. inside a metro coach)
+      if (trip.route.mode === 'transit') point.mode = legAt(trip.route.legs, alongKm).profile;
+      trip.track.push(point);
+    }
+
+    const hotPm25 = trip.bands?.[2] ?? HOT_PM25;
+    const hot = hotAhead(trip.route.samples, alongKm, hotPm25);
+    if (hot && hot.distanceKm !== trip.warnedKm) {
+      trip.warnedKm = hot.distanceKm;
+      navigator.vibrate?.(200);
+    }
+
+    setNav(n => n && {
+      ...n,
+      status: { alongKm, lengthKm, pm25, offRoute, hot, inHot: pm25 >= hotPm25, step: nextStep(trip.route.steps, alongKm) },
+    });
+
+    trip.offRouteFixes = offRoute ? trip.offRouteFixes + 1 : 0;
+    // Transit journeys follow a timetable, so they are never rerouted
+    const canReroute = trip.route.mode !== 'transit' && !trip.rerouting && Date.now() - trip.lastRerouteAt > REROUTE_COOLDOWN_MS;
+    if (trip.offRouteFixes >= OFF_ROUTE_FIXES && canReroute) {
+      rerouteTrip(position, alongKm);
+    } else if (!offRoute && lengthKm - alongKm < ARRIVAL_KM) {
+      endTrip(true);
+    }
+  };
+
+  const handleFixError = (err) => {
+    if (err.code === 1) {
+      setError('Location access denied. Please allow location in your browser.');
+      endTrip(false);
+    } else {
+      setNav(n => n && { ...n, error: 'Weak GPS signal…' });
+    }
+  };
+
+  // Routes from here through the stops not yet reached. Detours are
+  // skipped so the new route comes back quickly.
+  const rerouteTrip = async (position, alongKm) => {
+    const trip = navRef.current;
+    trip.rerouting = true;
+    trip.lastRerouteAt = Date.now();
+    setNav(n => n && { ...n, rerouting: true, error: '' });
+
+    let legEndKm = 0;
+    const legEnds = trip.route.legs.map(leg => (legEndKm += Number(leg.distanceKm)));
+    const remaining = trip.stops.slice(1).filter((_, i) => i === legEnds.length - 1 || legEnds[i] > alongKm);
+
+    try {
+      const data = await apiFetch('/api/routes', {
+        method: 'POST',
+        body: {
+          start: { query: 'Your location', coordinates: position },
+          end: remaining[remaining.length - 1],
+          waypoints: remaining.slice(0, -1),
+          mode: trip.route.mode,
+          maxExtraMinutes: 0,
+          health: trip.health,
+        },
+      });
+      if (navRef.current !== trip) return; // trip ended meanwhile
+      // The new result may have fewer alternatives than the one the trip started from
+      trip.resultKey = [trip.key, 'healthiest', 'fastest'].find(k => data[k]);
+      trip.route = data[trip.resultKey];
+      trip.resultId = data.resultId;
+      trip.stops = data.stops;
+      trip.offRouteFixes = 0;
+      drawRoute(trip.route, trip.color, data.stops, data.health.bands);
+    } catch (err) {
+      setNav(n => n && { ...n, error: `Could not reroute: ${err.message}` });
+    } finally {
+      trip.rerouting = false;
+      setNav(n => n && { ...n, rerouting: false });
+    }
+  };
+
+  const endTrip = async (arrived = false) => {
+    const trip = navRef.current;
+    if (!trip) return;
+    navigator.geolocation.clearWatch(trip.watchId);
+    navRef.current = null;
+
+    const { track } = trip;
+    const summary = { arrived, recorded: false, ...summarizeTrack(track) };
+    if (token && track.length >= 2) {
+      try {
+        const saved = await apiFetch('/api/history', {
+          method: 'POST',
+          token,
+          body: {
+            start, end, mode: trip.route.mode, commuteId,
+            resultId: trip.resultId, routeKey: trip.resultKey,
+            route: pickMetrics(trip.route),
+            fastest: pickMetrics(routes.fastest),
+            track: track.map(p => ({ ...p, at: new Date(p.at).toISOString() })),
+          },
+        });
+        Object.assign(summary, {
+          recorded: true,
+          durationMins: Math.round(saved.durationMins),
+          distanceKm: saved.distanceKm.toFixed(1),
+          pm25: Math.round(saved.pm25),
+          doseUg: saved.doseUg.toFixed(1),
+        });
+        setLoggedKey(trip.key);
+        setHistoryVersion(v => v + 1);
+      } catch (err) {
+        summary.error = `Could not save the trip: ${err.message}`;
+      }
+    } else if (token) {
+      summary.error = 'Too short to record.';
+    }
+    setNav(n => n && { ...n, summary });
+  };
+
   const handleCardClick = (key) => {
     const cfg = ROUTE_CONFIG.find(c => c.key === key);
     if (!cfg || !routes?.[key]?.geometry) return;
+    if (key !== activeKey) setShareNote('');
     setActiveKey(key);
-    drawRoute(routes[key].geometry, cfg.color, start, end);
+    drawRoute(routes[key], cfg.color, routes.stops, routes.health?.bands);
   };
 
+  // ── Stops ─────────────────────────────────────────────────────────
+  const updateWaypoint = (i, value) => setWaypoints(ws => ws.map((w, j) => (j === i ? value : w)));
+  const removeWaypoint = (i) => setWaypoints(ws => ws.filter((_, j) => j !== i));
+  const moveWaypoint = (i, delta) => setWaypoints(ws => {
+    const next = [...ws];
+    [next[i], next[i + delta]] = [next[i + delta], next[i]];
+    return next;
+  });
+
   const handleSwap = () => {
     setStart(end);
     setEnd(start);
+    setWaypoints(ws => [...ws].reverse());
     setRoutes(null);
     clearPins();
+    drawHotspots(null);
     if (routeLayerRef.current && mapRef.current) {
       mapRef.current.removeLayer(routeLayerRef.current);
       routeLayerRef.current = null;
@@ -268,12 +803,14 @@ export default function App() {
             <svg className="input-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5">
               <circle cx="12" cy="12" r="4" /><circle cx="12" cy="12" r="9" strokeOpacity=".25"/>
             </svg>
-            <input
-              className="route-input"
+            <PlaceInput
               placeholder="Starting point…"
               value={start}
-              onChange={e => setStart(e.target.value)}
-              onKeyDown={e => e.key === 'Enter' && fetchRoutes()}
+              onChange={setStart}
+              onSelect={choosePlace(setStart)}
+              onEnter={() => fetchRoutes()}
+              getProximity={mapCenter}
+              pinned={Boolean(picked[start.trim()])}
             />
             {/* GPS button */}
             <button
@@ -305,76 +842,229 @@ export default function App() {
             </button>
           </div>
 
+          {/* Intermediate stops */}
+          {waypoints.map((w, i) => (
+            <div key={i} className="input-row input-row--stop">
+              <span className="stop-index">{i + 1}</span>
+              <PlaceInput
+                placeholder={`Stop ${i + 1}…`}
+                value={w}
+                onChange={text => updateWaypoint(i, text)}
+                onSelect={choosePlace(text => updateWaypoint(i, text))}
+                onEnter={() => fetchRoutes()}
+                getProximity={mapCenter}
+                pinned={Boolean(picked[w.trim()])}
+              />
+              <div className="stop-actions">
+                <button onClick={() => moveWaypoint(i, -1)} disabled={i === 0} aria-label="Move stop up">↑</button>
+                <button onClick={() => moveWaypoint(i, 1)} disabled={i === waypoints.length - 1} aria-label="Move stop down">↓</button>
+                <button onClick={() => removeWaypoint(i)} aria-label="Remove stop">×</button>
+              </div>
+            </div>
+          ))}
+
           {/* End row */}
           <div className="input-row">
             <svg className="input-icon input-icon--dest" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5">
               <path d="M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7z"/>
               <circle cx="12" cy="9" r="2.5" fill="currentColor" stroke="none"/>
             </svg>
-            <input
-              className="route-input"
+            <PlaceInput
               placeholder="Destination…"
               value={end}
-              onChange={e => setEnd(e.target.value)}
-              onKeyDown={e => e.key === 'Enter' && fetchRoutes()}
+              onChange={setEnd}
+              onSelect={choosePlace(setEnd)}
+              onEnter={() => fetchRoutes()}
+              getProximity={mapCenter}
+              pinned={Boolean(picked[end.trim()])}
+            />
+          </div>
+
+          <div className="stops-bar">
+            {waypoints.length < MAX_WAYPOINTS && (
+              <button className="stops-bar__add" onClick={() => setWaypoints(ws => [...ws, ''])}>+ Add stop</button>
+            )}
+            {waypoints.length > 1 && (
+              <label className="stops-bar__optimize" title="Reorder the stops in between to breathe the least">
+                <input type="checkbox" checked={optimizeOrder} onChange={e => setOptimizeOrder(e.target.checked)} />
+                Best order for my lungs
+              </label>
+            )}
+          </div>
+        </div>
+
+        {/* Saved places & commutes */}
+        <SavedPanel
+          token={token}
+          onToken={handleToken}
+          start={start}
+          end={end}
+          mode={mode}
+          onPickPlace={handlePickPlace}
+          onRunCommute={handleRunCommute}
+        />
+
+        {token && (
+          <button className="saved__signin" onClick={() => setShowDashboard(v => !v)}>
+            {showDashboard ? 'Hide exposure dashboard' : '📊 My exposure dashboard'}
+          </button>
+        )}
+        {token && showDashboard && <ExposureDashboard token={token} refreshKey={historyVersion} />}
+
+        {/* Travel mode */}
+        <div className="mode-picker" role="radiogroup" aria-label="Travel mode">
+          {TRAVEL_MODES.map(({ key, label, icon }) => (
+            <button
+              key={key}
+              role="radio"
+              aria-checked={mode === key}
+              className={`mode-picker__btn ${mode === key ? 'mode-picker__btn--active' : ''}`}
+              onClick={() => setMode(key)}
+              disabled={loading}
+            >
+              <span className="mode-picker__icon">{icon}</span>
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {/* Health profile */}
+        <HealthProfile health={health} onChange={setHealth} token={token} />
+
+        {/* Departure planning */}
+        <div className={`depart-card ${planAhead ? 'depart-card--open' : ''}`}>
+          <label className="depart-card__toggle">
+            <input
+              type="checkbox"
+              checked={planAhead}
+              onChange={e => setPlanAhead(e.target.checked)}
+              disabled={loading}
             />
+            <span>Plan departure</span>
+            <small>{planAhead ? 'forecast' : 'leave now'}</small>
+          </label>
+          {planAhead && (
+            <div className="depart-card__fields">
+              <input
+                type="datetime-local"
+                className="depart-card__input"
+                value={departAt}
+                min={toLocalInput(new Date())}
+                onChange={e => setDepartAt(e.target.value)}
+              />
+              <select
+                className="depart-card__input"
+                value={windowHours}
+                onChange={e => setWindowHours(Number(e.target.value))}
+              >
+                {DEPART_WINDOWS.map(h => <option key={h} value={h}>within {h} h</option>)}
+              </select>
+            </div>
+          )}
+        </div>
+
+        {/* Detour search */}
+        <div className="detour-picker">
+          <span>Cleaner detours</span>
+          <div className="dash__periods">
+            {DETOUR_LIMITS.map(m => (
+              <button
+                key={m}
+                className={`dash__period ${maxDetourMins === m ? 'dash__period--active' : ''}`}
+                onClick={() => setMaxDetourMins(m)}
+                disabled={loading}
+              >
+                {m === 0 ? 'Off' : `+${m} min`}
+              </button>
+            ))}
           </div>
         </div>
 
         {/* CTA */}
-        <button className="analyze-btn" onClick={fetchRoutes} disabled={loading || locating}>
+        <button className="analyze-btn" onClick={() => fetchRoutes()} disabled={loading || locating}>
           {loading
-            ? <><span className="spinner" /> Sampling every 300 m…</>
-            : 'Analyze Routes'}
+            ? <><span className="spinner" /> {progressLabel || 'Sampling air quality…'}</>
+            : online ? 'Analyze Routes'
+            : queued ? '⏳ Refresh queued for when online'
+            : '📴 Offline · queue a refresh'}
         </button>
 
         {/* Error */}
         {error && <div className="error-pill">⚠ {error}</div>}
+        {reordered && <div className="info-pill">↕ Stops reordered to cut your dose</div>}
+        {!online && !stale && <div className="info-pill">📴 Offline · saved trips and map areas still work</div>}
+        {stale && routes && (
+          <div className="snapshot-banner snapshot-banner--stale">
+            <span>
+              📴 Offline copy · analysed{' '}
+              {new Date(stale.savedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+            </span>
+            {queued && <small>Refreshes automatically when you are back online</small>}
+          </div>
+        )}
+        {shared && routes && (
+          <div className="snapshot-banner">
+            <span>
+              🔗 Shared route · snapshot from{' '}
+              {new Date(routes.analyzedAt || shared.createdAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+            </span>
+            <button onClick={() => fetchRoutes()} disabled={loading}>Re-run with live air quality</button>
+          </div>
+        )}
 
         {/* Route result cards */}
         {routes && (
           <div className="cards-section">
-            <p className="section-label">Routes found</p>
-            {ROUTE_CONFIG.map(({ key, label, icon, color, bg }) => {
+            <p className="section-label">
+              Routes found
+              {routes.sampling && (
+                <span className="section-label__meta" title={`${routes.sampling.samples} samples across ${routes.sampling.cells} grid cells`}>
+                  {routes.sampling.lookups + (routes.detours?.lookups ?? 0)} AQI lookups · {routes.sampling.cacheHits} cached
+                  {routes.detours?.found > 0 && ` · ${routes.detours.found} detour${routes.detours.found > 1 ? 's' : ''}`}
+                </span>
+              )}
+            </p>
+            {routes.health && (routes.health.condition !== 'none' || routes.health.ageGroup !== 'adult') && (
+              <p className="health-note">
+                🫁 Scored for {[CONDITION_LABELS[routes.health.condition], AGE_LABELS[routes.health.ageGroup]]
+                  .filter((l, i) => i > 0 || routes.health.condition !== 'none').join(' · ')}
+                {' '}— stricter PM2.5 bands, heat limit {routes.health.heatThresholdC}°C
+              </p>
+            )}
+            {ROUTE_CONFIG.map((config) => {
+              const { key } = config;
               const r = routes[key];
               if (!r) return null;
               const isActive = activeKey === key;
-              const pm = PM_LABEL(r.metrics?.pm25 ?? 0);
               return (
-                <div
+                <RouteCard
                   key={key}
-                  className={`rcard rcard--${bg} ${isActive ? 'rcard--active' : ''}`}
-                  style={{ '--c': color }}
-                  onClick={() => handleCardClick(key)}
+                  config={config}
+                  route={r}
+                  bands={routes.health?.bands}
+                  active={isActive}
+                  onSelect={() => handleCardClick(key)}
                 >
-                  {isActive && <div className="rcard__activebar" />}
-
-                  <div className="rcard__head">
-                    <span className="rcard__badge">{icon} {label}</span>
-                    <span className="rcard__score">{r.healthScore}<sup>/100</sup></span>
-                  </div>
-
-                  <p className="rcard__via">{r.name}</p>
-
-                  <div className="rcard__stats">
-                    <div className="rcard__stat">
-                      <b>{r.durationMins}</b><small>min</small>
-                    </div>
-                    <div className="rcard__divider" />
-                    <div className="rcard__stat">
-                      <b>{r.distanceKm}</b><small>km</small>
-                    </div>
-                  </div>
-
-                  {r.metrics && (
-                    <div className="rcard__env">
-                      <span className="env-tag">🌡 {Math.round(r.metrics.tempCelsius)}°C</span>
-                      <span className={`env-tag env-tag--pm env-tag--${pm.cls}`}>
-                        💨 {r.metrics.pm25} <em>{pm.text}</em>
-                      </span>
+                  {isActive && !loading && !stale && (
+                    <div className="rcard__actions" onClick={e => e.stopPropagation()}>
+                      {!nav && <button onClick={() => startTrip(key)}>▶ Start trip</button>}
+                      <button onClick={() => shareRoute(key)}>🔗 Share</button>
+                      <button onClick={() => exportRoute(key, 'gpx')}>GPX</button>
+                      <button onClick={() => exportRoute(key, 'geojson')}>GeoJSON</button>
+                      {shareNote && <span className="rcard__note">{shareNote}</span>}
                     </div>
                   )}
-                </div>
+
+                  {token && isActive && !shared && !loading && !stale && (
+                    <button
+                      className="rcard__log"
+                      disabled={loggedKey !== null}
+                      onClick={e => { e.stopPropagation(); logTrip(key); }}
+                    >
+                      {loggedKey === key ? '✓ Logged to your history' : 'I took this route'}
+                    </button>
+                  )}
+                </RouteCard>
               );
             })}
           </div>
@@ -384,7 +1074,7 @@ export default function App() {
         <footer className="sidebar__footer">
           <div className="chip"><span>India</span><small>Region</small></div>
           <div className="chip"><span>Live AQI</span><small>Google API</small></div>
-          <div className="chip"><span>300 m</span><small>Intervals</small></div>
+          <div className="chip"><span>≥300 m</span><small>Adaptive sampling</small></div>
         </footer>
       </aside>
 
@@ -392,6 +1082,10 @@ export default function App() {
       <main className="map-wrap">
         <div id="map-container" style={{ width: '100%', height: '100vh' }} />
 
+        {nav && <NavigationPanel nav={nav} onEnd={() => endTrip(false)} onClose={() => setNav(null)} />}
+
+        <AirLayer mapRef={mapRef} bands={routes?.health?.bands} />
+
         {/* Floating legend */}
         {routes && (
           <div className="legend">
@@ -406,6 +1100,14 @@ export default function App() {
                 {icon} {label}
               </button>
             ))}
+            <div className="pm-legend">
+              <span className="pm-legend__title">PM2.5 along route</span>
+              {pmLegend(routes.health?.bands).map(({ text, cls, color, range }) => (
+                <span key={cls} className="pm-legend__row">
+                  <i style={{ background: color }} />{text} <small>{range}</small>
+                </span>
+              ))}
+            </div>
           </div>
         )}
       </main>
@@ -0,0 +1,133 @@
+// ── Backend API ───────────────────────────────────────────────────────
+// Set VITE_API_BASE when the backend is not on localhost:3000; the
+// frontend holds no third-party keys, every Mapbox/Google call goes
+// through the backend.
+import { DEFAULT_HEALTH } from './constants';
+
+export const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:3000';
+
+const TOKEN_KEY = 'commute.token';
+
+export const loadToken  = () => localStorage.getItem(TOKEN_KEY);
+export const storeToken = (token) =>
+  token ? localStorage.setItem(TOKEN_KEY, token) : localStorage.removeItem(TOKEN_KEY);
+
+// Health profile picked on this device (see components/HealthProfile)
+const HEALTH_KEY = 'commute.health';
+
+export function loadHealth() {
+  try {
+    return { ...DEFAULT_HEALTH, ...JSON.parse(localStorage.getItem(HEALTH_KEY)) };
+  } catch {
+    return DEFAULT_HEALTH;
+  }
+}
+export const storeHealth = (health) => localStorage.setItem(HEALTH_KEY, JSON.stringify(health));
+
+// A trip to re-analyse once the connection is back (see offline.js)
+const QUEUE_KEY = 'commute.queuedRefresh';
+
+export function loadQueuedRefresh() {
+  try {
+    return JSON.parse(localStorage.getItem(QUEUE_KEY));
+  } catch {
+    return null;
+  }
+}
+export const storeQueuedRefresh = (trip) =>
+  trip ? localStorage.setItem(QUEUE_KEY, JSON.stringify(trip)) : localStorage.removeItem(QUEUE_KEY);
+
+// ── Errors ────────────────────────────────────────────────────────────
+// Error bodies carry a code (lib/errors.js on the backend); these are
+// what people read for the common ones. Other codes show the server's
+// own message. Thrown errors keep `status`, `code` and `requestId`.
+const ERROR_MESSAGES = {
+  'geocode-not-found': ({ query }) =>
+    `We couldn’t find ${query ? `“${query}”` : 'one of your places'}. Try a nearby landmark or pick a suggestion from the list.`,
+  'no-route': ({ mode }) =>
+    `There’s no ${mode ? `${mode} ` : ''}route between these places. Try another way of travelling or a different stop.`,
+  'provider-unavailable': () =>
+    'Map, air-quality or weather data is unavailable right now. Please try again in a few minutes.',
+  internal: ({ requestId }) =>
+    `Something went wrong on our side. Please try again${requestId ? ` (reference ${requestId.slice(0, 8)})` : ''}.`,
+};
+
+function apiError(data, status, fallback = `Request failed (${status})`) {
+  const friendly = ERROR_MESSAGES[data?.code];
+  const message = friendly ? friendly(data) : data?.error || fallback;
+  return Object.assign(new Error(message), { status, code: data?.code, requestId: data?.requestId });
+}
+
+// fetch() and stream reads reject when the connection fails; those errors
+// are tagged `network` so offline handling (offline.js) can tell them
+// apart from bugs in the code handling a response
+const tagNetwork = (err) => { throw Object.assign(err, { network: true }); };
+const request = (url, init) => fetch(url, init).catch(tagNetwork);
+
+// JSON in, JSON out; throws the server's error, in friendly words when it has a code.
+export async function apiFetch(path, { token, method = 'GET', body } = {}) {
+  const headers = {};
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const res = await request(`${API_BASE}${path}`, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  if (res.status === 204) return null;
+
+  const data = await res.json();
+  if (!res.ok || data?.error) throw apiError(data, res.status);
+  return data;
+}
+
+// POSTs JSON to a Server-Sent Events endpoint and calls onEvent(type, data)
+// for each event as it arrives. Resolves with the `result` event's data;
+// throws on an `error` event like apiFetch does for error responses.
+export async function apiStream(path, { token, body, onEvent = () => {} } = {}) {
+  const headers = { 'Content-Type': 'application/json', Accept: 'text/event-stream' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const res = await request(`${API_BASE}${path}`, { method: 'POST', headers, body: JSON.stringify(body) });
+  // Rejected before the stream started (rate limit, API key…): a JSON error
+  if (!res.ok) {
+    const data = await res.json().catch(() => null);
+    throw apiError(data, res.status);
+  }
+
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read().catch(tagNetwork);
+    if (done) break;
+    buffer += value;
+    // Events end with a blank line; the last piece may be incomplete
+    const chunks = buffer.split('\n\n');
+    buffer = chunks.pop();
+    for (const chunk of chunks) {
+      const type = chunk.match(/^event: (.*)$/m)?.[1] || 'message';
+      const data = JSON.parse(chunk.match(/^data: (.*)$/m)?.[1] || 'null');
+      if (type === 'error') throw apiError(data, data.status);
+      if (type === 'result') return data;
+      onEvent(type, data);
+    }
+  }
+  throw new Error('The connection closed before the analysis finished.');
+}
+
+// Saves a file endpoint (GPX, GeoJSON…) under the server's filename.
+export async function apiDownload(path) {
+  const res = await request(`${API_BASE}${path}`);
+  if (!res.ok) {
+    const data = await res.json().catch(() => null);
+    throw apiError(data, res.status, `Download failed (${res.status})`);
+  }
+  const filename = res.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || 'route';
+  const url = URL.createObjectURL(await res.blob());
+  const link = Object.assign(document.createElement('a'), { href: url, download: filename });
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
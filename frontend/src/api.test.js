@@ -0,0 +1,66 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { apiFetch, apiStream } from './api';
+import { isNetworkError } from './offline';
+
+afterEach(() => vi.unstubAllGlobals());
+
+// Answers every request with `body` as JSON
+const respond = (status, body) =>
+  vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  })));
+
+const failure = promise => promise.then(() => { throw new Error('expected a rejection'); }, err => err);
+
+describe('API errors', () => {
+  it('turns error codes into friendly messages', async () => {
+    respond(404, { error: 'Location not found: Nowhere Nagar.', code: 'geocode-not-found', query: 'Nowhere Nagar' });
+    const err = await failure(apiFetch('/api/routes', { method: 'POST', body: {} }));
+    expect(err.message).toBe('We couldn’t find “Nowhere Nagar”. Try a nearby landmark or pick a suggestion from the list.');
+    expect(err.status).toBe(404);
+    expect(err.code).toBe('geocode-not-found');
+
+    respond(404, { error: 'No cycling routes found from "a" to "b".', code: 'no-route', mode: 'cycling' });
+    expect((await failure(apiFetch('/api/routes'))).message).toMatch(/^There’s no cycling route between these places/);
+
+    respond(503, { error: 'Daily quota for google-air-quality is used up.', code: 'provider-unavailable' });
+    expect((await failure(apiFetch('/api/routes'))).message).toMatch(/unavailable right now/);
+  });
+
+  it('gives a reference for unexpected failures', async () => {
+    respond(500, { error: 'Something went wrong on our side.', code: 'internal', requestId: '56671299-648f-4180' });
+    const err = await failure(apiFetch('/api/routes'));
+    expect(err.message).toBe('Something went wrong on our side. Please try again (reference 56671299).');
+    expect(err.requestId).toBe('56671299-648f-4180');
+  });
+
+  it('shows the server’s own message for other codes', async () => {
+    respond(429, { error: 'Too many route analysis requests. Try again in 20 s.', code: 'rate-limited' });
+    expect((await failure(apiFetch('/api/routes'))).message).toBe('Too many route analysis requests. Try again in 20 s.');
+
+    respond(400, { error: 'Start and end locations required.' });
+    expect((await failure(apiFetch('/api/routes'))).message).toBe('Start and end locations required.');
+  });
+
+  it('maps the error event of a stream the same way', async () => {
+    const events = 'event: progress\ndata: {"stage":"geocode"}\n\n'
+      + 'event: error\ndata: {"status":404,"code":"no-route","mode":"walking","error":"No walking routes"}\n\n';
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(events, { headers: { 'Content-Type': 'text/event-stream' } })));
+    const onEvent = vi.fn();
+
+    const err = await failure(apiStream('/api/routes/stream', { body: {}, onEvent }));
+    expect(onEvent).toHaveBeenCalledWith('progress', { stage: 'geocode' });
+    expect(err.message).toMatch(/^There’s no walking route/);
+    expect(err.status).toBe(404);
+  });
+});
+
+describe('network errors', () => {
+  it('tags a failed connection but not a bug handling the response', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('Failed to fetch'); }));
+    expect(isNetworkError(await failure(apiFetch('/api/routes')))).toBe(true);
+
+    expect(isNetworkError(new TypeError("Cannot read properties of undefined (reading 'fastest')"))).toBe(false);
+  });
+});
@@ -0,0 +1,108 @@
+import React, { useEffect, useRef, useState } from 'react';
+import L from 'leaflet';
+import { apiFetch } from '../api';
+import { PM_LABEL, pmLegend } from '../constants';
+
+const MAX_SPAN_DEG = 1;      // the backend refuses larger views
+const MOVE_DEBOUNCE_MS = 400;
+const REFILL_DELAY_MS = 2500; // each request samples a few empty cells
+const MAX_REFILLS = 3;        // GET /api/aqi/grid is rate limited
+
+// ── PM2.5 grid overlay ────────────────────────────────────────────────
+// Toggleable squares of PM2.5 over the visible area, from cached
+// route samples plus a few fresh readings per request. Drawn in its
+// own pane under the route lines.
+export default function AirLayer({ mapRef, bands }) {
+  const [on, setOn]         = useState(false);
+  const [status, setStatus] = useState('');
+  const [grid, setGrid]     = useState(null);  // last GeoJSON response
+  const layerRef = useRef(null);
+
+  // Fetch on every settled move, then a few refills while cells are empty
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!on || !map) return;
+
+    if (!map.getPane('air')) map.createPane('air').style.zIndex = 350; // under overlayPane (400)
+    let request = 0;
+    let timer = null;
+
+    const load = async (refills) => {
+      const id = ++request;
+      const b = map.getBounds();
+      if (b.getEast() - b.getWest() > MAX_SPAN_DEG || b.getNorth() - b.getSouth() > MAX_SPAN_DEG) {
+        setGrid(null);
+        setStatus('Zoom in to see air quality');
+        return;
+      }
+      setStatus('Loading air quality…');
+      try {
+        const bbox = [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()].map(v => v.toFixed(4)).join(',');
+        const data = await apiFetch(`/api/aqi/grid?bbox=${bbox}`);
+        if (id !== request) return;
+        setGrid(data);
+        setStatus(data.pending > 0 ? `${data.pending} areas not sampled yet` : '');
+        if (data.pending > 0 && refills > 0) timer = setTimeout(() => load(refills - 1), REFILL_DELAY_MS);
+      } catch (err) {
+        if (id === request) setStatus(err.message);
+      }
+    };
+
+    const onMove = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => load(MAX_REFILLS), MOVE_DEBOUNCE_MS);
+    };
+    load(MAX_REFILLS);
+    map.on('moveend', onMove);
+    return () => {
+      request++;
+      clearTimeout(timer);
+      map.off('moveend', onMove);
+    };
+  }, [on, mapRef]);
+
+  // Redraw when the data or the profile's bands change
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+    if (layerRef.current) { map.removeLayer(layerRef.current); layerRef.current = null; }
+    if (!on || !grid?.features.length) return;
+
+    layerRef.current = L.geoJSON(grid, {
+      pane: 'air',
+      style: ({ properties }) => ({
+        stroke: false,
+        fillColor: PM_LABEL(properties.pm25, bands).color,
+        fillOpacity: 0.35,
+      }),
+      onEachFeature: ({ properties: { pm25, readings } }, layer) => layer.bindTooltip(
+        `PM2.5 ${Math.round(pm25)} µg/m³ · ${PM_LABEL(pm25, bands).text}` +
+        (readings > 1 ? ` (avg of ${readings} readings)` : ''),
+        { sticky: true }
+      ),
+    }).addTo(map);
+  }, [grid, bands, on, mapRef]);
+
+  return (
+    <div className="air-layer">
+      <button
+        className={`air-layer__toggle ${on ? 'air-layer__toggle--on' : ''}`}
+        onClick={() => { setOn(v => !v); setStatus(''); setGrid(null); }}
+        aria-pressed={on}
+      >
+        🌫 Air quality layer
+      </button>
+      {on && (
+        <div className="pm-legend">
+          <span className="pm-legend__title">PM2.5 in this area</span>
+          {pmLegend(bands).map(({ text, cls, color, range }) => (
+            <span key={cls} className="pm-legend__row">
+              <i className="air-layer__swatch" style={{ background: color }} />{text} <small>{range}</small>
+            </span>
+          ))}
+          {status && <small className="air-layer__status">{status}</small>}
+        </div>
+      )}
+    </div>
+  );
+}
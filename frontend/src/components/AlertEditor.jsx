@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+import { enablePush, pushSupported } from '../push';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const LEAD_OPTIONS = [15, 30, 45, 60, 90];
+
+const DEFAULT_ALERT = {
+  departTime: '08:30',
+  days: [1, 2, 3, 4, 5],
+  leadMins: 30,
+  maxPm25: '',
+  minHealthScore: '',
+  webhookUrl: '',
+  push: true,
+  enabled: true,
+};
+
+// ── Commute alert editor ──────────────────────────────────────────────
+// Before the usual departure the backend re-checks this commute and
+// notifies when air is worse than the limits below, or when another
+// route is clearly healthier than usual.
+export default function AlertEditor({ token, commute, onClose }) {
+  const [alert, setAlert]   = useState(null);
+  const [exists, setExists] = useState(false);
+  const [busy, setBusy]     = useState(false);
+  const [error, setError]   = useState('');
+  const [note, setNote]     = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    apiFetch(`/api/commutes/${commute.id}/alert`, { token })
+      .then(a => {
+        if (cancelled) return;
+        setAlert({ ...a, maxPm25: a.maxPm25 ?? '', minHealthScore: a.minHealthScore ?? '', webhookUrl: a.webhookUrl ?? '' });
+        setExists(true);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        if (err.status === 404) setAlert(DEFAULT_ALERT);
+        else setError(err.message);
+      });
+    return () => { cancelled = true; };
+  }, [token, commute.id]);
+
+  const update = (patch) => setAlert(a => ({ ...a, ...patch }));
+  const toggleDay = (d) => update({
+    days: alert.days.includes(d) ? alert.days.filter(x => x !== d) : [...alert.days, d].sort(),
+  });
+
+  const run = async (fn) => {
+    setBusy(true);
+    setError('');
+    setNote('');
+    try { await fn(); }
+    catch (err) { setError(err.message); }
+    finally { setBusy(false); }
+  };
+
+  // A browser that can't subscribe still gets the webhook
+  const save = () => run(async () => {
+    let pushError = '';
+    if (alert.push) await enablePush(token).catch(err => { pushError = err.message; });
+    await apiFetch(`/api/commutes/${commute.id}/alert`, {
+      method: 'PUT',
+      token,
+      body: {
+        ...alert,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        maxPm25: alert.maxPm25 === '' ? null : Number(alert.maxPm25),
+        minHealthScore: alert.minHealthScore === '' ? null : Number(alert.minHealthScore),
+        webhookUrl: alert.webhookUrl.trim() || null,
+      },
+    });
+    setExists(true);
+    setNote(pushError ? `Alert saved, but browser notifications are off: ${pushError}` : 'Alert saved.');
+  });
+
+  const remove = () => run(async () => {
+    await apiFetch(`/api/commutes/${commute.id}/alert`, { method: 'DELETE', token });
+    onClose();
+  });
+
+  const test = () => run(async () => {
+    const r = await apiFetch(`/api/commutes/${commute.id}/alert/run`, { method: 'POST', token });
+    setNote(r.triggered
+      ? `${r.reasons.join(' ')} ${r.notified.length ? `Sent via ${r.notified.join(' & ')}.` : 'No notification channel reached.'}`
+      : `All clear — ${r.best.name} scores ${r.best.healthScore}.`);
+  });
+
+  if (!alert) {
+    return <div className="alert-editor">{error ? <p className="saved__error">{error}</p> : <p className="saved__empty">Loading…</p>}</div>;
+  }
+
+  return (
+    <div className="alert-editor">
+      <div className="saved__head">
+        <p className="section-label">Alert · {commute.name}</p>
+        <button className="saved__link" onClick={onClose}>Close</button>
+      </div>
+
+      <div className="alert-editor__row">
+        <label className="alert-editor__field">
+          <small>Leave at</small>
+          <input type="time" value={alert.departTime} onChange={e => update({ departTime: e.target.value })} />
+        </label>
+        <label className="alert-editor__field">
+          <small>Check</small>
+          <select value={alert.leadMins} onChange={e => update({ leadMins: Number(e.target.value) })}>
+            {LEAD_OPTIONS.map(m => <option key={m} value={m}>{m} min before</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div className="alert-editor__days">
+        {WEEKDAYS.map((label, i) => (
+          <button
+            key={label}
+            className={`dash__period ${alert.days.includes(i + 1) ? 'dash__period--active' : ''}`}
+            onClick={() => toggleDay(i + 1)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="alert-editor__row">
+        <label className="alert-editor__field">
+          <small>PM2.5 above</small>
+          <input type="number" min="1" placeholder="e.g. 60" value={alert.maxPm25} onChange={e => update({ maxPm25: e.target.value })} />
+        </label>
+        <label className="alert-editor__field">
+          <small>Score below</small>
+          <input type="number" min="0" max="100" placeholder="e.g. 50" value={alert.minHealthScore} onChange={e => update({ minHealthScore: e.target.value })} />
+        </label>
+      </div>
+
+      <label className="alert-editor__field">
+        <small>Webhook (optional)</small>
+        <input type="url" placeholder="https://…" value={alert.webhookUrl} onChange={e => update({ webhookUrl: e.target.value })} />
+      </label>
+
+      <label className="alert-editor__check">
+        <input type="checkbox" checked={alert.push} disabled={!pushSupported()} onChange={e => update({ push: e.target.checked })} />
+        Notify this browser
+      </label>
+      <label className="alert-editor__check">
+        <input type="checkbox" checked={alert.enabled} onChange={e => update({ enabled: e.target.checked })} />
+        Alert enabled
+      </label>
+
+      <div className="saved__row">
+        <button className="saved__btn saved__btn--primary" onClick={save} disabled={busy || alert.days.length === 0}>Save</button>
+        {exists && <button className="saved__btn" onClick={test} disabled={busy}>Check now</button>}
+        {exists && <button className="saved__link" onClick={remove} disabled={busy}>Remove alert</button>}
+      </div>
+
+      {note && <p className="dash__note">{note}</p>}
+      {error && <p className="saved__error">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+const PERIODS = [
+  { key: 'week',  label: 'Weekly'  },
+  { key: 'month', label: 'Monthly' },
+];
+
+const CHART_W = 280;
+const CHART_H = 96;
+
+// "2026-W07" → "W07", "2026-03" → "Mar"
+const shortPeriod = (p) => p.includes('-W')
+  ? p.split('-')[1]
+  : new Date(`${p}-01T00:00:00`).toLocaleString([], { month: 'short' });
+
+// ── Dose chart ────────────────────────────────────────────────────────
+// Solid bar = dose actually inhaled; ghost bar = what always taking the
+// fastest route would have cost; line = average PM2.5 breathed.
+function DoseChart({ buckets }) {
+  const maxDose = Math.max(1, ...buckets.flatMap(b => [b.doseUg, b.fastestDoseUg]));
+  const maxPm   = Math.max(1, ...buckets.map(b => b.avgPm25));
+  const slot    = CHART_W / buckets.length;
+  const barW    = Math.min(22, slot * 0.6);
+
+  const pmLine = buckets
+    .map((b, i) => `${i * slot + slot / 2},${CHART_H - (b.avgPm25 / maxPm) * (CHART_H - 8)}`)
+    .join(' ');
+
+  return (
+    <svg className="dash-chart" viewBox={`0 0 ${CHART_W} ${CHART_H + 14}`} role="img" aria-label="Inhaled dose per period">
+      {buckets.map((b, i) => {
+        const x = i * slot + (slot - barW) / 2;
+        const hFast = (b.fastestDoseUg / maxDose) * CHART_H;
+        const hDose = (b.doseUg / maxDose) * CHART_H;
+        return (
+          <g key={b.period}>
+            <rect className="dash-chart__ghost" x={x} y={CHART_H - hFast} width={barW} height={hFast} rx="2" />
+            <rect className="dash-chart__bar" x={x} y={CHART_H - hDose} width={barW} height={hDose} rx="2">
+              <title>{`${b.period}: ${b.doseUg} µg inhaled (fastest: ${b.fastestDoseUg} µg) · ${b.trips} trips · PM2.5 ${b.avgPm25}`}</title>
+            </rect>
+            <text className="dash-chart__label" x={i * slot + slot / 2} y={CHART_H + 11}>{shortPeriod(b.period)}</text>
+          </g>
+        );
+      })}
+      {buckets.length > 1 && <polyline className="dash-chart__pm" points={pmLine} />}
+    </svg>
+  );
+}
+
+// ── Exposure dashboard ────────────────────────────────────────────────
+export default function ExposureDashboard({ token, refreshKey }) {
+  const [period, setPeriod]   = useState('week');
+  const [summary, setSummary] = useState(null);
+  const [trips, setTrips]     = useState([]);
+  const [error, setError]     = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([
+      apiFetch(`/api/history/summary?period=${period}`, { token }),
+      apiFetch('/api/history?limit=5', { token }),
+    ])
+      .then(([s, t]) => {
+        if (cancelled) return;
+        setSummary(s);
+        setTrips(t);
+        setError('');
+      })
+      .catch(err => !cancelled && setError(err.message));
+    return () => { cancelled = true; };
+  }, [token, period, refreshKey]);
+
+  if (error) return <div className="dash"><p className="saved__error">{error}</p></div>;
+  if (!summary) return <div className="dash"><p className="saved__empty">Loading your exposure…</p></div>;
+
+  const { totals, buckets } = summary;
+
+  return (
+    <div className="dash">
+      <div className="saved__head">
+        <p className="section-label">My exposure</p>
+        <div className="dash__periods">
+          {PERIODS.map(p => (
+            <button
+              key={p.key}
+              className={`dash__period ${period === p.key ? 'dash__period--active' : ''}`}
+              onClick={() => setPeriod(p.key)}
+            >
+              {p.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {totals.trips === 0
+        ? <p className="saved__empty">No trips logged yet — pick a route and tap “I took this route”.</p>
+        : (
+          <>
+            <div className="dash__totals">
+              <div className="rcard__stat"><b>{totals.trips}</b><small>trips</small></div>
+              <div className="rcard__stat"><b>{totals.doseUg}</b><small>µg inhaled</small></div>
+              <div className="rcard__stat dash__saved">
+                <b>{totals.savedDoseUg >= 0 ? '−' : '+'}{Math.abs(totals.savedDoseUg)}</b><small>µg vs fastest</small>
+              </div>
+            </div>
+            <p className="dash__note">
+              {totals.extraMinutes > 0
+                ? `Cleaner routes cost you ${totals.extraMinutes} extra minutes in total.`
+                : 'Your healthier choices cost no extra time.'}
+            </p>
+
+            <DoseChart buckets={buckets} />
+            <div className="dash__key">
+              <span><i className="dash__swatch dash__swatch--dose" />inhaled</span>
+              <span><i className="dash__swatch dash__swatch--fast" />if fastest</span>
+              <span><i className="dash__swatch dash__swatch--pm" />avg PM2.5</span>
+            </div>
+
+            <ul className="saved__list">
+              {trips.map(t => (
+                <li key={t.id} className="dash__trip">
+                  <span className="commute-row__name">{t.routeName}</span>
+                  <small>{new Date(t.takenAt).toLocaleDateString([], { day: 'numeric', month: 'short' })}</small>
+                  <b>{t.doseUg} µg</b>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import React, { useCallback, useEffect, useRef } from 'react';
+import { apiFetch, storeHealth } from '../api';
+import { HEALTH_OPTIONS, DEFAULT_HEALTH } from '../constants';
+
+const isDefault = (health) => Object.keys(DEFAULT_HEALTH).every(k => health[k] === DEFAULT_HEALTH[k]);
+
+// ── Health profile ────────────────────────────────────────────────────
+// Condition, age group and pace change how routes are scored. Kept in
+// localStorage; signed in, the account's profile wins and edits are
+// saved to it so commute alerts and tracked trips use them too.
+export default function HealthProfile({ health, onChange, token }) {
+  // Token the profile was last synced for: once per sign-in, not per edit
+  const syncedFor = useRef(null);
+
+  const keep = useCallback((next) => {
+    storeHealth(next);
+    onChange(next);
+  }, [onChange]);
+
+  useEffect(() => {
+    if (!token || syncedFor.current === token) return;
+    syncedFor.current = token;
+    apiFetch('/api/me', { token })
+      .then(({ health: saved }) => {
+        if (saved) keep(saved);
+        // First sign-in on this device: keep what was picked while signed out
+        else if (!isDefault(health)) apiFetch('/api/me/health', { method: 'PUT', token, body: health }).catch(() => {});
+      })
+      .catch(() => {});
+  }, [token, health, keep]);
+
+  const update = (field, value) => {
+    const next = { ...health, [field]: value };
+    keep(next);
+    if (token) apiFetch('/api/me/health', { method: 'PUT', token, body: next }).catch(() => {});
+  };
+
+  return (
+    <div className={`health-card ${isDefault(health) ? '' : 'health-card--sensitive'}`}>
+      <span className="health-card__title">🫁 Score for</span>
+      <div className="health-card__fields">
+        {Object.entries(HEALTH_OPTIONS).map(([field, options]) => (
+          <select
+            key={field}
+            className="depart-card__input"
+            aria-label={field}
+            value={health[field]}
+            onChange={e => update(field, e.target.value)}
+          >
+            {options.map(o => <option key={o.key} value={o.key}>{o.label}</option>)}
+          </select>
+        ))}
+      </div>
+    </div>
+  );
+}
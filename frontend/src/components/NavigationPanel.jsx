@@ -0,0 +1,92 @@
+import React from 'react';
+import { formatDistance } from '../navigation';
+
+const TURN_ICONS = {
+  left: '⬅', 'slight left': '↖', 'sharp left': '↙',
+  right: '➡', 'slight right': '↗', 'sharp right': '↘',
+  straight: '⬆', uturn: '↩',
+};
+
+const stepIcon = (step) => {
+  if (step.type === 'arrive') return '🏁';
+  if (step.type === 'board') return '🚇';
+  if (step.type === 'walk') return '🚶';
+  if (step.type === 'roundabout' || step.type === 'rotary') return '⟳';
+  return TURN_ICONS[step.modifier] || '⬆';
+};
+
+// Cabins can shut the air out; everyone else can only limit effort
+const HOT_ADVICE = {
+  driving: 'Close the windows and switch the AC to recirculate.',
+  'two-wheeler': 'Keep your visor down and avoid idling close behind exhaust.',
+};
+const DEFAULT_HOT_ADVICE = 'Ease your pace through it; a fitted mask helps if you have one.';
+
+// ── Live navigation card ──────────────────────────────────────────────
+// Floats over the map while a trip is being followed: the next turn,
+// high-PM2.5 warnings and reroute status; then the recorded summary.
+export default function NavigationPanel({ nav, onEnd, onClose }) {
+  const { status, summary } = nav;
+
+  if (summary) {
+    return (
+      <div className="nav-panel">
+        <p className="nav-panel__title">{summary.arrived ? '🏁 You have arrived' : 'Trip ended'}</p>
+        <div className="nav-panel__stats">
+          <span><b>{summary.durationMins}</b> min</span>
+          <span><b>{summary.distanceKm}</b> km</span>
+          <span><b>{summary.pm25}</b> µg/m³ avg</span>
+          {summary.doseUg != null && <span><b>{summary.doseUg}</b> µg inhaled</span>}
+        </div>
+        <p className="nav-panel__meta">
+          {summary.recorded
+            ? '✓ Actual exposure saved to your history'
+            : summary.error || 'Sign in to keep a record of trips you take.'}
+        </p>
+        <button className="nav-panel__btn" onClick={onClose}>Done</button>
+      </div>
+    );
+  }
+
+  const step = status?.step;
+  const pm25 = status?.pm25;
+  const warning = status?.inHot
+    ? `High PM2.5 here (${Math.round(pm25)} µg/m³).`
+    : status?.hot && `High PM2.5 in ${formatDistance(status.hot.distanceKm - status.alongKm)} (${Math.round(status.hot.pm25)} µg/m³).`;
+
+  return (
+    <div className="nav-panel">
+      <p className="nav-panel__title">Navigating · {nav.name}</p>
+
+      {!status && <p className="nav-panel__meta">Waiting for GPS…</p>}
+
+      {status && (
+        <div className="nav-panel__turn">
+          <span className="nav-panel__icon">{step ? stepIcon(step) : '⬆'}</span>
+          <span>
+            {step && <small>In {formatDistance(step.atKm - status.alongKm)}</small>}
+            <b>{step ? step.instruction : 'Continue to your destination'}</b>
+          </span>
+        </div>
+      )}
+
+      {warning && (
+        <div className="nav-panel__warn">
+          ⚠ {warning} {HOT_ADVICE[nav.mode] || DEFAULT_HOT_ADVICE}
+        </div>
+      )}
+
+      {status && (
+        <p className="nav-panel__meta">
+          {nav.rerouting ? '↻ Off route — finding a new route…'
+            : status.offRoute ? 'Off route'
+            : `${formatDistance(Math.max(0, status.lengthKm - status.alongKm))} to go`}
+          {pm25 != null && ` · 💨 ${Math.round(pm25)} µg/m³`}
+        </p>
+      )}
+      {nav.error && <p className="nav-panel__meta nav-panel__meta--error">{nav.error}</p>}
+
+      <button className="nav-panel__btn nav-panel__btn--end" onClick={onEnd}>End trip</button>
+    </div>
+  );
+}
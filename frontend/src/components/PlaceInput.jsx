@@ -0,0 +1,116 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { apiFetch } from '../api';
+
+const SUGGEST_DELAY_MS = 250;
+const MIN_QUERY_LENGTH = 3;
+
+const KIND_ICONS = {
+  address: '🏠', poi: '📍', neighborhood: '🏘', locality: '🏘',
+  place: '🏙', district: '🗺', postcode: '✉', coordinates: '⌖',
+};
+
+// ── Address input with suggestions ────────────────────────────────────
+// Typing asks /api/geocode/suggest (debounced) for India-only matches
+// near the map view; picking one hands its exact coordinates to
+// onSelect, so the backend never has to guess between two "Sector 5"s.
+export default function PlaceInput({ value, onChange, onSelect, onEnter, getProximity, pinned, placeholder }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen]               = useState(false);
+  const [highlight, setHighlight]     = useState(-1);
+
+  const timer     = useRef(null);
+  const requestId = useRef(0);
+
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  const handleChange = (text) => {
+    onChange(text);
+    clearTimeout(timer.current);
+    if (text.trim().length < MIN_QUERY_LENGTH) {
+      requestId.current++;
+      setOpen(false);
+      return;
+    }
+
+    timer.current = setTimeout(async () => {
+      const id = ++requestId.current;
+      const params = new URLSearchParams({ q: text.trim() });
+      const proximity = getProximity?.();
+      if (proximity) params.set('proximity', proximity.map(v => v.toFixed(4)).join(','));
+      try {
+        const list = await apiFetch(`/api/geocode/suggest?${params}`);
+        if (id !== requestId.current) return; // a newer keystroke won
+        setSuggestions(list);
+        setHighlight(-1);
+        setOpen(list.length > 0);
+      } catch {
+        if (id === requestId.current) setOpen(false);
+      }
+    }, SUGGEST_DELAY_MS);
+  };
+
+  const pick = (suggestion) => {
+    clearTimeout(timer.current);
+    requestId.current++;
+    setOpen(false);
+    onSelect(suggestion);
+  };
+
+  const handleKeyDown = (e) => {
+    if (open && e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlight(h => Math.min(suggestions.length - 1, h + 1));
+    } else if (open && e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlight(h => Math.max(-1, h - 1));
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    } else if (e.key === 'Enter') {
+      if (open && highlight >= 0) {
+        e.preventDefault();
+        pick(suggestions[highlight]);
+      } else {
+        setOpen(false);
+        onEnter?.();
+      }
+    }
+  };
+
+  return (
+    <div className="place-input">
+      <input
+        className="route-input"
+        placeholder={placeholder}
+        value={value}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={open}
+        onChange={e => handleChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setOpen(false)}
+      />
+      {pinned && <span className="place-input__pinned" title="Exact location picked">✓</span>}
+      {open && (
+        <ul className="suggest" role="listbox">
+          {suggestions.map((s, i) => (
+            <li
+              key={`${s.label}-${i}`}
+              role="option"
+              aria-selected={i === highlight}
+              className={`suggest__item ${i === highlight ? 'suggest__item--active' : ''}`}
+              // mousedown, not click: it fires before the input's blur closes the list
+              onMouseDown={e => { e.preventDefault(); pick(s); }}
+              onMouseEnter={() => setHighlight(i)}
+            >
+              <span className="suggest__icon">{KIND_ICONS[s.kind] || '📍'}</span>
+              <span className="suggest__text">
+                <b>{s.name}</b>
+                <small>{s.label}</small>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+import React from 'react';
+import { TRAVEL_MODES, PM_LABEL } from '../constants';
+
+const LEG_ICONS = { walk: '🚶', metro: '🚇', rail: '🚆', tram: '🚊', ferry: '⛴', bus: '🚌' };
+
+const formatClock = (iso) =>
+  new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// India NAQI categories (metrics.aqi) on the same tints as PM2.5
+const AQI_CLASSES = {
+  Good: 'good', Satisfactory: 'good', Moderate: 'moderate',
+  Poor: 'sensitive', 'Very Poor': 'hazardous', Severe: 'hazardous',
+};
+const POLLUTANT_TAGS = [
+  { key: 'pm10', label: 'PM10', unit: 'µg/m³' },
+  { key: 'no2',  label: 'NO₂',  unit: 'µg/m³' },
+  { key: 'o3',   label: 'O₃',   unit: 'µg/m³' },
+  { key: 'co',   label: 'CO',   unit: 'mg/m³' },
+];
+
+// ── Departure timeline ────────────────────────────────────────────────
+// One bar per candidate leave-time, height = health score.
+function DepartureTimeline({ plan }) {
+  const { timeline, best } = plan;
+  return (
+    <div className="timeline" onClick={e => e.stopPropagation()}>
+      <div className="timeline__head">
+        <span>Best time to leave</span>
+        <b>{formatClock(best.departAt)}</b>
+      </div>
+      <div className="timeline__bars">
+        {timeline.map(slot => (
+          <div
+            key={slot.departAt}
+            className={`timeline__bar ${slot.departAt === best.departAt ? 'timeline__bar--best' : ''}`}
+            style={{ height: `${Math.max(6, slot.healthScore)}%` }}
+            title={`${formatClock(slot.departAt)} · score ${slot.healthScore} · ${slot.doseUg} µg · PM2.5 ${slot.pm25}`}
+          />
+        ))}
+      </div>
+      <div className="timeline__axis">
+        <span>{formatClock(timeline[0].departAt)}</span>
+        <span>{formatClock(timeline[timeline.length - 1].departAt)}</span>
+      </div>
+    </div>
+  );
+}
+
+// ── Leg breakdown ─────────────────────────────────────────────────────
+// Multi-stop trips: time and dose for each leg.
+// Transit legs (kind set) show the line ridden; trip legs the stop reached
+function LegBreakdown({ legs, bands }) {
+  return (
+    <ol className="legs">
+      {legs.map((leg, i) => (
+        <li key={i} className="legs__row" title={`${leg.from} → ${leg.to} via ${leg.name}${leg.enclosed ? ' (enclosed)' : ''}`}>
+          <span className="legs__name">
+            {leg.kind && <>{LEG_ICONS[leg.kind]} </>}
+            {leg.kind && leg.kind !== 'walk' && (
+              <b className="legs__line" style={leg.color ? { '--line': leg.color } : undefined}>{leg.name}</b>
+            )}
+            {leg.to}
+          </span>
+          <small>{leg.durationMins} min</small>
+          <b className={`legs__dose legs__dose--${PM_LABEL(leg.metrics.pm25, bands).cls}`}>{leg.metrics.doseUg} µg</b>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+// ── Route card ────────────────────────────────────────────────────────
+// One result card: score, time, the air and weather met on the way,
+// advice, legs and the departure timeline. `config` is the card's slot
+// (fastest, healthiest, …); children are the actions under the card.
+export default function RouteCard({ config, route: r, bands, active, onSelect, children }) {
+  const { label, icon, color, bg } = config;
+  const pm = PM_LABEL(r.metrics?.pm25 ?? 0, bands);
+  const travelMode = TRAVEL_MODES.find(m => m.key === r.mode);
+  return (
+    <div
+      className={`rcard rcard--${bg} ${active ? 'rcard--active' : ''}`}
+      style={{ '--c': color }}
+      onClick={onSelect}
+    >
+      {active && <div className="rcard__activebar" />}
+
+      <div className="rcard__head">
+        <span className="rcard__badge">{icon} {label}</span>
+        <span className="rcard__score">{r.healthScore}<sup>/100</sup></span>
+      </div>
+
+      <p className="rcard__via">
+        {r.detour && <span className="rcard__detour" title="Generated to avoid a PM2.5 hotspot">↝ detour</span>}
+        {r.name}
+      </p>
+      {r.departAt && (
+        <p className="rcard__times">Leave {formatClock(r.departAt)} · arrive {formatClock(r.arriveAt)}</p>
+      )}
+
+      <div className="rcard__stats">
+        <div className="rcard__stat">
+          <b>{r.durationMins}</b><small>min</small>
+        </div>
+        <div className="rcard__divider" />
+        <div className="rcard__stat">
+          <b>{r.distanceKm}</b><small>km</small>
+        </div>
+        {r.extraMins > 0 && (
+          <>
+            <div className="rcard__divider" />
+            <div className="rcard__stat rcard__stat--extra" title="Extra time versus the fastest route">
+              <b>+{r.extraMins}</b><small>min</small>
+            </div>
+          </>
+        )}
+        {travelMode && (
+          <span className="rcard__mode">{travelMode.icon} {travelMode.label}</span>
+        )}
+        {r.mode === 'transit' && <span className="rcard__mode">🚇 Metro &amp; bus</span>}
+      </div>
+
+      {r.metrics && (
+        <div className="rcard__env">
+          {r.metrics.aqi && (
+            <span
+              className={`env-tag env-tag--aqi env-tag--${AQI_CLASSES[r.metrics.aqi.category]}`}
+              title={`India NAQI over the trip, driven by ${r.metrics.aqi.dominant.toUpperCase()}`}
+            >
+              AQI <b>{r.metrics.aqi.value}</b> <em>{r.metrics.aqi.category}</em>
+            </span>
+          )}
+          <span className="env-tag" title="Air temperature along the route">
+            🌡 {Math.round(r.metrics.tempCelsius)}°C
+            {r.metrics.feelsLikeC != null && Math.round(r.metrics.feelsLikeC) !== Math.round(r.metrics.tempCelsius) && (
+              <em>feels {Math.round(r.metrics.feelsLikeC)}°C</em>
+            )}
+          </span>
+          {r.metrics.humidity != null && (
+            <span className="env-tag" title="Relative humidity">💧 {r.metrics.humidity}%</span>
+          )}
+          {r.metrics.rainChance > 0 && (
+            <span className="env-tag" title="Highest chance of rain along the route">
+              ☔ {r.metrics.rainChance}%{r.metrics.rainMm > 0 && <em>{r.metrics.rainMm} mm</em>}
+            </span>
+          )}
+          {r.metrics.uvIndex != null && (
+            <span className={`env-tag ${r.metrics.uvIndex >= 8 ? 'env-tag--hazardous' : ''}`} title="Highest UV index along the route">
+              ☀ UV {r.metrics.uvIndex}
+            </span>
+          )}
+          <span className={`env-tag env-tag--pm env-tag--${pm.cls}`}>
+            💨 {r.metrics.pm25} <em>{pm.text}</em>
+          </span>
+          {POLLUTANT_TAGS.filter(p => r.metrics.pollutants?.[p.key] != null).map(p => (
+            <span key={p.key} className="env-tag" title={`Average ${p.label} over the trip (${p.unit})`}>
+              {p.label} {r.metrics.pollutants[p.key]}
+            </span>
+          ))}
+          {r.metrics.doseUg != null && (
+            <span className="env-tag" title="Total PM2.5 inhaled over the trip">
+              🫁 {r.metrics.doseUg} <em>µg inhaled</em>
+            </span>
+          )}
+          {r.metrics.peakPm25 != null && (
+            <span className="env-tag" title="Highest PM2.5 reading on the route">
+              ▲ {r.metrics.peakPm25} <em>peak</em>
+            </span>
+          )}
+          {r.metrics.minutesAboveWho > 0 && (
+            <span className="env-tag" title="Minutes spent above the WHO PM2.5 guideline (15 µg/m³)">
+              ⏱ {r.metrics.minutesAboveWho} <em>min &gt; WHO</em>
+            </span>
+          )}
+        </div>
+      )}
+
+      {r.advice?.length > 0 && (
+        <ul className="rcard__advice">
+          {r.advice.map(tip => <li key={tip}>{tip}</li>)}
+        </ul>
+      )}
+
+      {(r.legs?.length > 1 || r.mode === 'transit') && <LegBreakdown legs={r.legs} bands={bands} />}
+
+      {r.departurePlan && <DepartureTimeline plan={r.departurePlan} />}
+
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, cleanup } from '@testing-library/react';
+import RouteCard from './RouteCard';
+
+afterEach(cleanup);
+
+const HEALTHIEST = { key: 'healthiest', label: 'Healthiest', icon: '🌿', color: '#0EA874', bg: 'healthiest' };
+const TRANSIT    = { key: 'transit', label: 'Transit', icon: '🚇', color: '#7C3AED', bg: 'transit' };
+
+// Shaped like a POST /api/routes route
+const route = (overrides = {}) => ({
+  id: 'route-1',
+  name: 'Kunhadi Road, Ring Road',
+  mode: 'cycling',
+  durationMins: 15,
+  extraMins: 3,
+  detour: false,
+  distanceKm: '8.6',
+  healthScore: 78,
+  metrics: {
+    pm25: 30, peakPm25: 55, doseUg: 12.4, minutesAboveWho: 9,
+    pollutants: { pm10: 52, no2: 16, o3: null, co: 0.36 },
+    aqi: { value: 64, category: 'Satisfactory', dominant: 'pm10' },
+    tempCelsius: 33.4, feelsLikeC: 35.9, humidity: 38, rainChance: 0, rainMm: 0, uvIndex: 7,
+  },
+  advice: ['It feels like 36°C; carry water.'],
+  departurePlan: null,
+  legs: [{ from: 'Kota Junction', to: 'Ring Road', name: 'Kunhadi Road', durationMins: 15, distanceKm: '8.6', metrics: { pm25: 30, doseUg: 12.4 } }],
+  ...overrides,
+});
+
+const tag = text => screen.getByText(text, { exact: false }).closest('.env-tag');
+
+describe('RouteCard', () => {
+  it('shows the score, route and trip time', () => {
+    render(<RouteCard config={HEALTHIEST} route={route()} />);
+
+    expect(screen.getByText('🌿 Healthiest')).toBeTruthy();
+    expect(screen.getByText('78').closest('.rcard__score')).toBeTruthy();
+    expect(screen.getByText('Kunhadi Road, Ring Road')).toBeTruthy();
+    expect(screen.getByText('+3').closest('.rcard__stat--extra')).toBeTruthy();
+    expect(screen.getByText('🚲 Cycle')).toBeTruthy();
+  });
+
+  it('labels PM2.5 with the result’s bands', () => {
+    const { rerender } = render(<RouteCard config={HEALTHIEST} route={route()} />);
+    expect(tag('💨 30').className).toContain('env-tag--moderate');
+    expect(tag('💨 30').textContent).toContain('Moderate');
+
+    rerender(<RouteCard config={HEALTHIEST} route={route()} bands={[9, 25, 40]} />);
+    expect(tag('💨 30').className).toContain('env-tag--sensitive');
+    expect(tag('💨 30').textContent).toContain('Sensitive');
+  });
+
+  it('shows the NAQI, weather and the pollutants that were reported', () => {
+    render(<RouteCard config={HEALTHIEST} route={route()} />);
+
+    expect(tag('AQI').className).toContain('env-tag--good');
+    expect(tag('AQI').textContent).toBe('AQI 64 Satisfactory');
+    expect(tag('🌡').textContent).toBe('🌡 33°Cfeels 36°C');
+    expect(screen.getByText('PM10 52')).toBeTruthy();
+    expect(screen.getByText('CO 0.36')).toBeTruthy();
+    expect(screen.queryByText(/^O₃/)).toBeNull();
+    expect(screen.queryByText(/☔/)).toBeNull();
+    expect(screen.getByText('It feels like 36°C; carry water.')).toBeTruthy();
+  });
+
+  it('breaks transit trips down by leg', () => {
+    render(<RouteCard config={TRANSIT} route={route({
+      mode: 'transit',
+      legs: [
+        { from: 'Start', to: 'Kota Junction', name: 'Walk 0.4 km', kind: 'walk', durationMins: 5, metrics: { pm25: 70, doseUg: 3.1 } },
+        { from: 'Kota Junction', to: 'Ring Road', name: 'Line 1', kind: 'metro', color: '#E11D48', durationMins: 12, metrics: { pm25: 10, doseUg: 1.2 } },
+      ],
+    })} />);
+
+    expect(screen.getByText('🚇 Metro & bus')).toBeTruthy();
+    const rows = document.querySelectorAll('.legs__row');
+    expect(rows).toHaveLength(2);
+    expect(rows[0].textContent).toContain('🚶');
+    expect(rows[1].querySelector('.legs__line').textContent).toBe('Line 1');
+    expect(rows[0].querySelector('.legs__dose').className).toContain('legs__dose--hazardous');
+    expect(rows[1].querySelector('.legs__dose').className).toContain('legs__dose--good');
+  });
+
+  it('marks the best time to leave', () => {
+    const slots = ['2026-10-19T08:00:00.000Z', '2026-10-19T08:30:00.000Z', '2026-10-19T09:00:00.000Z'];
+    const plan = {
+      timeline: slots.map((departAt, i) => ({ departAt, healthScore: [60, 82, 70][i], doseUg: 10, pm25: 30 })),
+      best: { departAt: slots[1], healthScore: 82 },
+    };
+    render(<RouteCard config={HEALTHIEST} route={route({ departurePlan: plan })} />);
+
+    const best = new Date(slots[1]).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    expect(document.querySelector('.timeline__head b').textContent).toBe(best);
+    expect(document.querySelectorAll('.timeline__bar')).toHaveLength(3);
+    expect(document.querySelector('.timeline__bar--best').style.height).toBe('82%');
+  });
+
+  it('selects on click and renders its actions when active', () => {
+    const onSelect = vi.fn();
+    const { container } = render(
+      <RouteCard config={HEALTHIEST} route={route({ detour: true })} active onSelect={onSelect}>
+        <button>▶ Start trip</button>
+      </RouteCard>
+    );
+
+    expect(container.firstChild.className).toContain('rcard--active');
+    expect(screen.getByText('↝ detour')).toBeTruthy();
+    expect(screen.getByText('▶ Start trip')).toBeTruthy();
+    fireEvent.click(screen.getByText('Kunhadi Road, Ring Road'));
+    expect(onSelect).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../api';
+import { TRAVEL_MODES, PLACE_PRESETS } from '../constants';
+import AlertEditor from './AlertEditor';
+
+// ── Saved places & commutes ───────────────────────────────────────────
+// Signed out: a compact email/password form.
+// Signed in:  place chips that fill the inputs, and one-click commutes.
+export default function SavedPanel({ token, onToken, start, end, mode, onPickPlace, onRunCommute }) {
+  const [places, setPlaces]     = useState([]);
+  const [commutes, setCommutes] = useState([]);
+  const [email, setEmail]       = useState('');
+  const [password, setPassword] = useState('');
+  const [authOpen, setAuthOpen] = useState(false);
+  const [placeLabel, setPlaceLabel] = useState(PLACE_PRESETS[0]);
+  const [alertFor, setAlertFor] = useState(null);
+  const [busy, setBusy]         = useState(false);
+  const [error, setError]       = useState('');
+
+  const load = useCallback(async () => {
+    if (!token) return;
+    try {
+      const [p, c] = await Promise.all([
+        apiFetch('/api/places', { token }),
+        apiFetch('/api/commutes', { token }),
+      ]);
+      setPlaces(p);
+      setCommutes(c);
+    } catch (err) {
+      // Expired session: drop the token and fall back to signed-out
+      if (err.status === 401) onToken(null);
+      else setError(err.message);
+    }
+  }, [token, onToken]);
+
+  useEffect(() => { load(); }, [load]);
+
+  // Wraps an API call with the busy flag and inline error
+  const run = async (fn) => {
+    setBusy(true);
+    setError('');
+    try { await fn(); }
+    catch (err) { setError(err.message); }
+    finally { setBusy(false); }
+  };
+
+  const authenticate = (kind) => run(async () => {
+    const { token: t } = await apiFetch(`/api/auth/${kind}`, { method: 'POST', body: { email, password } });
+    setPassword('');
+    setAuthOpen(false);
+    onToken(t);
+  });
+
+  const signOut = () => run(async () => {
+    await apiFetch('/api/auth/logout', { method: 'POST', token }).catch(() => {});
+    setPlaces([]);
+    setCommutes([]);
+    setAlertFor(null);
+    onToken(null);
+  });
+
+  // Saves whichever input is filled, preferring the destination
+  const savePlace = () => run(async () => {
+    const query = (end || start).trim();
+    if (!query) throw new Error('Type an address first, then save it as a place.');
+    await apiFetch('/api/places', { method: 'POST', token, body: { label: placeLabel, query } });
+    await load();
+  });
+
+  const deletePlace = (id) => run(async () => {
+    await apiFetch(`/api/places/${id}`, { method: 'DELETE', token });
+    await load();
+  });
+
+  const saveCommute = () => run(async () => {
+    if (!start.trim() || !end.trim()) throw new Error('Enter both start and destination to save a commute.');
+    await apiFetch('/api/commutes', { method: 'POST', token, body: { start, end, mode } });
+    await load();
+  });
+
+  const deleteCommute = (id) => run(async () => {
+    await apiFetch(`/api/commutes/${id}`, { method: 'DELETE', token });
+    if (alertFor?.id === id) setAlertFor(null);
+    await load();
+  });
+
+  // ── Signed out ──────────────────────────────────────────────────
+  if (!token) {
+    return (
+      <div className="saved">
+        {!authOpen ? (
+          <button className="saved__signin" onClick={() => setAuthOpen(true)}>
+            Sign in to save places &amp; commutes
+          </button>
+        ) : (
+          <form className="saved__auth" onSubmit={e => { e.preventDefault(); authenticate('login'); }}>
+            <input
+              className="saved__field"
+              type="email"
+              placeholder="Email"
+              autoComplete="email"
+              value={email}
+              onChange={e => setEmail(e.target.value)}
+            />
+            <input
+              className="saved__field"
+              type="password"
+              placeholder="Password (8+ characters)"
+              autoComplete="current-password"
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+            />
+            <div className="saved__row">
+              <button type="submit" className="saved__btn saved__btn--primary" disabled={busy}>Sign in</button>
+              <button type="button" className="saved__btn" disabled={busy} onClick={() => authenticate('register')}>
+                Create account
+              </button>
+              <button type="button" className="saved__link" onClick={() => setAuthOpen(false)}>Cancel</button>
+            </div>
+          </form>
+        )}
+        {error && <p className="saved__error">{error}</p>}
+      </div>
+    );
+  }
+
+  // ── Signed in ───────────────────────────────────────────────────
+  return (
+    <div className="saved">
+      <div className="saved__head">
+        <p className="section-label">Saved places</p>
+        <button className="saved__link" onClick={signOut} disabled={busy}>Sign out</button>
+      </div>
+
+      <div className="saved__chips">
+        {places.map(p => (
+          <span key={p.id} className="place-chip" title={p.query}>
+            <button className="place-chip__pick" onClick={() => onPickPlace(p.query)}>{p.label}</button>
+            <button className="place-chip__remove" onClick={() => deletePlace(p.id)} aria-label={`Remove ${p.label}`}>×</button>
+          </span>
+        ))}
+        <span className="saved__add">
+          <select value={placeLabel} onChange={e => setPlaceLabel(e.target.value)} className="saved__select">
+            {PLACE_PRESETS.map(l => <option key={l}>{l}</option>)}
+          </select>
+          <button className="saved__btn" onClick={savePlace} disabled={busy} title="Save the destination (or start) address">
+            + Save
+          </button>
+        </span>
+      </div>
+
+      <div className="saved__head">
+        <p className="section-label">Saved commutes</p>
+        <button className="saved__link" onClick={saveCommute} disabled={busy}>+ Save current</button>
+      </div>
+
+      {commutes.length === 0
+        ? <p className="saved__empty">No commutes yet — plan a trip and save it.</p>
+        : (
+          <ul className="saved__list">
+            {commutes.map(c => {
+              const m = TRAVEL_MODES.find(t => t.key === c.mode);
+              return (
+                <li key={c.id} className="commute-row">
+                  <button className="commute-row__run" onClick={() => onRunCommute(c)} title="Analyze this commute">
+                    <span>{m?.icon}</span>
+                    <span className="commute-row__name">{c.name}</span>
+                  </button>
+                  <button
+                    className={`commute-row__alert ${alertFor?.id === c.id ? 'commute-row__alert--open' : ''}`}
+                    onClick={() => setAlertFor(alertFor?.id === c.id ? null : c)}
+                    title="Alert me before I leave"
+                    aria-label={`Alerts for ${c.name}`}
+                  >
+                    🔔
+                  </button>
+                  <button className="place-chip__remove" onClick={() => deleteCommute(c.id)} aria-label={`Remove ${c.name}`}>×</button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+      {alertFor && <AlertEditor key={alertFor.id} token={token} commute={alertFor} onClose={() => setAlertFor(null)} />}
+
+      {error && <p className="saved__error">{error}</p>}
+    </div>
+  );
+}
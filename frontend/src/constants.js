@@ -0,0 +1,53 @@
+// ── Shared constants ──────────────────────────────────────────────────
+export const TRAVEL_MODES = [
+  { key: 'walking',     label: 'Walk',    icon: '🚶' },
+  { key: 'cycling',     label: 'Cycle',   icon: '🚲' },
+  { key: 'two-wheeler', label: 'Scooter', icon: '🛵' },
+  { key: 'driving',     label: 'Car',     icon: '🚗' },
+];
+
+export const PLACE_PRESETS = ['Home', 'Work', 'Gym'];
+
+// Basemap; public/sw.js caches tiles from this host for offline use
+export const TILE_URL = 'https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png';
+export const TILE_SUBDOMAINS = ['a', 'b', 'c'];  // Leaflet's default
+
+// Upper limits of Good / Moderate / Sensitive; results scored for a
+// sensitive health profile carry tighter ones (routes.health.bands)
+export const DEFAULT_PM_BANDS = [12, 35, 55];
+
+export const PM_LABEL = (v, [good, moderate, sensitive] = DEFAULT_PM_BANDS) => {
+  if (v <= good)      return { text: 'Good',      cls: 'good',      color: '#0EA874' };
+  if (v <= moderate)  return { text: 'Moderate',  cls: 'moderate',  color: '#D9A406' };
+  if (v <= sensitive) return { text: 'Sensitive', cls: 'sensitive', color: '#F07A1A' };
+  return                     { text: 'Hazardous', cls: 'hazardous', color: '#E5433A' };
+};
+
+// One entry per band, with the reading range it covers
+export const pmLegend = (bands = DEFAULT_PM_BANDS) => [...bands, Infinity].map((upper, i) => ({
+  ...PM_LABEL(upper, bands),
+  range: upper === Infinity ? `> ${bands[i - 1]}` : `${i ? bands[i - 1] + 1 : 0}–${upper}`,
+}));
+
+// Health profile choices; the backend (lib/health.js) owns the weights
+export const HEALTH_OPTIONS = {
+  condition: [
+    { key: 'none',      label: 'No condition' },
+    { key: 'asthma',    label: 'Asthma' },
+    { key: 'copd',      label: 'COPD / lung disease' },
+    { key: 'heart',     label: 'Heart condition' },
+    { key: 'pregnancy', label: 'Pregnant' },
+  ],
+  ageGroup: [
+    { key: 'child',  label: 'Child (under 14)' },
+    { key: 'adult',  label: 'Adult' },
+    { key: 'senior', label: 'Over 65' },
+  ],
+  activity: [
+    { key: 'light',    label: 'Easy pace' },
+    { key: 'moderate', label: 'Moderate pace' },
+    { key: 'vigorous', label: 'Vigorous pace' },
+  ],
+};
+
+export const DEFAULT_HEALTH = { condition: 'none', ageGroup: 'adult', activity: 'moderate' };
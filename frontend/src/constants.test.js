@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { PM_LABEL, pmLegend, DEFAULT_PM_BANDS } from './constants';
+
+describe('PM_LABEL', () => {
+  it('labels PM2.5 on the default bands, each upper limit inclusive', () => {
+    expect(DEFAULT_PM_BANDS).toEqual([12, 35, 55]);
+    expect(PM_LABEL(0).text).toBe('Good');
+    expect(PM_LABEL(12).text).toBe('Good');
+    expect(PM_LABEL(12.1).text).toBe('Moderate');
+    expect(PM_LABEL(35).text).toBe('Moderate');
+    expect(PM_LABEL(55).text).toBe('Sensitive');
+    expect(PM_LABEL(56).text).toBe('Hazardous');
+  });
+
+  it('gives each band its own class and colour', () => {
+    const labels = [5, 20, 45, 200].map(v => PM_LABEL(v));
+    expect(labels.map(l => l.cls)).toEqual(['good', 'moderate', 'sensitive', 'hazardous']);
+    expect(new Set(labels.map(l => l.color)).size).toBe(4);
+  });
+
+  it('uses the tighter bands of a sensitive profile', () => {
+    const bands = [9, 25, 40];
+    expect(PM_LABEL(30).text).toBe('Moderate');
+    expect(PM_LABEL(30, bands).text).toBe('Sensitive');
+    expect(PM_LABEL(45, bands).text).toBe('Hazardous');
+  });
+});
+
+describe('pmLegend', () => {
+  it('lists every band with the readings it covers', () => {
+    expect(pmLegend().map(({ text, range }) => [text, range])).toEqual([
+      ['Good', '0–12'],
+      ['Moderate', '13–35'],
+      ['Sensitive', '36–55'],
+      ['Hazardous', '> 55'],
+    ]);
+  });
+
+  it('follows the profile bands', () => {
+    expect(pmLegend([9, 25, 40]).map(b => b.range)).toEqual(['0–9', '10–25', '26–40', '> 40']);
+  });
+});
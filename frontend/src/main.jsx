@@ -3,6 +3,9 @@ import ReactDOM from 'react-dom/client'
 import 'leaflet/dist/leaflet.css'  // ← must be before App
 import App from './App.jsx'
 import './App.css'
+import { registerServiceWorker } from './offline'
+
+registerServiceWorker()
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
@@ -0,0 +1,98 @@
+// ── Live navigation helpers ───────────────────────────────────────────
+// Pure geometry on [lon, lat] arrays: where the traveller is along the
+// route, what comes next, and how polluted it is there. Distances along
+// the route are in km to match the backend's samples and steps.
+
+// Farther than this from the line (or the GPS accuracy, if worse) is off-route
+export const OFF_ROUTE_M = 50;
+// Same cut-off as the "Hazardous" band in the route cards; results for a
+// sensitive health profile bring a lower one
+export const HOT_PM25 = 55;
+// How far ahead to warn about a hot stretch
+export const HOT_LOOKAHEAD_KM = 0.3;
+
+const EARTH_RADIUS_M = 6371008.8;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance in metres
+export function distanceM([lon1, lat1], [lon2, lat2]) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+// Snaps a position onto the route line. Each segment is projected in a
+// local flat frame, which is accurate to well under a metre at city scale.
+export function locateOnRoute(coordinates, position) {
+  let best = { alongKm: 0, offRouteM: Infinity };
+  let walkedKm = 0;
+  const kx = Math.cos(toRad(position[1])) * EARTH_RADIUS_M * (Math.PI / 180);
+  const ky = EARTH_RADIUS_M * (Math.PI / 180);
+
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const [ax, ay] = coordinates[i];
+    const [bx, by] = coordinates[i + 1];
+    const dx = (bx - ax) * kx;
+    const dy = (by - ay) * ky;
+    const px = (position[0] - ax) * kx;
+    const py = (position[1] - ay) * ky;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSq)) : 0;
+    const offRouteM = Math.hypot(px - t * dx, py - t * dy);
+    const segmentKm = Math.sqrt(lengthSq) / 1000;
+
+    if (offRouteM < best.offRouteM) best = { alongKm: walkedKm + t * segmentKm, offRouteM };
+    walkedKm += segmentKm;
+  }
+  return { ...best, lengthKm: walkedKm };
+}
+
+// The next maneuver still ahead, skipping the departure
+export function nextStep(steps = [], alongKm) {
+  return steps.find(s => s.type !== 'depart' && s.atKm > alongKm + 0.01) || null;
+}
+
+// Reading of the sample stretch the traveller is in
+export function pm25At(samples = [], alongKm) {
+  let current = samples[0];
+  for (const s of samples) {
+    if (s.distanceKm > alongKm) break;
+    current = s;
+  }
+  return current?.pm25 ?? null;
+}
+
+// First hot sample within the lookahead, if any
+export function hotAhead(samples = [], alongKm, hotPm25 = HOT_PM25, lookaheadKm = HOT_LOOKAHEAD_KM) {
+  return samples.find(s => s.distanceKm > alongKm && s.distanceKm <= alongKm + lookaheadKm && s.pm25 >= hotPm25) || null;
+}
+
+export const formatDistance = (km) => (km < 1 ? `${Math.max(10, Math.round(km * 100) * 10)} m` : `${km.toFixed(1)} km`);
+
+// Time, distance and time-weighted PM2.5 of a recorded track
+// ([{ coordinates, at, pm25 }]); the backend measures the dose.
+export function summarizeTrack(track) {
+  let distance = 0;
+  let weightedPm = 0;
+  for (let i = 1; i < track.length; i++) {
+    distance += distanceM(track[i - 1].coordinates, track[i].coordinates);
+    weightedPm += ((track[i - 1].pm25 + track[i].pm25) / 2) * (track[i].at - track[i - 1].at);
+  }
+  const ms = track.length > 1 ? track[track.length - 1].at - track[0].at : 0;
+  return {
+    durationMins: Math.round(ms / 60e3),
+    distanceKm: (distance / 1000).toFixed(1),
+    pm25: Math.round(ms > 0 ? weightedPm / ms : track[0]?.pm25 ?? 0),
+  };
+}
+
+// The leg of a route (with per-leg distanceKm) at a distance along it
+export function legAt(legs, alongKm) {
+  let endKm = 0;
+  for (const leg of legs) {
+    endKm += Number(leg.distanceKm);
+    if (alongKm <= endKm) return leg;
+  }
+  return legs[legs.length - 1];
+}
@@ -0,0 +1,103 @@
+// ── Offline support ───────────────────────────────────────────────────
+// The service worker (public/sw.js) keeps the app shell and map tiles;
+// this keeps the last analysis per trip so it can be shown, marked
+// stale, without a connection. The refresh queued meanwhile is kept
+// with the other localStorage state in api.js.
+import { TILE_URL, TILE_SUBDOMAINS } from './constants';
+
+const RESULTS_CACHE = 'commute-results-v1';  // kept by public/sw.js on upgrade
+const MAX_RESULTS = 20;
+
+// Route tiles are fetched at the zooms people navigate at
+const TILE_ZOOMS = [12, 13, 14, 15, 16];
+const MAX_ROUTE_TILES = 600;
+
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('/sw.js').catch(() => {});
+}
+
+// ── Last result per trip ──────────────────────────────────────────────
+// A saved commute keeps its own entry; ad-hoc trips are keyed by their stops
+export const tripKey = ({ commuteId, start, end, mode, waypoints = [] }) => (commuteId
+  ? `commute-${commuteId}`
+  : [mode, start, ...waypoints, end].map(s => String(s).trim().toLowerCase()).join('|'));
+
+const resultUrl = key => `/offline/results?trip=${encodeURIComponent(key)}`;
+
+export async function saveResult(key, result) {
+  if (!('caches' in window)) return;
+  try {
+    const cache = await caches.open(RESULTS_CACHE);
+    const body = JSON.stringify({ savedAt: new Date().toISOString(), result });
+    await cache.delete(resultUrl(key));  // re-insert so the oldest entries come first
+    await cache.put(resultUrl(key), new Response(body, { headers: { 'Content-Type': 'application/json' } }));
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_RESULTS)).map(k => cache.delete(k)));
+  } catch {
+    // Storage full or blocked: offline copies are a nicety
+  }
+}
+
+// → { savedAt, result } or null
+export async function loadResult(key) {
+  if (!('caches' in window)) return null;
+  try {
+    const response = await (await caches.open(RESULTS_CACHE)).match(resultUrl(key));
+    return response ? await response.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+// Only a failed connection (tagged in api.js) counts, never any TypeError
+export const isNetworkError = (err) => !navigator.onLine || err?.network === true;
+
+// ── Map tiles along routes ────────────────────────────────────────────
+// Web Mercator tile of a point, as fractional x/y at zoom z
+function tileXY([lon, lat], z) {
+  const n = 2 ** z;
+  const rad = lat * Math.PI / 180;
+  return [
+    (lon + 180) / 360 * n,
+    (1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n,
+  ];
+}
+
+// The same URLs Leaflet requests ({s} from x + y, {r} on high-DPI screens)
+function tileUrl(x, y, z) {
+  return TILE_URL
+    .replace('{s}', TILE_SUBDOMAINS[Math.abs(x + y) % TILE_SUBDOMAINS.length])
+    .replace('{z}', z).replace('{x}', x).replace('{y}', y)
+    .replace('{r}', window.devicePixelRatio > 1 ? '@2x' : '');
+}
+
+// Every tile a line passes through at each zoom, finest zooms last
+export function routeTileUrls(geometries) {
+  const urls = new Set();
+  for (const z of TILE_ZOOMS) {
+    for (const { coordinates } of geometries) {
+      coordinates.forEach((point, i) => {
+        const [x1, y1] = tileXY(point, z);
+        const [x0, y0] = i ? tileXY(coordinates[i - 1], z) : [x1, y1];
+        // Long straight segments can skip tiles; step in half tiles
+        const steps = Math.max(1, Math.ceil(Math.hypot(x1 - x0, y1 - y0) * 2));
+        for (let s = 1; s <= steps; s++) {
+          const x = Math.floor(x0 + (x1 - x0) * s / steps);
+          const y = Math.floor(y0 + (y1 - y0) * s / steps);
+          urls.add(tileUrl(x, y, z));
+        }
+      });
+    }
+  }
+  return [...urls].slice(0, MAX_ROUTE_TILES);
+}
+
+// Asks the service worker to keep the tiles along these routes
+export async function cacheRouteTiles(routes) {
+  if (!('serviceWorker' in navigator)) return;
+  const registration = await navigator.serviceWorker.getRegistration();
+  const worker = registration?.active;
+  if (!worker) return;
+  worker.postMessage({ type: 'cache-tiles', urls: routeTileUrls(routes.filter(Boolean).map(r => r.geometry)) });
+}
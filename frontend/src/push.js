@@ -0,0 +1,29 @@
+import { apiFetch } from './api';
+
+// ── Web Push ──────────────────────────────────────────────────────────
+export const pushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+// VAPID keys are URL-safe base64; PushManager wants raw bytes
+function urlBase64ToUint8Array(base64) {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+}
+
+// Asks for permission, subscribes this browser and registers it with the backend
+export async function enablePush(token) {
+  if (!pushSupported()) throw new Error('This browser does not support push notifications.');
+  if (await Notification.requestPermission() !== 'granted') {
+    throw new Error('Notifications are blocked — allow them in your browser settings.');
+  }
+
+  const { publicKey } = await apiFetch('/api/push/key');
+  const registration = await navigator.serviceWorker.register('/sw.js');
+  const subscription = await registration.pushManager.getSubscription()
+    ?? await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(publicKey),
+    });
+
+  await apiFetch('/api/push/subscriptions', { method: 'POST', token, body: subscription.toJSON() });
+}
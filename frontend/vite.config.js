@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // Component tests (npm test) render into jsdom
+  test: {
+    environment: 'jsdom',
+  },
 })
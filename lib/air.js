@@ -0,0 +1,133 @@
+// ─────────────────────────────────────────────────────────────
+// Air quality along routes (via the configured provider, lib/providers)
+//
+// FIX #4: Cached for the life of the server, not per request.
+// Overlapping grid cells between different users' routes never
+// hit the air-quality provider twice. Entries live as long as
+// the provider's update interval and the least recently used
+// ones go first once the cap is hit.
+//
+// Readings are { pm25, pm10?, no2?, o3?, co? } per ~110 m cell
+// (gridKey() in lib/sampling.js).
+// ─────────────────────────────────────────────────────────────
+const { createCache } = require('./cache');
+const { gridKey, DEFAULT_BUDGET } = require('./sampling');
+const { hourKey } = require('./departure');
+const { QuotaExceededError } = require('./http');
+const { log } = require('./log');
+
+// Used only when the provider fails; never cached, so the next
+// request for that cell tries the provider again.
+const FALLBACK_PM25 = 15;
+
+// Below this share of the daily AQI quota, sample coarser
+const LOW_QUOTA_FRACTION = 0.2;
+
+/**
+ * @param {Object} opts
+ * @param {Object} opts.provider        From createAirQualityProvider().
+ * @param {Object} [opts.http]          lib/http.js client, for the provider's quota.
+ * @param {number} [opts.lookupBudget]  Uncached lookups one route request may spend.
+ * @param {number} [opts.maxEntries]    Cache cap.
+ * @param {string} [opts.snapshotDir]   Where the readings cache is snapshotted.
+ */
+function createAirQuality({ provider, http = null, lookupBudget = DEFAULT_BUDGET, maxEntries = 50000, snapshotDir = null }) {
+    // Whole readings per grid cell
+    const cache = createCache({
+        name: `air-${provider.name}`,
+        ttlMs: provider.updateIntervalMins * 60e3,
+        maxEntries,
+        snapshotDir,
+    });
+
+    // Hourly PM2.5 forecasts per grid cell: gridKey → Map(hourKey → pm25)
+    const forecastCache = createCache({
+        name: `aqi-forecast-${provider.name}`,
+        ttlMs: provider.updateIntervalMins * 60e3,
+        maxEntries: Math.ceil(maxEntries / 10),
+    });
+
+    // Times FALLBACK_PM25 stood in for a reading (GET /metrics)
+    let fallbacks = 0;
+
+    async function getCachedAQI(lon, lat) {
+        const cellKey = gridKey(lon, lat); // ~110m grid
+        const cached = cache.get(cellKey);
+        if (cached !== undefined) return cached;
+
+        try {
+            const reading = await provider.getAirQuality(lon, lat);
+            cache.set(cellKey, reading);
+            return reading;
+        } catch (error) {
+            fallbacks++;
+            log.warn('AQI fallback', { cell: cellKey, provider: provider.name, pm25: FALLBACK_PM25, error: error.message });
+            return { pm25: FALLBACK_PM25 };
+        }
+    }
+
+    // Only hours after the current one are forecast; the current hour
+    // falls back to the live reading already sampled for the route, as
+    // does every hour when the provider has no forecast.
+    async function getCachedAQIForecast(lon, lat, startTime, endTime) {
+        if (!provider.getPm25Forecast) return new Map();
+
+        const cellKey = gridKey(lon, lat);
+        const cached = forecastCache.get(cellKey) ?? new Map();
+
+        const nextHour = new Date(Math.floor(Date.now() / 3600e3 + 1) * 3600e3);
+        const from = new Date(Math.max(nextHour.getTime(), Math.floor(startTime.getTime() / 3600e3) * 3600e3));
+        if (from > endTime) return cached;
+
+        let complete = true;
+        for (let t = from.getTime(); t <= endTime.getTime(); t += 3600e3) {
+            if (!cached.has(hourKey(t))) { complete = false; break; }
+        }
+        if (complete) return cached;
+
+        try {
+            const series = await provider.getPm25Forecast(lon, lat, from, new Date(endTime.getTime() + 3600e3));
+            for (const [hour, pm25] of series) cached.set(hour, pm25);
+        } catch (error) {
+            log.warn('AQI forecast unavailable', { cell: cellKey, provider: provider.name, error: error.message });
+            return cached;
+        }
+        forecastCache.set(cellKey, cached);
+        return cached;
+    }
+
+    // Readings for a batch of distinct grid cells, as sampleRoutes()
+    // (lib/sampling.js) wants them; onCell runs as each one resolves,
+    // for progress reporting
+    const sampleOptions = (budget, onCell = () => {}) => ({
+        lookup: async cells => new Map(await Promise.all(
+            cells.map(async ({ cellKey, coordinates: [lon, lat] }) => {
+                const reading = await getCachedAQI(lon, lat);
+                onCell();
+                return [cellKey, reading];
+            })
+        )),
+        isCached: cellKey => cache.has(cellKey),
+        budget,
+    });
+
+    // Lookup budget for one request, shrunk as the provider's daily
+    // quota runs low; refuses work only once it is gone entirely.
+    function requestBudget() {
+        if (!provider.service || !http) return lookupBudget;
+
+        const { remaining, limit } = http.quota(provider.service);
+        if (remaining === 0) throw new QuotaExceededError(provider.service);
+
+        const budget = remaining < limit * LOW_QUOTA_FRACTION
+            ? Math.ceil(lookupBudget / 4)
+            : lookupBudget;
+        return Math.min(budget, remaining);
+    }
+
+    const stats = () => ({ fallbacks });
+
+    return { provider, cache, forecastCache, getCachedAQI, getCachedAQIForecast, sampleOptions, requestBudget, stats };
+}
+
+module.exports = { FALLBACK_PM25, createAirQuality };
@@ -0,0 +1,122 @@
+// ─────────────────────────────────────────────────────────────
+// Commute alert rules
+//
+// Pure helpers: when an alert is due, and whether a fresh route
+// analysis should notify the user. The scheduler does the I/O.
+// ─────────────────────────────────────────────────────────────
+
+// A new best route must beat the usual one by this many points
+const BETTER_ROUTE_MARGIN = 10;
+
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+// Wall-clock parts of an instant in an IANA time zone
+function zonedParts(date, timeZone) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', weekday: 'short',
+        }).formatToParts(date).map(p => [p.type, p.value])
+    );
+    return {
+        year: Number(parts.year), month: Number(parts.month), day: Number(parts.day),
+        hour: Number(parts.hour), minute: Number(parts.minute),
+        weekday: WEEKDAYS[parts.weekday],
+    };
+}
+
+// The instant at which the clocks in timeZone show the given wall time
+function zonedInstant({ year, month, day, hour, minute }, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const shown = zonedParts(new Date(guess), timeZone);
+    const offset = Date.UTC(shown.year, shown.month - 1, shown.day, shown.hour, shown.minute) - guess;
+    return new Date(guess - offset);
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Today's departure instant for an alert, or null when the alert
+ * does not run today.
+ *
+ * @param {{departTime:string, days:number[], timezone:string}} alert
+ * @param {Date} now
+ */
+function departureOn(alert, now) {
+    const today = zonedParts(now, alert.timezone);
+    if (!alert.days.includes(today.weekday)) return null;
+
+    const [hour, minute] = alert.departTime.split(':').map(Number);
+    return zonedInstant({ ...today, hour, minute }, alert.timezone);
+}
+
+/**
+ * The departure this alert should be checked for right now, i.e.
+ * one starting within leadMins that has not been checked yet.
+ */
+function dueDeparture(alert, now = new Date()) {
+    if (!alert.enabled) return null;
+    const departure = departureOn(alert, now);
+    if (!departure) return null;
+
+    const opensAt = departure.getTime() - alert.leadMins * 60e3;
+    if (now.getTime() < opensAt || now >= departure) return null;
+    if (alert.lastRunFor === departure.toISOString()) return null;
+    return departure;
+}
+
+const summarise = r => r && ({
+    name: r.name,
+    healthScore: r.healthScore,
+    pm25: r.metrics.pm25,
+    doseUg: r.metrics.doseUg,
+    durationMins: r.durationMins,
+});
+
+/**
+ * Decides whether a POST /api/routes result should notify.
+ *
+ * @param {Object} alert   maxPm25, minHealthScore, lastBestRoute, lastBestScore
+ * @param {Object} result  As returned by analyzeRoutes().
+ * @returns {{ triggered:boolean, reasons:string[], best:Object }}
+ */
+function evaluateAlert(alert, result) {
+    const best = result.healthiest;
+    const reasons = [];
+
+    if (alert.maxPm25 != null && best.metrics.pm25 > alert.maxPm25) {
+        reasons.push(`PM2.5 on the best route is ${best.metrics.pm25} µg/m³ (your limit: ${alert.maxPm25}).`);
+    }
+    if (alert.minHealthScore != null && best.healthScore < alert.minHealthScore) {
+        reasons.push(`Best health score is ${best.healthScore} (your minimum: ${alert.minHealthScore}).`);
+    }
+    if (alert.lastBestRoute && best.name !== alert.lastBestRoute) {
+        const usual = [result.fastest, result.healthiest, result.secondHealthiest]
+            .find(r => r?.name === alert.lastBestRoute);
+        const usualScore = usual?.healthScore ?? alert.lastBestScore;
+        if (usualScore != null && best.healthScore - usualScore >= BETTER_ROUTE_MARGIN) {
+            reasons.push(`${best.name} is clearly healthier than your usual ${alert.lastBestRoute} today (${best.healthScore} vs ${usualScore}).`);
+        }
+    }
+
+    return { triggered: reasons.length > 0, reasons, best: summarise(best) };
+}
+
+module.exports = {
+    BETTER_ROUTE_MARGIN,
+    zonedParts,
+    zonedInstant,
+    isValidTimeZone,
+    departureOn,
+    dueDeparture,
+    evaluateAlert,
+};
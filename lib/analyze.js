@@ -0,0 +1,567 @@
+// ─────────────────────────────────────────────────────────────
+// Route analysis
+//
+// The one scoring path: POST /api/routes, its streaming twin and
+// the commute alert scheduler all call analyzeRoutes(), so alerts
+// and on-screen results agree. Throws ApiError for client mistakes.
+//
+//   stops → coordinates (lib/geocode.js)
+//         → Mapbox alternatives per leg (lib/directions.js)
+//         → adaptive AQI sampling (lib/sampling.js, lib/air.js)
+//         → cleaner detours around hotspots (lib/detours.js)
+//         → candidates, ranked (lib/ranking.js)
+//         → departure plans on forecasts (lib/departure.js)
+//         → an optional metro/bus journey (lib/transit.js)
+// ─────────────────────────────────────────────────────────────
+const turf = require('@turf/turf');
+const { computeExposure, combineExposures } = require('./exposure');
+const { planJourney } = require('./transit');
+const { buildDepartureTimes, planTripDepartures } = require('./departure');
+const { MAX_STOPS, reorderPairs, bestStopOrder, joinLegs, joinSteps } = require('./trip');
+const { findHotspots, detourWaypoints, readMaxExtraMinutes } = require('./detours');
+const { sampleRoutes } = require('./sampling');
+const { ApiError } = require('./errors');
+const { createProgress } = require('./progress');
+const { log: defaultLog } = require('./log');
+const { resolveHealthProfile, profileChoices, healthAdvice } = require('./health');
+const { summarizeWeather } = require('./weather');
+const { isValidLonLat } = require('./geocode');
+const { TRAVEL_MODES, DEFAULT_MODE } = require('./directions');
+const {
+    roundMetrics, scoreTrip, buildCandidates, rankCandidates, rankByDeparture, pickMainRoutes,
+} = require('./ranking');
+
+// Google's Air Quality forecast reaches 96 hours ahead
+const FORECAST_HORIZON_HOURS = 96;
+
+// Detours tried per request: each costs a directions call plus sampling
+const MAX_DETOUR_REQUESTS = 8;
+const MAX_DETOURS_PER_LEG = 2;
+
+// Transit still gets this many lookups when the routes used the rest
+const MIN_TRANSIT_BUDGET = 12;
+
+const TRANSIT_PROFILES = { walk: 'walking', metro: 'metro' }; // anything else rides like a bus
+
+// A stop is either text to geocode or { query, coordinates } picked
+// from /api/geocode/suggest, which is used as-is
+function readStop(stop) {
+    if (stop && typeof stop === 'object') {
+        const coordinates = stop.coordinates ?? null;
+        if (coordinates !== null && !isValidLonLat(coordinates)) {
+            throw new ApiError(400, `Invalid coordinates for "${stop.query}"; expected [lon, lat].`);
+        }
+        const query = typeof stop.query === 'string' ? stop.query.trim() : '';
+        return { query: query || (coordinates ? coordinates.join(', ') : ''), coordinates };
+    }
+    return { query: typeof stop === 'string' ? stop.trim() : '', coordinates: null };
+}
+
+// Accepts either `stops` or `start` + `waypoints` + `end`
+function readStops({ stops, start, end, waypoints = [] }) {
+    const list = Array.isArray(stops)
+        ? stops
+        : [start, ...(Array.isArray(waypoints) ? waypoints : []), end];
+    const read = list.map(readStop);
+
+    if (read.length < 2 || !read[0].query || !read[read.length - 1].query) {
+        throw new ApiError(400, 'Start and end locations required.');
+    }
+    if (read.some(s => !s.query)) throw new ApiError(400, 'Every stop needs an address.');
+    if (read.length > MAX_STOPS) {
+        throw new ApiError(400, `A trip can have at most ${MAX_STOPS - 2} stops between start and destination.`);
+    }
+    return read;
+}
+
+// Every sampled point, ordered along the trip, for the map heatmap
+const roundSamples = samples => samples.map(({ coordinates, distanceKm, pm25 }) => ({
+    coordinates,
+    distanceKm: Number(distanceKm.toFixed(2)),
+    pm25:       Number(pm25.toFixed(1)),
+}));
+
+/**
+ * @param {Object}   opts
+ * @param {Object}   opts.geocoder       lib/geocode.js geocoder.
+ * @param {Function} opts.getDirections  From createDirections() (lib/directions.js).
+ * @param {Object}   opts.air            lib/air.js air quality.
+ * @param {Object}   opts.weather        lib/google-weather.js weather.
+ * @param {Object}   [opts.transitFeed]  GTFS feed (lib/gtfs.js) for metro/bus journeys.
+ * @returns {{ analyzeRoutes: Function }}
+ */
+function createRouteAnalyzer({ geocoder, getDirections, air, weather, transitFeed = null }) {
+    // Orders the intermediate stops for the lowest total dose, using the
+    // primary route of every leg that some order could need.
+    async function optimizeStopOrder(coords, { profile, mode, health, budget }) {
+        const pairs = reorderPairs(coords.length);
+        const routes = await Promise.all(pairs.map(([a, b]) => getDirections(profile, coords[a], coords[b], { alternatives: false, steps: false })));
+        const usable = pairs.map((pair, i) => ({ pair, route: routes[i][0] })).filter(p => p.route);
+
+        const features = usable.map(p => turf.feature(p.route.geometry));
+        const sampling = await sampleRoutes(features, air.sampleOptions(budget));
+
+        const doses = new Map();
+        usable.forEach(({ pair, route }, i) => {
+            const exposure = computeExposure({
+                samples: sampling.routes[i],
+                routeLengthKm: turf.length(features[i], { units: 'kilometers' }),
+                durationSec: route.duration,
+                mode,
+                health,
+            });
+            doses.set(pair.join('>'), exposure.doseUg);
+        });
+
+        return bestStopOrder(coords.length, (a, b) => doses.get(`${a}>${b}`) ?? Infinity);
+    }
+
+    // Samples one route option and works out its inhaled dose
+    function measureOption(option, samples, mode, health) {
+        option.samples  = samples;
+        option.lengthKm = turf.length(option.feature, { units: 'kilometers' });
+        // Inhaled-dose model: PM2.5 × breathing rate × time per segment
+        option.exposure = computeExposure({
+            samples,
+            routeLengthKm: option.lengthKm,
+            durationSec: option.route.duration,
+            mode,
+            health,
+        });
+        return option;
+    }
+
+    // Weather along each option: the raw readings, which whole-trip
+    // candidates pool across their legs, and the leg's own summary
+    async function attachWeather(options) {
+        const readings = await weather.weatherAlong(options.map(o => o.feature));
+        options.forEach((o, i) => {
+            o.weatherReadings = readings[i];
+            o.weather = summarizeWeather(readings[i]);
+        });
+    }
+
+    // Routes each leg around the PM2.5 hotspots on its cleanest
+    // alternative (lib/detours.js). Returns the detours that beat
+    // every Mapbox alternative of their leg within maxExtraMinutes.
+    async function searchDetours(legOptions, coords, { profile, mode, health, maxExtraMinutes, budget, log }) {
+        const hotspots = [];
+        const attempts = [];
+        legOptions.forEach((options, leg) => {
+            const cleanest = options.reduce((a, b) => (b.exposure.doseUg < a.exposure.doseUg ? b : a));
+            for (const hotspot of findHotspots(cleanest.samples, cleanest.lengthKm, cleanest.exposure.avgPm25)) {
+                hotspots.push({ leg, ...hotspot });
+                for (const via of detourWaypoints(cleanest.feature, hotspot, cleanest.lengthKm)) {
+                    attempts.push({ leg, via, severity: hotspot.severity });
+                }
+            }
+        });
+
+        // Worst hotspots first; stable sort keeps the nearest via-points first
+        const tried = attempts.sort((a, b) => b.severity - a.severity).slice(0, MAX_DETOUR_REQUESTS);
+        // A detour Mapbox fails on is one fewer to compare, not a failed trip
+        const routes = await Promise.all(tried.map(({ leg, via }) =>
+            getDirections(profile, coords[leg], coords[leg + 1], { alternatives: false, via }).catch(error => {
+                log.warn('detour skipped', { leg, error: error.message });
+                return [];
+            })
+        ));
+
+        const seen = new Set(legOptions.flat().map(o => `${o.leg}:${o.route.distance}:${o.route.duration}`));
+        const found = [];
+        tried.forEach(({ leg, via }, i) => {
+            const route = routes[i][0];
+            if (!route) return;
+            const fastestSec = Math.min(...legOptions[leg].map(o => o.route.duration));
+            const key = `${leg}:${route.distance}:${route.duration}`;
+            if (route.duration > fastestSec + maxExtraMinutes * 60 || seen.has(key)) return;
+            seen.add(key);
+            found.push({ leg, via, route, detour: true, feature: turf.feature(route.geometry) });
+        });
+
+        const result = { hotspots, tried: tried.length, lookups: 0, options: [] };
+        if (found.length === 0) return result;
+
+        const sampling = await sampleRoutes(found.map(o => o.feature), air.sampleOptions(budget));
+        found.forEach((option, i) => measureOption(option, sampling.routes[i], mode, health));
+        result.lookups = sampling.stats.lookups;
+
+        result.options = legOptions.flatMap((options, leg) => {
+            const bestDose = Math.min(...options.map(o => o.exposure.doseUg));
+            return found
+                .filter(o => o.leg === leg && o.exposure.doseUg < bestDose)
+                .sort((a, b) => a.exposure.doseUg - b.exposure.doseUg)
+                .slice(0, MAX_DETOURS_PER_LEG)
+                .map((o, k) => Object.assign(o, { alt: options.length + k }));
+        });
+        return result;
+    }
+
+    // ── Transit journeys (GTFS_PATH) ────────────────────────
+    // One local feed, e.g. a city metro. Walks get real Mapbox
+    // walking paths; walks and open-window rides are sampled like
+    // any route, enclosed metro rides only at their two stations.
+    async function analyzeTransit(from, to, { departAt, budget, fastestSec, health, log }) {
+        const journey = planJourney(transitFeed, from, to, departAt);
+        if (!journey) return null;
+
+        const geometries = await Promise.all(journey.legs.map(async leg => {
+            const straight = { type: 'LineString', coordinates: leg.kind === 'ride' ? leg.path : [leg.from.coordinates, leg.to.coordinates] };
+            if (leg.kind === 'ride') return straight;
+            const [walk] = await getDirections('walking', leg.from.coordinates, leg.to.coordinates, { alternatives: false, steps: false });
+            return walk?.geometry || straight;
+        }));
+        const features = geometries.map(g => turf.feature(g));
+
+        const outdoor = journey.legs.map((leg, i) => i).filter(i => !journey.legs[i].enclosed);
+        const [sampling, legWeather] = await Promise.all([
+            sampleRoutes(outdoor.map(i => features[i]), air.sampleOptions(budget)),
+            weather.weatherAlong(features),
+        ]);
+
+        // Waiting at a stop is spent in the same air as the ride that follows
+        const legStarts = journey.legs.map((leg, i) => (i === 0 ? journey.departAt : journey.legs[i - 1].arriveAt));
+        const legs = await Promise.all(journey.legs.map(async (leg, i) => {
+            const lengthKm = turf.length(features[i], { units: 'kilometers' });
+            const samples = leg.enclosed
+                ? [
+                    { coordinates: leg.from.coordinates, distanceKm: 0, ...(await air.getCachedAQI(...leg.from.coordinates)) },
+                    { coordinates: leg.to.coordinates, distanceKm: lengthKm, ...(await air.getCachedAQI(...leg.to.coordinates)) },
+                ]
+                : sampling.routes[outdoor.indexOf(i)];
+            const durationSec = (leg.arriveAt - legStarts[i]) / 1000;
+            const profile = TRANSIT_PROFILES[leg.kind === 'walk' ? 'walk' : leg.mode] || 'bus';
+            const exposure = computeExposure({ samples, routeLengthKm: lengthKm, durationSec, mode: profile, health });
+            return { ...leg, profile, geometry: geometries[i], samples, lengthKm, durationSec, exposure, weather: summarizeWeather(legWeather[i]) };
+        }));
+
+        const durationSec = (journey.arriveAt - journey.departAt) / 1000;
+        const exposure = combineExposures(legs);
+        const tripWeather = summarizeWeather(legWeather.flat());
+        const joined = joinLegs(legs);
+        const rides = legs.filter(l => l.kind === 'ride');
+
+        // Turn-by-turn for live navigation: one instruction per leg
+        let atKm = 0;
+        const steps = legs.map((leg, i) => {
+            const step = {
+                instruction: leg.kind === 'walk'
+                    ? `Walk to ${leg.to.name === 'Destination' ? 'your destination' : leg.to.name}`
+                    : `Take ${leg.route.name}${leg.headsign ? ` towards ${leg.headsign}` : ''} from ${leg.from.name}, ${leg.stopCount} stop${leg.stopCount > 1 ? 's' : ''} to ${leg.to.name}`,
+                type: i === 0 ? 'depart' : leg.kind === 'walk' ? 'walk' : 'board',
+                modifier: null,
+                name: leg.kind === 'walk' ? '' : leg.route.name,
+                coordinates: leg.from.coordinates,
+                atKm: Number(atKm.toFixed(3)),
+                distanceKm: Number(leg.lengthKm.toFixed(3)),
+            };
+            atKm += leg.lengthKm;
+            return step;
+        });
+        steps.push({
+            instruction: 'Arrive at your destination', type: 'arrive', modifier: null, name: '',
+            coordinates: to, atKm: Number(atKm.toFixed(3)), distanceKm: 0,
+        });
+
+        const route = {
+            id: 'transit',
+            name: rides.map(r => r.route.name).join(' → '),
+            mode: 'transit',
+            durationMins: Math.round(durationSec / 60),
+            extraMins: Math.round((durationSec - fastestSec) / 60),
+            detour: false,
+            distanceKm: legs.reduce((sum, l) => sum + l.lengthKm, 0).toFixed(1),
+            healthScore: scoreTrip(exposure, tripWeather, 'transit', health),
+            metrics: { ...roundMetrics(exposure), ...tripWeather },
+            departurePlan: null,
+            departAt: journey.departAt.toISOString(),
+            arriveAt: journey.arriveAt.toISOString(),
+            geometry: joined.geometry,
+            samples: roundSamples(joined.samples),
+            steps,
+            legs: legs.map(leg => ({
+                from: leg.from.name,
+                to: leg.to.name,
+                name: leg.kind === 'walk' ? `Walk ${leg.lengthKm.toFixed(1)} km` : leg.route.name,
+                kind: leg.kind === 'walk' ? 'walk' : leg.mode,
+                profile: leg.profile,
+                enclosed: Boolean(leg.enclosed),
+                color: leg.route?.color || null,
+                headsign: leg.headsign || null,
+                stopCount: leg.stopCount || 0,
+                departAt: leg.departAt.toISOString(),
+                arriveAt: leg.arriveAt.toISOString(),
+                durationMins: Math.round(leg.durationSec / 60),
+                distanceKm: leg.lengthKm.toFixed(1),
+                healthScore: scoreTrip(leg.exposure, leg.weather, leg.profile, health),
+                metrics: { ...roundMetrics(leg.exposure), ...leg.weather },
+            })),
+        };
+        route.advice = healthAdvice(route, health);
+        log.info('route scored', {
+            route: 'transit', name: route.name, durationMins: route.durationMins,
+            avgPm25: Number(exposure.avgPm25.toFixed(1)), doseUg: Number(exposure.doseUg.toFixed(1)), healthScore: route.healthScore,
+        });
+        return { route, lookups: sampling.stats.lookups };
+    }
+
+    // `progress` (lib/progress.js) hears about each stage as it runs,
+    // and gets every route as soon as it is scored; `log` is the
+    // request's logger (lib/log.js)
+    async function analyzeRoutes({
+        mode = DEFAULT_MODE, departAt, departBy, stepMins, optimizeOrder = false, maxExtraMinutes, transit = true,
+        health: healthInput, ...trip
+    } = {}, { progress = createProgress(), log = defaultLog } = {}) {
+        const stops = readStops(trip);
+        let queries = stops.map(s => s.query);
+
+        let detourMinutes;
+        let health;
+        try {
+            detourMinutes = readMaxExtraMinutes(maxExtraMinutes);
+            // Sensitive groups get heavier dose weights, an earlier heat penalty and tighter bands
+            health = resolveHealthProfile(healthInput ?? undefined);
+        } catch (error) {
+            throw new ApiError(400, error.message);
+        }
+
+        if (!Object.hasOwn(TRAVEL_MODES, mode)) {
+            throw new ApiError(400, `Unknown travel mode "${mode}". Use one of: ${Object.keys(TRAVEL_MODES).join(', ')}.`);
+        }
+        const travelMode = TRAVEL_MODES[mode];
+
+        // Optional departure window → candidate leave-times scored on forecasts
+        let departureTimes = null;
+        if (departAt) {
+            try {
+                departureTimes = buildDepartureTimes({ departAt, departBy, stepMins });
+            } catch (error) {
+                throw new ApiError(400, error.message);
+            }
+            const horizon = Date.now() + FORECAST_HORIZON_HOURS * 3600e3;
+            if (departureTimes[departureTimes.length - 1].getTime() > horizon) {
+                throw new ApiError(400, `Departures can be planned at most ${FORECAST_HORIZON_HOURS} hours ahead.`);
+            }
+        }
+
+        // Picked suggestions skip geocoding; typed text is biased towards the stop before it
+        progress.stage('geocode', stops.length);
+        let coords = [];
+        for (const stop of stops) {
+            coords.push(stop.coordinates || await geocoder.getCoordinates(stop.query, coords[coords.length - 1] || null));
+            progress.step();
+        }
+
+        let budget = air.requestBudget();
+
+        // Reordering only matters with two or more stops in between
+        const reorder = optimizeOrder && queries.length > 3;
+        progress.stage('directions', queries.length - 1 + (reorder ? 1 : 0));
+        let order = null;
+        if (reorder) {
+            order = await optimizeStopOrder(coords, { profile: travelMode.profile, mode, health, budget: Math.ceil(budget / 2) });
+            budget = Math.floor(budget / 2);
+            queries = order.map(i => queries[i]);
+            coords  = order.map(i => coords[i]);
+            log.info('stops reordered', { order });
+            progress.step();
+        }
+        // The profile the scores are computed for, so saved and shared results can be read the same way
+        const healthSummary = { ...profileChoices(health), bands: health.bands, heatThresholdC: health.heatThresholdC };
+        progress.send({ type: 'trip', stops: queries.map((query, i) => ({ query, coordinates: coords[i] })), order, health: healthSummary });
+
+        // Every leg with its Mapbox alternatives
+        const legRoutes = await Promise.all(coords.slice(1).map(async (to, i) => {
+            const routes = await getDirections(travelMode.profile, coords[i], to);
+            progress.step();
+            return routes;
+        }));
+        legRoutes.forEach((routes, i) => {
+            if (routes.length === 0) {
+                throw new ApiError(404, `No ${mode} routes found from "${queries[i]}" to "${queries[i + 1]}".`, 'no-route', { mode });
+            }
+        });
+
+        const destination = coords[coords.length - 1];
+
+        // FIX #3: turf functions need a Feature, not a raw geometry object.
+        // Passing route.geometry directly caused silent null returns.
+        const options = legRoutes.flatMap((routes, leg) => routes.map((route, alt) => ({
+            leg, alt, route, feature: turf.feature(route.geometry),
+        })));
+
+        // Adaptive sampling across all alternatives of all legs, deduped on the AQI grid.
+        // The budget caps uncached lookups, so it is only a rough total for cells.
+        progress.stage('sampling', budget);
+        const sampling = await sampleRoutes(options.map(o => o.feature), air.sampleOptions(budget, () => progress.step()));
+        log.info('routes sampled', { mode, options: options.length, ...sampling.stats });
+
+        options.forEach((option, i) => measureOption(option, sampling.routes[i], mode, health));
+        await attachWeather(options);
+        for (const o of options) {
+            progress.send({
+                type: 'option',
+                leg: o.leg,
+                alt: o.alt,
+                name: o.route.legs[0].summary || `Alternative Route ${o.alt + 1}`,
+                samples: o.samples.length,
+                pm25: Math.round(o.exposure.avgPm25),
+            });
+        }
+        const legOptions = legRoutes.map((_, leg) => options.filter(o => o.leg === leg));
+
+        // Actively look for cleaner routes around hotspots (0 minutes turns it off)
+        let detours = null;
+        if (detourMinutes > 0) {
+            progress.stage('detours');
+            detours = await searchDetours(legOptions, coords, {
+                profile: travelMode.profile,
+                mode,
+                health,
+                maxExtraMinutes: detourMinutes,
+                budget: Math.max(0, budget - sampling.stats.lookups),
+                log,
+            });
+            await attachWeather(detours.options);
+            detours.options.forEach(o => legOptions[o.leg].push(o));
+            log.info('detours searched', { hotspots: detours.hotspots.length, tried: detours.tried, cleaner: detours.options.length });
+        }
+
+        // maxExtraMinutes also bounds detours across the whole trip
+        const candidates = buildCandidates(legOptions, { mode, health, maxExtraMinutes: detourMinutes });
+        const { byDuration, byScore, shortlist } = rankCandidates(candidates);
+
+        // Re-score the shortlist on forecast PM2.5 at every candidate leave-time
+        if (departureTimes) {
+            const longestSec = legRoutes.reduce((sum, routes) => sum + Math.max(...routes.map(r => r.duration)), 0);
+            const windowStart = departureTimes[0];
+            const windowEnd   = new Date(departureTimes[departureTimes.length - 1].getTime() + longestSec * 1000);
+
+            // Destination feels-like forecast, covering the latest possible arrival
+            const hours = Math.min(240, Math.max(1, Math.ceil((windowEnd.getTime() - Date.now()) / 3600e3) + 1));
+            const tempForecast = await weather.getForecast(destination[0], destination[1], hours);
+
+            const forecasts = new Map(); // option → per-sample hourly series
+            const planned = new Set(shortlist.flatMap(c => c.legs));
+            progress.stage('departures', planned.size);
+            for (const option of planned) {
+                forecasts.set(option, await Promise.all(
+                    option.samples.map(({ coordinates: [lon, lat] }) => air.getCachedAQIForecast(lon, lat, windowStart, windowEnd))
+                ));
+                progress.step();
+            }
+
+            for (const candidate of shortlist) {
+                candidate.departurePlan = planTripDepartures({
+                    legs: candidate.legs.map(option => ({
+                        samples: option.samples,
+                        routeLengthKm: option.lengthKm,
+                        durationSec: option.route.duration,
+                        pm25At: (i, hour) => forecasts.get(option)[i].get(hour),
+                    })),
+                    mode,
+                    times: departureTimes,
+                    tempAt: hour => tempForecast.get(hour),
+                    fallbackTemp: candidate.weather.feelsLikeC,
+                    health,
+                    // Forecasts cover PM2.5 and temperature only; the rest is taken as now
+                    conditions: { uvIndex: candidate.weather.uvIndex, pollutants: candidate.exposure.pollutants },
+                });
+            }
+        }
+
+        const legName = o => (o.detour
+            ? `Detour via ${o.route.legs[0].summary || 'quieter streets'}`
+            : o.route.legs[0].summary || `Alternative Route ${o.alt + 1}`);
+
+        const toRoute = candidate => {
+            const { legs, exposure } = candidate;
+            const joined = legs.length === 1
+                ? { geometry: legs[0].route.geometry, samples: legs[0].samples }
+                : joinLegs(legs.map(o => ({ geometry: o.route.geometry, lengthKm: o.lengthKm, samples: o.samples })));
+            const route = {
+                id: `route-${legs.map(o => o.alt).join('-')}`,
+                name: legs.map(legName).join(' → '),
+                mode,
+                durationMins: Math.round(candidate.durationSec / 60),
+                extraMins: Math.round((candidate.durationSec - byDuration[0].durationSec) / 60),
+                detour: legs.some(o => o.detour),
+                distanceKm: (legs.reduce((sum, o) => sum + o.route.distance, 0) / 1000).toFixed(1),
+                healthScore: candidate.healthScore,
+                metrics: { ...roundMetrics(exposure), ...candidate.weather },
+                departurePlan: candidate.departurePlan || null,
+                geometry: joined.geometry,
+                samples: roundSamples(joined.samples),
+                // Turn-by-turn instructions for live navigation
+                steps: joinSteps(legs.map(o => o.route)),
+                // Per-leg breakdown; a direct trip has a single leg
+                legs: legs.map((o, i) => ({
+                    from: queries[i],
+                    to: queries[i + 1],
+                    name: legName(o),
+                    durationMins: Math.round(o.route.duration / 60),
+                    distanceKm: (o.route.distance / 1000).toFixed(1),
+                    healthScore: scoreTrip(o.exposure, o.weather, mode, health),
+                    metrics: { ...roundMetrics(o.exposure), ...o.weather },
+                })),
+            };
+            route.advice = healthAdvice(route, health);
+
+            log.info('route scored', {
+                route: route.id, mode, name: route.name, durationMins: route.durationMins,
+                avgPm25: Number(exposure.avgPm25.toFixed(1)), doseUg: Number(exposure.doseUg.toFixed(1)), healthScore: route.healthScore,
+                ...(route.departurePlan && { bestDeparture: route.departurePlan.best.departAt }),
+            });
+            return route;
+        };
+
+        progress.stage('scoring', 3);
+        const mainRoutes = pickMainRoutes(byDuration[0], departureTimes ? rankByDeparture(shortlist) : byScore, toRoute);
+        for (const [key, route] of Object.entries(mainRoutes)) {
+            progress.send({ type: 'route', key, route });
+            progress.step();
+        }
+
+        // Metro/bus alternative for direct trips, leaving at the start of any window
+        let transitResult = null;
+        if (transitFeed && transit && coords.length === 2) {
+            progress.stage('transit');
+            const spent = sampling.stats.lookups + (detours?.lookups ?? 0);
+            // Optional extra: a failure here should not sink the main result
+            transitResult = await analyzeTransit(coords[0], coords[1], {
+                departAt: departureTimes ? departureTimes[0] : new Date(),
+                budget: Math.max(MIN_TRANSIT_BUDGET, budget - spent),
+                fastestSec: byDuration[0].durationSec,
+                health,
+                log,
+            }).catch(error => {
+                log.warn('transit skipped', { error: error.message });
+                return null;
+            });
+            if (transitResult) progress.send({ type: 'route', key: 'transit', route: transitResult.route });
+        }
+
+        return {
+            ...mainRoutes,
+            transit:          transitResult?.route || null,
+            stops:            queries.map((query, i) => ({ query, coordinates: coords[i] })),
+            health:           healthSummary,
+            order,
+            detours:          detours && {
+                maxExtraMinutes: detourMinutes,
+                hotspots: detours.hotspots.map(({ leg, coordinates, peakPm25, fromKm, toKm }) => ({
+                    leg, coordinates, peakPm25: Math.round(peakPm25), fromKm: Number(fromKm.toFixed(2)), toKm: Number(toKm.toFixed(2)),
+                })),
+                tried: detours.tried,
+                found: detours.options.length,
+                lookups: detours.lookups,
+            },
+            sampling:         { ...sampling.stats, transitLookups: transitResult?.lookups ?? 0 },
+            analyzedAt:       new Date().toISOString()
+        };
+    }
+
+    return { analyzeRoutes };
+}
+
+module.exports = { FORECAST_HORIZON_HOURS, readStops, createRouteAnalyzer };
@@ -0,0 +1,340 @@
+// ─────────────────────────────────────────────────────────────
+// The Express app
+//
+// Wires configuration (environment variables, see .env.example)
+// to the services and routers. index.js starts it; tests build
+// their own with an in-memory database and a fetch that replays
+// recorded API responses.
+// ─────────────────────────────────────────────────────────────
+const crypto = require('crypto');
+const express = require('express');
+const cors = require('cors');
+const { loadGtfs } = require('./gtfs');
+const { createAirQualityProvider } = require('./providers');
+const { createCache } = require('./cache');
+const { gridKey, DEFAULT_BUDGET } = require('./sampling');
+const { parseBbox, displayCells, averageReadings, toFeatureCollection } = require('./grid');
+const { createHttpClient } = require('./http');
+const { ApiError, describeError, sendError } = require('./errors');
+const { createProgress } = require('./progress');
+const { createGeocoder } = require('./geocode');
+const { createAirQuality } = require('./air');
+const { createGoogleWeather } = require('./google-weather');
+const { TRAVEL_MODES, createDirections } = require('./directions');
+const { createRouteAnalyzer } = require('./analyze');
+const { openDatabase } = require('./db');
+const { createAccountRouter } = require('./routes/account');
+const { createHistoryRouter } = require('./routes/history');
+const { createAlertsRouter } = require('./routes/alerts');
+const { createShareRouter } = require('./routes/share');
+const { createGeocodeRouter } = require('./routes/geocode');
+const { createNotifier } = require('./notify');
+const { createAlertScheduler } = require('./scheduler');
+const { parseList, checkClient, rateLimit } = require('./guard');
+const { log } = require('./log');
+const { createMetrics } = require('./metrics');
+const { createHealthCheck } = require('./healthcheck');
+const { createStatusRouter } = require('./routes/status');
+
+const CACHE_SNAPSHOT_INTERVAL_MINS = 5;
+
+// A client's own X-Request-Id is kept when it looks like one
+const REQUEST_ID = /^[\w.:-]{8,64}$/;
+// Polled by monitors; logged at debug so they do not drown the rest
+const QUIET_ROUTES = new Set(['/healthz', '/metrics']);
+// Where /healthz probes providers that had no recent traffic: New Delhi
+const PROBE_POINT = [77.209, 28.6139];
+
+/**
+ * @param {Object}   [env]         Configuration, normally process.env.
+ * @param {Object}   [opts]
+ * @param {Function} [opts.fetch]  What outbound calls go through in the end.
+ * @returns {{ app: Object, db: Object, scheduler: Object, analyzeRoutes: Function, saveCaches: Function }}
+ *          The scheduler is not started.
+ */
+function createApp(env = process.env, { fetch = globalThis.fetch } = {}) {
+    const app = express();
+
+    // ── Request IDs, logs and latency (lib/log.js, lib/metrics.js) ──
+    // Every request gets an ID, sent back in X-Request-Id and error
+    // bodies and carried by each log line it causes (req.log).
+    const metrics = createMetrics();
+    const requestDuration = metrics.histogram('commute_http_request_duration_seconds', 'Time to answer a request, by route pattern.');
+    const errorResponses = metrics.counter('commute_http_errors_total', 'Error responses by error code (lib/errors.js).');
+
+    app.use((req, res, next) => {
+        const given = req.get('x-request-id');
+        req.id = given && REQUEST_ID.test(given) ? given : crypto.randomUUID();
+        req.log = log.child({ requestId: req.id });
+        res.set('X-Request-Id', req.id);
+
+        const started = process.hrtime.bigint();
+        res.on('finish', () => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            // Patterns rather than paths keep the label values few
+            const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+            requestDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+            if (res.locals.errorCode) errorResponses.inc({ code: res.locals.errorCode });
+
+            const level = res.statusCode >= 500 ? 'error' : QUIET_ROUTES.has(route) ? 'debug' : 'info';
+            req.log[level]('request', {
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                route,
+                status: res.statusCode,
+                ms: Math.round(seconds * 1000),
+                ...(res.locals.errorCode && { code: res.locals.errorCode }),
+            });
+        });
+        next();
+    });
+
+    // ── Who may call the API (lib/guard.js) ─────────────────
+    // Browsers must come from CORS_ORIGINS; other clients need an
+    // X-API-Key once API_KEYS is set. Behind a reverse proxy set
+    // TRUST_PROXY (e.g. 1) so rate limits see the real client address.
+    const corsOrigins = parseList(env.CORS_ORIGINS || 'http://localhost:5173');
+    const apiKeys = parseList(env.API_KEYS);
+    if (env.TRUST_PROXY) {
+        const hops = Number(env.TRUST_PROXY);
+        app.set('trust proxy', Number.isNaN(hops) ? env.TRUST_PROXY : hops);
+    }
+
+    // Exports are downloaded by fetch(), which only sees the filename if exposed
+    app.use(cors({ origin: corsOrigins, exposedHeaders: ['Content-Disposition', 'X-Request-Id'] }));
+    app.use(express.json());
+    app.use('/api', checkClient({ origins: corsOrigins, apiKeys }));
+    app.use('/api', rateLimit({ name: 'API', perMinute: Number(env.RATE_LIMIT_PER_MIN) || 120 }));
+
+    // Stricter limits where each request spends external quota
+    const routesLimit  = rateLimit({ name: 'route analysis', perMinute: Number(env.ROUTES_RATE_LIMIT_PER_MIN) || 10 });
+    const geocodeLimit = rateLimit({ name: 'geocoding', perMinute: Number(env.GEOCODE_RATE_LIMIT_PER_MIN) || 60 });
+    const gridLimit    = rateLimit({ name: 'AQI grid', perMinute: Number(env.GRID_RATE_LIMIT_PER_MIN) || 30 });
+    // …and where each request runs scrypt or guesses a password
+    const authLimit    = rateLimit({ name: 'sign-in', perMinute: Number(env.AUTH_RATE_LIMIT_PER_MIN) || 10, perIp: true });
+
+    // ── Outbound HTTP: every external call goes through these limits ──
+    // Daily quotas default to the free tiers; override per service.
+    const http = createHttpClient({
+        concurrency: Number(env.HTTP_MAX_CONCURRENCY) || 12,
+        timeoutMs:   Number(env.HTTP_TIMEOUT_MS) || 8000,
+        retries:     2,
+        services: {
+            'mapbox':             { perMinute: 300, dailyQuota: Number(env.MAPBOX_DAILY_QUOTA) || 3000 },
+            'google-air-quality': { perMinute: 600, dailyQuota: Number(env.GOOGLE_AQ_DAILY_QUOTA) || 10000 },
+            'google-weather':     { perMinute: 600, dailyQuota: Number(env.GOOGLE_WEATHER_DAILY_QUOTA) || 10000 },
+            'openaq':             { perMinute: 60,  dailyQuota: Number(env.OPENAQ_DAILY_QUOTA) || 2000 },
+        },
+        fetch,
+    });
+
+    const aqProvider = createAirQualityProvider(env, http);
+    log.info('air-quality provider', { provider: aqProvider.name });
+
+    // ── Services and their caches ───────────────────────────
+    // Set CACHE_DIR to snapshot the caches to disk across restarts.
+    const cacheDir = env.CACHE_DIR || null;
+    const cacheMaxEntries = Number(env.CACHE_MAX_ENTRIES) || 50000;
+
+    const geocoder = createGeocoder({ token: env.MAPBOX_ACCESS_TOKEN, fetch: http.forService('mapbox') });
+    const getDirections = createDirections({ token: env.MAPBOX_ACCESS_TOKEN, fetch: http.forService('mapbox') });
+    const air = createAirQuality({
+        provider: aqProvider,
+        http,
+        // Uncached AQI lookups one /api/routes request may spend
+        lookupBudget: Number(env.AQI_MAX_LOOKUPS_PER_REQUEST) || DEFAULT_BUDGET,
+        maxEntries: cacheMaxEntries,
+        snapshotDir: cacheDir,
+    });
+    const weather = createGoogleWeather({
+        apiKey: env.GOOGLE_API_KEY,
+        fetch: http.forService('google-weather'),
+        maxEntries: Math.ceil(cacheMaxEntries / 10),
+        snapshotDir: cacheDir,
+    });
+
+    // Suggestions repeat a lot while people type, and people locate
+    // themselves from the same places; a day is plenty for both
+    const geocodeCache = createCache({
+        name: 'geocode',
+        ttlMs: 24 * 3600e3,
+        maxEntries: Math.ceil(cacheMaxEntries / 10),
+    });
+
+    const persistentCaches = [air.cache, weather.cache];
+    const saveCaches = () => { if (cacheDir) persistentCaches.forEach(c => c.save()); };
+    if (cacheDir) {
+        for (const cache of persistentCaches) {
+            log.info('cache restored', { cache: cache.name, entries: cache.load(), dir: cacheDir });
+        }
+        setInterval(saveCaches, CACHE_SNAPSHOT_INTERVAL_MINS * 60e3).unref();
+    }
+
+    // One local transit feed, e.g. a city metro (lib/gtfs.js)
+    const transitFeed = env.GTFS_PATH ? loadGtfs(env.GTFS_PATH) : null;
+    const { analyzeRoutes } = createRouteAnalyzer({ geocoder, getDirections, air, weather, transitFeed });
+
+    app.use('/api', createGeocodeRouter({ geocoder, cache: geocodeCache, limit: geocodeLimit }));
+
+    // ── Accounts, saved places and commutes (lib/routes/account.js)
+    const db = openDatabase(env.DB_PATH || 'data/commute.db');
+    app.use('/api', createAccountRouter({ db, travelModes: Object.keys(TRAVEL_MODES), authLimit }));
+
+    // ── GET /api/quota — outbound calls, errors and quota per service
+    app.get('/api/quota', (req, res) => {
+        res.json(http.stats());
+    });
+
+    // ── GET /api/cache/stats — hit/miss counters per cache ──
+    app.get('/api/cache/stats', (req, res) => {
+        res.json([air.cache, air.forecastCache, weather.cache, geocodeCache].map(c => c.stats()));
+    });
+
+    // ── GET /api/aqi/grid?bbox=75.80,25.15,75.90,25.25 ──────
+    // PM2.5 over the map view as GeoJSON squares (lib/grid.js): cached
+    // readings averaged per cell, plus a few fresh lookups for empty
+    // cells nearest the middle. `pending` counts cells still empty,
+    // so the client can ask again to fill them in.
+    const gridLookupBudget = Number(env.AQI_GRID_LOOKUPS_PER_REQUEST) || 12;
+
+    app.get('/api/aqi/grid', gridLimit, async (req, res) => {
+        let bbox;
+        try {
+            bbox = parseBbox(req.query.bbox);
+        } catch (error) {
+            throw new ApiError(400, error.message);
+        }
+
+        try {
+            const grid = displayCells(bbox);
+            const { cellDeg, cells } = grid;
+            const values = averageReadings(grid, air.cache.entries());
+
+            const [west, south, east, north] = bbox;
+            const centre = [(west + east) / 2, (south + north) / 2];
+            const distance = ([lon, lat]) => Math.hypot(lon - centre[0], lat - centre[1]);
+            const empty = cells.filter(c => !values.has(c.key))
+                .sort((a, b) => distance(a.sampleAt) - distance(b.sampleAt));
+
+            const fresh = empty.slice(0, gridLookupBudget);
+            await Promise.all(fresh.map(async cell => {
+                const reading = await air.getCachedAQI(...cell.sampleAt);
+                // Uncached means the provider failed and this is the fallback value
+                if (air.cache.has(gridKey(...cell.sampleAt))) values.set(cell.key, { pm25: reading.pm25, readings: 1 });
+            }));
+
+            res.json({
+                ...toFeatureCollection(cells, values),
+                cellDeg,
+                pending: cells.filter(c => !values.has(c.key)).length,
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // ── POST /api/routes ────────────────────────────────────
+    // Recent results, so exports and share links use exactly what
+    // the user was shown rather than geometry sent back by the client
+    const resultCache = createCache({ name: 'results', ttlMs: 3600e3, maxEntries: 500 });
+
+    function rememberResult(result) {
+        const resultId = crypto.randomBytes(9).toString('base64url');
+        resultCache.set(resultId, result);
+        return { ...result, resultId };
+    }
+
+    app.post('/api/routes', routesLimit, async (req, res) => {
+        try {
+            res.json(rememberResult(await analyzeRoutes(req.body, { log: req.log })));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // ── POST /api/routes/stream — the same analysis as Server-Sent Events
+    //   progress  { stage, label, done, total, percent }
+    //   trip      { stops, order, health } once the stops are placed
+    //   option    { leg, alt, name, samples, pm25 } per sampled alternative
+    //   route     { key, route } as each card's route is scored
+    //   result    the POST /api/routes response; the stream then ends
+    //   error     { error, status, code, requestId }
+    // The body is the same as POST /api/routes, so browsers read the
+    // stream with fetch() rather than EventSource (GET only).
+    app.post('/api/routes/stream', routesLimit, async (req, res) => {
+        res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+        res.flushHeaders();
+
+        // A client that goes away stops getting events; the analysis
+        // still finishes and its readings stay cached
+        let open = true;
+        res.on('close', () => { open = false; });
+        const send = ({ type, ...data }) => {
+            if (open) res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        try {
+            const result = await analyzeRoutes(req.body, { progress: createProgress(send), log: req.log });
+            send({ type: 'result', ...rememberResult(result) });
+        } catch (error) {
+            const described = describeError(error, req.log);
+            res.locals.errorCode = described.code;
+            send({ type: 'error', ...described, requestId: req.id });
+        }
+        res.end();
+    });
+
+    // ── Scheduled commute alerts — reuse the same analysis path
+    const notifier = createNotifier({ db, env });
+    const scheduler = createAlertScheduler({ db, analyzeRoutes, notifier });
+    app.use('/api', createAlertsRouter({ db, scheduler, notifier }));
+    app.use('/api', createShareRouter({ db, results: resultCache }));
+    // Trips taken (lib/routes/history.js), with metrics from the cached results
+    app.use('/api', createHistoryRouter({ db, results: resultCache }));
+
+    // ── GET /healthz and GET /metrics (lib/routes/status.js) ──
+    const healthCheck = createHealthCheck({
+        config: {
+            MAPBOX_ACCESS_TOKEN: env.MAPBOX_ACCESS_TOKEN,
+            GOOGLE_API_KEY: env.GOOGLE_API_KEY,
+            ...(aqProvider.name === 'openaq' && { OPENAQ_API_KEY: env.OPENAQ_API_KEY }),
+        },
+        http,
+        providers: [
+            { name: 'mapbox', service: 'mapbox', probe: () => geocoder.reverse(...PROBE_POINT) },
+            { name: 'air-quality', service: aqProvider.service || null, probe: () => aqProvider.getAirQuality(...PROBE_POINT) },
+            { name: 'weather', service: 'google-weather', probe: () => weather.getWeather(...PROBE_POINT) },
+        ],
+    });
+
+    const perService = key => () => http.stats().map(s => ({ labels: { service: s.service }, value: s[key] }));
+    metrics.counter('commute_external_requests_total', 'Calls to external APIs, retries included.', perService('calls'));
+    metrics.counter('commute_external_errors_total', 'External API calls that failed or got an error status.', perService('errors'));
+    metrics.counter('commute_external_retries_total', 'External API calls retried.', perService('retries'));
+    metrics.gauge('commute_external_quota_remaining', 'Calls left in the daily quota.', perService('remaining'));
+
+    const caches = [air.cache, air.forecastCache, weather.cache, geocodeCache, resultCache];
+    const perCache = key => () => caches.map(c => ({ labels: { cache: c.name }, value: c.stats()[key] }));
+    metrics.counter('commute_cache_hits_total', 'Cache lookups answered from the cache.', perCache('hits'));
+    metrics.counter('commute_cache_misses_total', 'Cache lookups that missed.', perCache('misses'));
+    metrics.gauge('commute_cache_hit_ratio', 'Hits per lookup since start.', perCache('hitRate'));
+    metrics.gauge('commute_cache_entries', 'Entries held.', perCache('size'));
+
+    metrics.counter('commute_fallback_values_total', 'Readings replaced by a default because the provider failed.', () => [
+        { labels: { value: 'pm25' }, value: air.stats().fallbacks },
+        { labels: { value: 'temperature' }, value: weather.stats().fallbacks },
+    ]);
+
+    app.use(createStatusRouter({ healthCheck, metrics }));
+
+    // ── Errors thrown by the routes above (ApiError or unexpected);
+    // express.json() rejects a bad body with a client-safe status and message
+    app.use((error, req, res, next) => {
+        if (res.headersSent) return next(error);
+        sendError(res, error.expose ? new ApiError(error.status, error.message) : error);
+    });
+
+    return { app, db, scheduler, analyzeRoutes, saveCaches };
+}
+
+module.exports = { createApp };
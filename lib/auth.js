@@ -0,0 +1,86 @@
+// ─────────────────────────────────────────────────────────────
+// Email/password accounts with bearer-token sessions
+//
+// Passwords are scrypt-hashed with a per-user salt, off the main
+// thread so a sign-in does not stall other requests. Session
+// tokens are random; only their SHA-256 is stored, so a leaked
+// database does not leak live sessions.
+// ─────────────────────────────────────────────────────────────
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { ApiError } = require('./errors');
+
+const SESSION_DAYS = 30;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEYLEN = 64;
+// Checked against for unknown emails; no password matches it
+const NO_USER_HASH = `${'0'.repeat(32)}:${'0'.repeat(SCRYPT_KEYLEN * 2)}`;
+
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = (await scrypt(password, salt, SCRYPT_KEYLEN)).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+// Without a stored hash (no such user) scrypt still runs, so the
+// answer takes as long as for a wrong password and does not reveal
+// which emails have accounts
+async function verifyPassword(password, stored) {
+    const [salt, hash] = (stored || NO_USER_HASH).split(':');
+    const candidate = await scrypt(password, salt, SCRYPT_KEYLEN);
+    return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex')) && Boolean(stored);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createSession(db, userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_DAYS * 86400e3).toISOString();
+    db.prepare('INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)')
+        .run(hashToken(token), userId, expiresAt);
+    return token;
+}
+
+function deleteSession(db, token) {
+    db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(hashToken(token));
+}
+
+function bearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+}
+
+function findUserByToken(db, token) {
+    return db.prepare(`
+        SELECT users.id, users.email
+        FROM sessions JOIN users ON users.id = sessions.user_id
+        WHERE sessions.token_hash = ? AND sessions.expires_at > ?
+    `).get(hashToken(token), new Date().toISOString()) || null;
+}
+
+/**
+ * Express middleware: sets req.user from the bearer token.
+ * With `required`, passes on an ApiError 401 when there is no valid session.
+ */
+function authenticate(db, { required = true } = {}) {
+    return (req, res, next) => {
+        const token = bearerToken(req);
+        req.user = token ? findUserByToken(db, token) : null;
+        if (required && !req.user) return next(new ApiError(401, 'Sign in required.'));
+        next();
+    };
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    hashPassword,
+    verifyPassword,
+    createSession,
+    deleteSession,
+    bearerToken,
+    authenticate,
+};
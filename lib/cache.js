@@ -0,0 +1,115 @@
+// ─────────────────────────────────────────────────────────────
+// Bounded TTL cache with LRU eviction and JSON snapshots
+//
+// Map keeps insertion order, so re-inserting a key on every hit
+// makes the first key the least recently used one. Snapshots
+// let a restart reuse readings instead of re-spending API quota.
+// ─────────────────────────────────────────────────────────────
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./log');
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.name          Used in logs and as the snapshot file name.
+ * @param {number} opts.ttlMs         Entry lifetime; Infinity never expires.
+ * @param {number} opts.maxEntries    Least recently used entries beyond this are evicted.
+ * @param {string} [opts.snapshotDir] When set, load/save `<dir>/<name>.json`.
+ */
+function createCache({ name, ttlMs, maxEntries, snapshotDir = null }) {
+    const entries = new Map(); // key → { value, expiresAt }
+    const stats = { hits: 0, misses: 0, expired: 0, evictions: 0 };
+    const snapshotPath = snapshotDir ? path.join(snapshotDir, `${name}.json`) : null;
+
+    function get(key) {
+        const entry = entries.get(key);
+        if (!entry) {
+            stats.misses++;
+            return undefined;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            stats.expired++;
+            stats.misses++;
+            return undefined;
+        }
+        entries.delete(key);
+        entries.set(key, entry);
+        stats.hits++;
+        return entry.value;
+    }
+
+    function set(key, value, expiresAt = Date.now() + ttlMs) {
+        entries.delete(key);
+        entries.set(key, { value, expiresAt });
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+            stats.evictions++;
+        }
+    }
+
+    function has(key) {
+        const entry = entries.get(key);
+        return Boolean(entry) && entry.expiresAt > Date.now();
+    }
+
+    // Live [key, value] pairs, oldest use first; does not count as
+    // use, so scanning leaves the LRU order and hit rates alone
+    function* liveEntries() {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt > now) yield [key, entry.value];
+        }
+    }
+
+    function getStats() {
+        const lookups = stats.hits + stats.misses;
+        return {
+            name,
+            size: entries.size,
+            maxEntries,
+            ttlMins: Number.isFinite(ttlMs) ? ttlMs / 60e3 : null,
+            ...stats,
+            hitRate: lookups ? Number((stats.hits / lookups).toFixed(3)) : null,
+        };
+    }
+
+    function load() {
+        if (!snapshotPath || !fs.existsSync(snapshotPath)) return 0;
+        try {
+            const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+            if (snapshot.version !== SNAPSHOT_VERSION) return 0;
+
+            const now = Date.now();
+            for (const [key, value, expiresAt] of snapshot.entries) {
+                // JSON has no Infinity: null means "never expires"
+                const expiry = expiresAt ?? Infinity;
+                if (expiry > now) set(key, value, expiry);
+            }
+            return entries.size;
+        } catch (error) {
+            log.warn('ignoring unreadable cache snapshot', { cache: name, path: snapshotPath, error: error.message });
+            return 0;
+        }
+    }
+
+    // Synchronous so it can run from a process exit handler
+    function save() {
+        if (!snapshotPath) return;
+        const now = Date.now();
+        const live = [...entries]
+            .filter(([, entry]) => entry.expiresAt > now)
+            .map(([key, entry]) => [key, entry.value, Number.isFinite(entry.expiresAt) ? entry.expiresAt : null]);
+
+        fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+        const tmpPath = `${snapshotPath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ version: SNAPSHOT_VERSION, savedAt: new Date(now).toISOString(), entries: live }));
+        fs.renameSync(tmpPath, snapshotPath);
+    }
+
+    return { name, get, set, has, entries: liveEntries, load, save, stats: getStats };
+}
+
+module.exports = { createCache };
@@ -0,0 +1,141 @@
+// ─────────────────────────────────────────────────────────────
+// SQLite storage
+//
+// Schema changes are appended to MIGRATIONS; the database's
+// user_version records how many have run, so each one applies
+// exactly once. Never edit a migration that has shipped.
+// ─────────────────────────────────────────────────────────────
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS = [
+    // 1 — accounts, sessions, saved places and commutes
+    `
+    CREATE TABLE users (
+        id            INTEGER PRIMARY KEY,
+        email         TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        created_at    TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+
+    CREATE TABLE sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        expires_at TEXT NOT NULL
+    );
+
+    CREATE TABLE places (
+        id         INTEGER PRIMARY KEY,
+        user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        label      TEXT NOT NULL,
+        query      TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        UNIQUE (user_id, label)
+    );
+
+    CREATE TABLE commutes (
+        id         INTEGER PRIMARY KEY,
+        user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name       TEXT NOT NULL,
+        start      TEXT NOT NULL,
+        "end"      TEXT NOT NULL,
+        mode       TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+    CREATE INDEX commutes_user ON commutes(user_id);
+    `,
+
+    // 2 — trips actually taken, with the fastest option kept for comparison
+    `
+    CREATE TABLE trips (
+        id                    INTEGER PRIMARY KEY,
+        user_id               INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        commute_id            INTEGER REFERENCES commutes(id) ON DELETE SET NULL,
+        start                 TEXT NOT NULL,
+        "end"                 TEXT NOT NULL,
+        mode                  TEXT NOT NULL,
+        route_name            TEXT NOT NULL,
+        duration_mins         REAL NOT NULL,
+        distance_km           REAL NOT NULL,
+        pm25                  REAL NOT NULL,
+        dose_ug               REAL NOT NULL,
+        health_score          INTEGER NOT NULL,
+        fastest_duration_mins REAL NOT NULL,
+        fastest_dose_ug       REAL NOT NULL,
+        taken_at              TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+    CREATE INDEX trips_user_taken ON trips(user_id, taken_at);
+    `,
+
+    // 3 — scheduled commute alerts and Web Push subscriptions
+    `
+    CREATE TABLE commute_alerts (
+        commute_id       INTEGER PRIMARY KEY REFERENCES commutes(id) ON DELETE CASCADE,
+        user_id          INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        depart_time      TEXT NOT NULL,                      -- "HH:MM", local to timezone
+        days             TEXT NOT NULL DEFAULT '1,2,3,4,5',  -- ISO weekdays, 1 = Monday
+        timezone         TEXT NOT NULL DEFAULT 'Asia/Kolkata',
+        lead_mins        INTEGER NOT NULL DEFAULT 30,
+        max_pm25         REAL,
+        min_health_score INTEGER,
+        webhook_url      TEXT,
+        push             INTEGER NOT NULL DEFAULT 1,
+        enabled          INTEGER NOT NULL DEFAULT 1,
+        last_run_for     TEXT,                               -- departure instant last checked
+        last_best_route  TEXT,
+        last_best_score  INTEGER,
+        last_result      TEXT                                -- JSON of the last evaluation
+    );
+
+    CREATE TABLE push_subscriptions (
+        endpoint   TEXT PRIMARY KEY,
+        user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        p256dh     TEXT NOT NULL,
+        auth       TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+    `,
+
+    // 4 — shared route snapshots behind short links
+    `
+    CREATE TABLE shared_routes (
+        id         TEXT PRIMARY KEY,                       -- short random slug
+        user_id    INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        route_key  TEXT NOT NULL,                          -- fastest | healthiest | secondHealthiest
+        snapshot   TEXT NOT NULL,                          -- JSON of the POST /api/routes result
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+    `,
+
+    // 5 — trips measured from a live-navigation GPS track
+    `
+    ALTER TABLE trips ADD COLUMN tracked INTEGER NOT NULL DEFAULT 0;
+    `,
+
+    // 6 — sensitive-group health profile used to score a user's routes
+    `
+    ALTER TABLE users ADD COLUMN health_profile TEXT;       -- JSON { condition, ageGroup, activity }
+    `,
+];
+
+function openDatabase(dbPath) {
+    if (dbPath !== ':memory:') fs.mkdirSync(path.dirname(path.resolve(dbPath)), { recursive: true });
+
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+
+    const current = db.pragma('user_version', { simple: true });
+    const migrate = db.transaction(() => {
+        for (let v = current; v < MIGRATIONS.length; v++) {
+            db.exec(MIGRATIONS[v]);
+            db.pragma(`user_version = ${v + 1}`);
+        }
+    });
+    migrate();
+
+    return db;
+}
+
+module.exports = { openDatabase };
@@ -0,0 +1,124 @@
+// ─────────────────────────────────────────────────────────────
+// Departure-time planning
+//
+// Scores a route at several leave-times using hourly forecasts.
+// The traveller reaches each sample point at
+//   departAt + distanceKm × (duration / routeLength)
+// so a long trip can straddle two forecast hours. On a multi-stop
+// trip each leg sets off when the previous one arrives.
+// The forecast lookups are passed in, keeping this module free
+// of network code.
+// ─────────────────────────────────────────────────────────────
+const { computeExposure, combineExposures, scoreExposure } = require('./exposure');
+
+const MAX_WINDOW_HOURS = 12;
+const MIN_STEP_MINS = 15;
+const DEFAULT_STEP_MINS = 30;
+const DEFAULT_WINDOW_HOURS = 2;
+
+// Forecast series are keyed by UTC hour, e.g. "2026-03-04T07"
+function hourKey(date) {
+    return new Date(date).toISOString().slice(0, 13);
+}
+
+/**
+ * Expands a departAt / departBy window into candidate leave-times.
+ * Throws with a user-facing message when the window is invalid.
+ *
+ * @param {Object} opts
+ * @param {string} opts.departAt   Earliest leave-time (ISO 8601).
+ * @param {string} [opts.departBy] Latest leave-time; defaults to departAt + 2 h.
+ * @param {number} [opts.stepMins] Spacing between candidates.
+ * @returns {Date[]}
+ */
+function buildDepartureTimes({ departAt, departBy, stepMins = DEFAULT_STEP_MINS }) {
+    const from = new Date(departAt);
+    if (Number.isNaN(from.getTime())) throw new Error(`Invalid departAt "${departAt}".`);
+
+    const to = departBy ? new Date(departBy) : new Date(from.getTime() + DEFAULT_WINDOW_HOURS * 3600e3);
+    if (Number.isNaN(to.getTime())) throw new Error(`Invalid departBy "${departBy}".`);
+    if (to < from) throw new Error('departBy must not be before departAt.');
+    if (to - from > MAX_WINDOW_HOURS * 3600e3) throw new Error(`Departure window cannot exceed ${MAX_WINDOW_HOURS} hours.`);
+
+    const step = Number(stepMins);
+    if (!Number.isFinite(step) || step < MIN_STEP_MINS) throw new Error(`stepMins must be at least ${MIN_STEP_MINS}.`);
+
+    const times = [];
+    for (let t = from.getTime(); t <= to.getTime(); t += step * 60e3) {
+        times.push(new Date(t));
+    }
+    return times;
+}
+
+/**
+ * Scores one route at every candidate departure time.
+ *
+ * @param {Object}   opts
+ * @param {Array<{coordinates:number[], distanceKm:number, pm25:number}>} opts.samples
+ *        Current readings; used wherever the forecast has no value.
+ * @param {number}   opts.routeLengthKm
+ * @param {number}   opts.durationSec
+ * @param {string}   opts.mode
+ * @param {Date[]}   opts.times
+ * @param {(sampleIndex:number, hour:string) => number|undefined} opts.pm25At
+ * @param {(hour:string) => number|undefined} opts.tempAt  Destination feels-like temperature.
+ * @param {number}   opts.fallbackTemp
+ * @param {Object}   [opts.health]  From lib/health.js resolveHealthProfile().
+ * @param {Object}   [opts.conditions]  Other scoreExposure() inputs, taken as
+ *        constant over the window (current pollutants and UV).
+ * @returns {{ timeline: Array, best: Object }}
+ */
+function planDepartures({ samples, routeLengthKm, durationSec, pm25At, ...rest }) {
+    return planTripDepartures({ legs: [{ samples, routeLengthKm, durationSec, pm25At }], ...rest });
+}
+
+// Exposure on one leg when it starts at `departAt` (ms)
+function legExposureAt({ samples, routeLengthKm, durationSec, pm25At }, departAt, mode, health) {
+    const hoursPerKm = routeLengthKm > 0 ? (durationSec / 3600) / routeLengthKm : 0;
+    const forecastSamples = samples.map((sample, i) => {
+        const reachedAt = departAt + sample.distanceKm * hoursPerKm * 3600e3;
+        return { distanceKm: sample.distanceKm, pm25: pm25At(i, hourKey(reachedAt)) ?? sample.pm25 };
+    });
+    return computeExposure({ samples: forecastSamples, routeLengthKm, durationSec, mode, health });
+}
+
+/**
+ * Scores a multi-leg trip at every candidate departure time.
+ * Takes the same options as planDepartures(), with the per-route
+ * fields (samples, routeLengthKm, durationSec, pm25At) moved into
+ * one entry per leg.
+ *
+ * @returns {{ timeline: Array, best: Object }}
+ */
+function planTripDepartures({ legs, mode, times, tempAt, fallbackTemp, health, conditions = {} }) {
+    const timeline = times.map(departAt => {
+        let legStart = departAt.getTime();
+        const exposures = legs.map(leg => {
+            const exposure = legExposureAt(leg, legStart, mode, health);
+            legStart += leg.durationSec * 1000;
+            return { exposure, durationSec: leg.durationSec };
+        });
+
+        const feelsLikeC = tempAt(hourKey(legStart)) ?? fallbackTemp;
+        const exposure = combineExposures(exposures);
+        return {
+            departAt: departAt.toISOString(),
+            healthScore: scoreExposure({ ...conditions, doseUg: exposure.doseUg, tempCelsius: feelsLikeC, feelsLikeC, mode, health }),
+            doseUg: Number(exposure.doseUg.toFixed(1)),
+            pm25: Math.round(exposure.avgPm25),
+            feelsLikeC,
+        };
+    });
+
+    // Earliest slot wins ties, so nobody is told to wait for nothing
+    const best = timeline.reduce((a, b) => (b.healthScore > a.healthScore ? b : a));
+    return { timeline, best };
+}
+
+module.exports = {
+    MAX_WINDOW_HOURS,
+    hourKey,
+    buildDepartureTimes,
+    planDepartures,
+    planTripDepartures,
+};
@@ -0,0 +1,108 @@
+// ─────────────────────────────────────────────────────────────
+// Pollution-avoiding detours
+//
+// Mapbox alternatives often share the same congested arterial,
+// so ranking them is not enough. From the sampled readings we
+// find hotspots — stretches well above the route's average — and
+// propose via-points beside each one, on either side of the road.
+// lib/analyze.js routes through those via-points and scores the result
+// like any other alternative.
+//
+// Pure functions only — no network.
+// ─────────────────────────────────────────────────────────────
+const turf = require('@turf/turf');
+
+// A sample is hot when it is this much above the route average,
+// both relatively and in absolute µg/m³
+const HOTSPOT_FACTOR = 1.3;
+const HOTSPOT_MIN_EXCESS = 8;
+// Stretches this close to either end cannot be avoided
+const UNAVOIDABLE_KM = 0.5;
+const MAX_HOTSPOTS_PER_LEG = 2;
+const DEFAULT_MAX_EXTRA_MINUTES = 10;
+const MAX_EXTRA_MINUTES = 60;
+// Each hotspot is passed on both sides at these multiples of its half-width
+const OFFSET_FACTORS = [1, 2];
+const MIN_OFFSET_KM = 0.6;
+
+/**
+ * Runs of consecutive hot samples along one route, worst first.
+ * Severity is the PM2.5 excess over the average, integrated over
+ * the stretch (µg/m³ · km).
+ *
+ * @param {Array<{coordinates:number[], distanceKm:number, pm25:number}>} samples
+ * @param {number} routeLengthKm
+ * @param {number} avgPm25
+ * @returns {Array<{fromKm:number, toKm:number, peakPm25:number, coordinates:number[], severity:number}>}
+ */
+function findHotspots(samples, routeLengthKm, avgPm25) {
+    const threshold = Math.max(avgPm25 * HOTSPOT_FACTOR, avgPm25 + HOTSPOT_MIN_EXCESS);
+    const hotspots = [];
+    let current = null;
+
+    samples.forEach((sample, i) => {
+        if (sample.pm25 < threshold) {
+            current = null;
+            return;
+        }
+        const nextKm = samples[i + 1]?.distanceKm ?? routeLengthKm;
+        const severity = (sample.pm25 - avgPm25) * Math.max(0, nextKm - sample.distanceKm);
+        if (!current) {
+            current = { fromKm: sample.distanceKm, toKm: sample.distanceKm, peakPm25: 0, coordinates: null, severity: 0 };
+            hotspots.push(current);
+        }
+        current.toKm = sample.distanceKm;
+        current.severity += severity;
+        if (sample.pm25 > current.peakPm25) {
+            current.peakPm25 = sample.pm25;
+            current.coordinates = sample.coordinates;
+        }
+    });
+
+    return hotspots
+        .filter(h => h.toKm > UNAVOIDABLE_KM && h.fromKm < routeLengthKm - UNAVOIDABLE_KM)
+        .sort((a, b) => b.severity - a.severity)
+        .slice(0, MAX_HOTSPOTS_PER_LEG);
+}
+
+/**
+ * Via-points beside a hotspot, perpendicular to the route's heading
+ * through it, nearest first.
+ *
+ * @param {Object} lineFeature  turf LineString Feature of the route.
+ * @param {Object} hotspot      From findHotspots().
+ * @param {number} routeLengthKm
+ * @returns {number[][]}        [lon, lat] via-points.
+ */
+function detourWaypoints(lineFeature, hotspot, routeLengthKm) {
+    const opts = { units: 'kilometers' };
+    const before = turf.along(lineFeature, Math.max(0, hotspot.fromKm - 0.2), opts);
+    const after  = turf.along(lineFeature, Math.min(routeLengthKm, hotspot.toKm + 0.2), opts);
+    const heading = turf.bearing(before, after);
+    const halfWidthKm = Math.max(MIN_OFFSET_KM, (hotspot.toKm - hotspot.fromKm) / 2 + 0.3);
+
+    return OFFSET_FACTORS.flatMap(factor => [90, -90].map(turn =>
+        turf.destination(hotspot.coordinates, halfWidthKm * factor, heading + turn, opts).geometry.coordinates
+            .map(v => Number(v.toFixed(5)))
+    ));
+}
+
+/**
+ * Validates the maxExtraMinutes request parameter; 0 turns the
+ * detour search off. Throws with a user-facing message.
+ */
+function readMaxExtraMinutes(value) {
+    if (value === undefined || value === null || value === '') return DEFAULT_MAX_EXTRA_MINUTES;
+    const minutes = Number(value);
+    if (!Number.isFinite(minutes) || minutes < 0 || minutes > MAX_EXTRA_MINUTES) {
+        throw new Error(`maxExtraMinutes must be between 0 and ${MAX_EXTRA_MINUTES}.`);
+    }
+    return minutes;
+}
+
+module.exports = {
+    DEFAULT_MAX_EXTRA_MINUTES,
+    findHotspots,
+    detourWaypoints,
+    readMaxExtraMinutes,
+};
@@ -0,0 +1,44 @@
+// ─────────────────────────────────────────────────────────────
+// Mapbox Directions
+//
+// Travel modes map onto Mapbox directions profiles. Mapbox has
+// no two-wheeler profile, so scooters ride on the driving
+// network; how much air each mode breathes lives in
+// lib/exposure.js.
+// ─────────────────────────────────────────────────────────────
+const { ApiError } = require('./errors');
+
+const TRAVEL_MODES = {
+    walking:       { profile: 'walking' },
+    cycling:       { profile: 'cycling' },
+    driving:       { profile: 'driving' },
+    'two-wheeler': { profile: 'driving' },
+};
+const DEFAULT_MODE = 'driving';
+
+/**
+ * @param {Object}   opts
+ * @param {string}   opts.token  MAPBOX_ACCESS_TOKEN.
+ * @param {Function} opts.fetch  Fetch for the 'mapbox' service (lib/http.js).
+ * @returns {Function} getDirections(profile, from, to, opts) → Promise<Object[]>
+ *          Mapbox routes with GeoJSON geometry, best first; empty when none.
+ *          Throws ApiError 502 when Mapbox itself fails (bad token, 5xx).
+ */
+function createDirections({ token, fetch }) {
+    // `via` is a silent waypoint: the route passes it without a stop or U-turn
+    return async function getDirections(profile, from, to, { alternatives = true, via = null, steps = true } = {}) {
+        const points = via ? [from, via, to] : [from, to];
+        const path = points.map(([lon, lat]) => `${lon},${lat}`).join(';');
+        const waypoints = via ? '&waypoints=0;2' : '';
+        const url = `https://api.mapbox.com/directions/v5/mapbox/${profile}/${path}?alternatives=${alternatives && !via}${waypoints}&steps=${steps}&geometries=geojson&overview=full&access_token=${token}`;
+        const response = await fetch(url);
+        const data = await response.json();
+        // 422 is Mapbox saying the points cannot be routed (too far apart, …)
+        if (!response.ok && response.status !== 422) {
+            throw new ApiError(502, `Mapbox Directions Error: ${data.message || response.status}`, 'provider-unavailable');
+        }
+        return data.routes || [];
+    };
+}
+
+module.exports = { TRAVEL_MODES, DEFAULT_MODE, createDirections };
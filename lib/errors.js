@@ -0,0 +1,69 @@
+// ─────────────────────────────────────────────────────────────
+// Errors that carry the HTTP status the client should see, and a
+// code the frontend maps to a friendly message (frontend/src/api.js):
+//
+//   geocode-not-found     a stop Mapbox cannot place
+//   no-route              no route between the stops for the mode
+//   provider-unavailable  Mapbox/Google failing or out of quota
+//   invalid-request, rate-limited, internal, …
+//
+// Anything else reaching an error handler is a 500 'internal'; its
+// message stays in the logs rather than going to the client.
+// ─────────────────────────────────────────────────────────────
+const { QuotaExceededError, UpstreamError } = require('./http');
+const { log: defaultLog } = require('./log');
+
+const CODES_BY_STATUS = {
+    400: 'invalid-request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not-found',
+    409: 'conflict',
+    429: 'rate-limited',
+    502: 'provider-unavailable',
+    503: 'provider-unavailable',
+};
+
+class ApiError extends Error {
+    /**
+     * @param {number} status
+     * @param {string} message
+     * @param {string} [code]     Defaults from the status.
+     * @param {Object} [details]  Extra fields for the response, e.g. { query }.
+     */
+    constructor(status, message, code = CODES_BY_STATUS[status] || 'internal', details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * { status, code, error, ...details } for a failed request. Provider
+ * failures are logged as warnings, unexpected errors in full.
+ *
+ * @param {Error}  error
+ * @param {Object} [log]  Logger, normally the request's (req.log).
+ */
+function describeError(error, log = defaultLog) {
+    if (error instanceof ApiError) {
+        return { status: error.status, code: error.code, error: error.message, ...error.details };
+    }
+    if (error instanceof QuotaExceededError || error instanceof UpstreamError) {
+        log.warn('provider unavailable', { service: error.service, error: error.message });
+        return { status: 503, code: 'provider-unavailable', error: error.message, service: error.service };
+    }
+    log.error('unexpected error', { error });
+    return { status: 500, code: 'internal', error: 'Something went wrong on our side.' };
+}
+
+// Tags the response for the request log and metrics (lib/app.js)
+function sendError(res, error) {
+    const { status, ...body } = describeError(error, res.req.log);
+    res.locals.errorCode = body.code;
+    res.status(status).json({ ...body, requestId: res.req.id });
+}
+
+module.exports = { CODES_BY_STATUS, ApiError, describeError, sendError };
@@ -0,0 +1,114 @@
+// ─────────────────────────────────────────────────────────────
+// Route export: GPX 1.1 and GeoJSON
+//
+// Takes one route from a POST /api/routes result (geometry,
+// samples, metrics) plus the trip's stops. GPX carries the track
+// and stops for bike computers and nav apps, with the PM2.5
+// samples in a namespaced <extensions> block they will ignore;
+// GeoJSON carries everything as plain features.
+// ─────────────────────────────────────────────────────────────
+const { ApiError } = require('./errors');
+
+const GPX_EXTENSION_NS = 'https://github.com/friolivedhere/Commute-web/gpx/1';
+
+const ROUTE_KEYS = ['fastest', 'healthiest', 'secondHealthiest', 'transit'];
+
+const FORMATS = {
+    gpx:     { type: 'application/gpx+xml', extension: 'gpx' },
+    geojson: { type: 'application/geo+json', extension: 'geojson' },
+};
+
+const escapeXml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+function describe(route) {
+    const m = route.metrics;
+    return `${route.durationMins} min, ${route.distanceKm} km by ${route.mode}. `
+        + `Health score ${route.healthScore}/100, avg PM2.5 ${m.pm25} µg/m³ (peak ${m.peakPm25}), ${m.doseUg} µg inhaled.`;
+}
+
+/**
+ * @param {Object} route       One route of a POST /api/routes result.
+ * @param {Object} opts
+ * @param {Array<{query:string, coordinates:number[]}>} opts.stops
+ * @param {string} opts.analyzedAt  ISO time the air quality was sampled.
+ * @returns {string}
+ */
+function toGpx(route, { stops, analyzedAt }) {
+    const wpts = stops.map(({ query, coordinates: [lon, lat] }, i) => `  <wpt lat="${lat}" lon="${lon}">
+    <name>${escapeXml(query)}</name>
+    <type>${i === 0 ? 'start' : i === stops.length - 1 ? 'destination' : 'stop'}</type>
+  </wpt>`);
+    const trkpts = route.geometry.coordinates.map(([lon, lat]) => `      <trkpt lat="${lat}" lon="${lon}"/>`);
+    const samples = route.samples.map(({ coordinates: [lon, lat], distanceKm, pm25 }) =>
+        `        <c:sample lat="${lat}" lon="${lon}" km="${distanceKm}" pm25="${pm25}"/>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Commute" xmlns="http://www.topografix.com/GPX/1/1" xmlns:c="${GPX_EXTENSION_NS}">
+  <metadata>
+    <name>${escapeXml(route.name)}</name>
+    <desc>${escapeXml(describe(route))}</desc>
+    <time>${analyzedAt}</time>
+  </metadata>
+${wpts.join('\n')}
+  <trk>
+    <name>${escapeXml(route.name)}</name>
+    <desc>${escapeXml(describe(route))}</desc>
+    <type>${escapeXml(route.mode)}</type>
+    <extensions>
+      <c:samples>
+${samples.join('\n')}
+      </c:samples>
+    </extensions>
+    <trkseg>
+${trkpts.join('\n')}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+/** Same arguments as toGpx(); returns a FeatureCollection object. */
+function toGeoJson(route, { stops, analyzedAt }) {
+    const { geometry, samples, legs, departurePlan, ...properties } = route;
+    return {
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', geometry, properties: { kind: 'route', ...properties, legs, analyzedAt } },
+            ...stops.map(({ query, coordinates }, i) => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates },
+                properties: { kind: 'stop', name: query, index: i },
+            })),
+            ...samples.map(({ coordinates, distanceKm, pm25 }) => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates },
+                properties: { kind: 'sample', distanceKm, pm25 },
+            })),
+        ],
+    };
+}
+
+/**
+ * Writes one route of a result in the requested format as a download.
+ * Throws ApiError 400 for an unknown format or route.
+ */
+function sendExport(res, result, { routeKey, format }) {
+    const spec = FORMATS[format];
+    if (!spec) throw new ApiError(400, `format must be one of: ${Object.keys(FORMATS).join(', ')}.`);
+    const route = ROUTE_KEYS.includes(routeKey) && result[routeKey];
+    if (!route) throw new ApiError(400, `route must be one of: ${ROUTE_KEYS.join(', ')}.`);
+
+    const opts = { stops: result.stops, analyzedAt: result.analyzedAt };
+    const body = format === 'gpx' ? toGpx(route, opts) : JSON.stringify(toGeoJson(route, opts), null, 2);
+    const filename = `commute-${route.name.replace(/[^\w]+/g, '-').replace(/^-|-$/g, '').toLowerCase() || 'route'}.${spec.extension}`;
+
+    res.set('Content-Type', `${spec.type}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+}
+
+module.exports = { ROUTE_KEYS, toGpx, toGeoJson, sendExport };
@@ -0,0 +1,236 @@
+// ─────────────────────────────────────────────────────────────
+// Cumulative inhaled-dose exposure model
+//
+// Dose (µg) = Σ PM2.5 (µg/m³) × infiltration × breathing rate
+//             (m³/h) × hours spent in each sample segment.
+//
+// Other pollutants (PM10, NO2, O3, CO) are averaged the same
+// way; they, UV and feels-like heat adjust the score through
+// SCORE_WEIGHTS.
+//
+// Pure functions only — no network, no cache — so the scoring
+// can be exercised with hand-made sample arrays.
+// ─────────────────────────────────────────────────────────────
+const { subIndex } = require('./naqi');
+
+// WHO 2021 24-hour PM2.5 guideline, µg/m³
+const WHO_PM25_GUIDELINE = 15;
+
+// Minute ventilation for an adult in each travel mode (m³/h) and
+// the fraction of outdoor PM2.5 that reaches the traveller.
+// A closed car cabin filters roughly 40% of fine particles.
+const BREATHING_PROFILES = {
+    walking:       { breathingRate: 1.4, infiltration: 1.0 },
+    cycling:       { breathingRate: 2.3, infiltration: 1.0 },
+    'two-wheeler': { breathingRate: 0.9, infiltration: 1.0 },
+    driving:       { breathingRate: 0.6, infiltration: 0.6 },
+    // Transit legs (lib/transit.js). Indian city buses mostly run with
+    // open windows; metro coaches are sealed and air-conditioned, and
+    // underground stations are partly shielded from street air.
+    bus:           { breathingRate: 0.6, infiltration: 1.0 },
+    metro:         { breathingRate: 0.6, infiltration: 0.45 },
+};
+
+// Dose at which the score halves — about an hour of cycling
+// at the WHO guideline concentration.
+const REFERENCE_DOSE_UG = 35;
+
+const HEAT_THRESHOLD_C = 32;
+const HEAT_PENALTY_PER_DEGREE = 1.5;
+
+// Averaged alongside PM2.5 when the provider reports them
+const CO_POLLUTANTS = ['pm10', 'no2', 'o3', 'co'];
+
+// Score points taken off for what the dose does not capture:
+//   coPollutants  per NAQI sub-index point of the worst other
+//                 pollutant above "Satisfactory" (100), up to maxCoPollutants
+//   uv            per UV index point above uvThreshold, for travellers
+//                 out in the sun
+const SCORE_WEIGHTS = {
+    coPollutants: 0.1,
+    maxCoPollutants: 15,
+    uv: 1,
+    uvThreshold: 7,
+};
+// Modes that keep the sun off; transit counts as exposed for its walks and waits
+const SHADED_MODES = new Set(['driving', 'metro']);
+
+// Modes where the traveller's own effort sets the breathing rate,
+// so a health profile's activity level applies (lib/health.js)
+const EFFORT_MODES = new Set(['walking', 'cycling']);
+
+function breathingProfile(mode, health) {
+    const profile = BREATHING_PROFILES[mode];
+    if (!profile) throw new Error(`No breathing profile for mode "${mode}".`);
+    const factor = health && EFFORT_MODES.has(mode) ? health.breathingFactor : 1;
+    return { breathingRate: profile.breathingRate * factor, infiltration: profile.infiltration };
+}
+
+/**
+ * Integrates PM2.5 over the time spent in each sample segment.
+ *
+ * @param {Object}   opts
+ * @param {Array<{distanceKm:number, pm25:number}>} opts.samples
+ *        Readings ordered by distance along the route.
+ * @param {number}   opts.routeLengthKm
+ * @param {number}   opts.durationSec    Total travel time for the route.
+ * @param {string}   opts.mode           Key of BREATHING_PROFILES.
+ * @param {Object}   [opts.health]       From lib/health.js resolveHealthProfile().
+ * @returns {{ doseUg:number, avgPm25:number, peakPm25:number, minutesAboveWho:number,
+ *             pollutants:Object<string, ?number> }}
+ *          pollutants: time-weighted averages of CO_POLLUTANTS, null
+ *          for any not reported at every sample.
+ */
+function computeExposure({ samples, routeLengthKm, durationSec, mode, health }) {
+    const profile = breathingProfile(mode, health);
+    const reported = CO_POLLUTANTS.filter(p => samples.length && samples.every(s => s[p] != null));
+    const pollutants = Object.fromEntries(CO_POLLUTANTS.map(p => [p, null]));
+    if (!samples.length) return { doseUg: 0, avgPm25: 0, peakPm25: 0, minutesAboveWho: 0, pollutants };
+
+    // Assume constant speed along the route
+    const hoursPerKm = routeLengthKm > 0 ? (durationSec / 3600) / routeLengthKm : 0;
+
+    let doseUg = 0;
+    let weightedPm = 0;
+    let totalHours = 0;
+    let hoursAboveWho = 0;
+    const weighted = Object.fromEntries(reported.map(p => [p, 0]));
+
+    samples.forEach((sample, i) => {
+        const next = samples[i + 1];
+        // Each segment runs to the next sample (or the route end) and
+        // takes the mean of its two endpoint readings.
+        const segmentKm = (next ? next.distanceKm : routeLengthKm) - sample.distanceKm;
+        const segmentPm = next ? (sample.pm25 + next.pm25) / 2 : sample.pm25;
+        const hours = Math.max(0, segmentKm) * hoursPerKm;
+
+        doseUg     += segmentPm * profile.infiltration * profile.breathingRate * hours;
+        weightedPm += segmentPm * hours;
+        totalHours += hours;
+        if (segmentPm > WHO_PM25_GUIDELINE) hoursAboveWho += hours;
+        for (const p of reported) weighted[p] += (next ? (sample[p] + next[p]) / 2 : sample[p]) * hours;
+    });
+
+    const average = key => (totalHours > 0
+        ? (key === 'pm25' ? weightedPm : weighted[key]) / totalHours
+        : samples.reduce((sum, s) => sum + s[key], 0) / samples.length);
+    for (const p of reported) pollutants[p] = average(p);
+
+    return {
+        doseUg,
+        avgPm25: average('pm25'),
+        peakPm25: Math.max(...samples.map(s => s.pm25)),
+        minutesAboveWho: hoursAboveWho * 60,
+        pollutants,
+    };
+}
+
+/**
+ * Adds up the exposure of consecutive legs of one trip.
+ *
+ * @param {Array<{exposure:Object, durationSec:number}>} legs
+ *        computeExposure() results with each leg's travel time.
+ * @returns {{ doseUg:number, avgPm25:number, peakPm25:number, minutesAboveWho:number,
+ *             pollutants:Object<string, ?number> }}
+ */
+function combineExposures(legs) {
+    const totalSec = legs.reduce((sum, l) => sum + l.durationSec, 0);
+    const timeAverage = value => (totalSec > 0
+        ? legs.reduce((sum, l) => sum + value(l) * l.durationSec, 0) / totalSec
+        : legs.reduce((sum, l) => sum + value(l), 0) / legs.length);
+    return {
+        doseUg: legs.reduce((sum, l) => sum + l.exposure.doseUg, 0),
+        avgPm25: timeAverage(l => l.exposure.avgPm25),
+        peakPm25: Math.max(...legs.map(l => l.exposure.peakPm25)),
+        minutesAboveWho: legs.reduce((sum, l) => sum + l.exposure.minutesAboveWho, 0),
+        pollutants: Object.fromEntries(CO_POLLUTANTS.map(p => [
+            p, legs.every(l => l.exposure.pollutants?.[p] != null) ? timeAverage(l => l.exposure.pollutants[p]) : null,
+        ])),
+    };
+}
+
+/**
+ * Exposure along a recorded GPS track: like computeExposure, but
+ * each segment lasts the real time between fixes instead of
+ * assuming constant speed.
+ *
+ * @param {Object} opts
+ * @param {Array<{at:number, pm25:number, mode?:string}>} opts.points
+ *        Fixes in time order; `at` in ms. A fix's own mode (e.g. a
+ *        metro leg of a transit trip) applies until the next fix.
+ * @param {string} opts.mode  Key of BREATHING_PROFILES.
+ * @param {Object} [opts.health]
+ * @returns {{ doseUg:number, avgPm25:number, peakPm25:number, minutesAboveWho:number, durationSec:number }}
+ */
+function computeTrackExposure({ points, mode, health }) {
+    const profileOf = point => breathingProfile(point.mode || mode, health);
+    if (!points.length) return { doseUg: 0, avgPm25: 0, peakPm25: 0, minutesAboveWho: 0, durationSec: 0 };
+
+    let doseUg = 0;
+    let weightedPm = 0;
+    let totalHours = 0;
+    let hoursAboveWho = 0;
+
+    for (let i = 1; i < points.length; i++) {
+        const hours = Math.max(0, points[i].at - points[i - 1].at) / 3600e3;
+        const segmentPm = (points[i - 1].pm25 + points[i].pm25) / 2;
+        const profile = profileOf(points[i - 1]);
+
+        doseUg     += segmentPm * profile.infiltration * profile.breathingRate * hours;
+        weightedPm += segmentPm * hours;
+        totalHours += hours;
+        if (segmentPm > WHO_PM25_GUIDELINE) hoursAboveWho += hours;
+    }
+
+    return {
+        doseUg,
+        avgPm25: totalHours > 0 ? weightedPm / totalHours : points[0].pm25,
+        peakPm25: Math.max(...points.map(p => p.pm25)),
+        minutesAboveWho: hoursAboveWho * 60,
+        durationSec: totalHours * 3600,
+    };
+}
+
+/**
+ * Maps an inhaled dose (plus heat stress) to a 0–100 score.
+ * 0 µg scores 100; REFERENCE_DOSE_UG scores 50. A health profile
+ * weights the dose and moves the heat threshold and penalty.
+ *
+ * @param {Object}  opts
+ * @param {number}  opts.doseUg
+ * @param {number}  opts.tempCelsius
+ * @param {number}  [opts.feelsLikeC]  Used for the heat penalty when known.
+ * @param {number}  [opts.uvIndex]
+ * @param {string}  [opts.mode]        Travel mode; decides whether UV applies.
+ * @param {Object}  [opts.pollutants]  Averages from computeExposure().
+ * @param {Object}  [opts.health]      From lib/health.js resolveHealthProfile().
+ * @param {Object}  [opts.weights]     Overrides for SCORE_WEIGHTS.
+ */
+function scoreExposure({ doseUg, tempCelsius, feelsLikeC, uvIndex, mode, pollutants, health, weights }) {
+    const w = { ...SCORE_WEIGHTS, ...weights };
+    const weighted = doseUg * (health?.doseWeight ?? 1);
+    const threshold = health?.heatThresholdC ?? HEAT_THRESHOLD_C;
+    const heat = feelsLikeC ?? tempCelsius;
+    let score = 100 * REFERENCE_DOSE_UG / (REFERENCE_DOSE_UG + weighted);
+    if (heat > threshold) score -= (heat - threshold) * (health?.heatPenaltyPerDegree ?? HEAT_PENALTY_PER_DEGREE);
+
+    const worstOther = Math.max(0, ...CO_POLLUTANTS.map(p => subIndex(p, pollutants?.[p]) ?? 0));
+    if (worstOther > 100) score -= Math.min(w.maxCoPollutants, (worstOther - 100) * w.coPollutants);
+    if (mode && !SHADED_MODES.has(mode) && uvIndex > w.uvThreshold) score -= (uvIndex - w.uvThreshold) * w.uv;
+
+    return Math.max(0, Math.min(100, Math.round(score)));
+}
+
+module.exports = {
+    WHO_PM25_GUIDELINE,
+    BREATHING_PROFILES,
+    REFERENCE_DOSE_UG,
+    HEAT_THRESHOLD_C,
+    HEAT_PENALTY_PER_DEGREE,
+    CO_POLLUTANTS,
+    SCORE_WEIGHTS,
+    computeExposure,
+    combineExposures,
+    computeTrackExposure,
+    scoreExposure,
+};
@@ -0,0 +1,86 @@
+// ─────────────────────────────────────────────────────────────
+// Geocoding (Mapbox + India geofence + proximity bias)
+//
+// Stops arrive as typed text, as raw "lat, lon", or as places
+// picked from GET /api/geocode/suggest. Raw coordinates never
+// reach Mapbox.
+// ─────────────────────────────────────────────────────────────
+const { ApiError } = require('./errors');
+
+const GEOCODE_TYPES = 'address,poi,neighborhood,locality,place,district,postcode';
+const REVERSE_TYPES = 'address,neighborhood,locality,place';
+
+function isValidLonLat(c) {
+    return Array.isArray(c) && c.length === 2 && c.every(Number.isFinite)
+        && Math.abs(c[0]) <= 180 && Math.abs(c[1]) <= 90;
+}
+
+// Parses "lat, lon" typed straight into an input → [lon, lat]
+function parseRawCoordinates(query) {
+    const coordMatch = query.trim().match(/^(-?\d+\.?\d*),\s*(-?\d+\.?\d*)$/);
+    if (!coordMatch) return null;
+    return [parseFloat(coordMatch[2]), parseFloat(coordMatch[1])];
+}
+
+const toPlace = f => ({
+    label: f.place_name,
+    name: f.text,
+    kind: f.place_type?.[0] || 'place',
+    coordinates: f.center,
+});
+
+/**
+ * @param {Object}   opts
+ * @param {string}   opts.token  MAPBOX_ACCESS_TOKEN.
+ * @param {Function} opts.fetch  Fetch for the 'mapbox' service (lib/http.js).
+ */
+function createGeocoder({ token, fetch }) {
+    async function request(path, params) {
+        const response = await fetch(`https://api.mapbox.com/geocoding/v5/mapbox.places/${path}.json?access_token=${token}&${params}`);
+        const data = await response.json();
+        if (data.message) throw new ApiError(502, `Mapbox API Error: ${data.message}`, 'provider-unavailable');
+        return data.features || [];
+    }
+
+    /**
+     * Mapbox forward geocoding, restricted to India.
+     *
+     * @param {string}   query
+     * @param {Object}   [opts]
+     * @param {number[]} [opts.proximity]     [lon, lat] to bias results towards.
+     * @param {number}   [opts.limit]
+     * @param {boolean}  [opts.autocomplete]  Match partial words while typing.
+     * @returns {Promise<Array<{label:string, name:string, kind:string, coordinates:number[]}>>}
+     */
+    async function geocode(query, { proximity = null, limit = 1, autocomplete = false } = {}) {
+        let params = `country=in&types=${GEOCODE_TYPES}&limit=${limit}&autocomplete=${autocomplete}`;
+        if (proximity) {
+            params += `&proximity=${proximity[0]},${proximity[1]}`;
+        }
+        return (await request(encodeURIComponent(query), params)).map(toPlace);
+    }
+
+    // The nearest address, or the raw coordinates when Mapbox has nothing there
+    async function reverse(lon, lat) {
+        const [feature] = await request(`${lon},${lat}`, `limit=1&types=${REVERSE_TYPES}`);
+        const coordinates = [lon, lat];
+        const raw = `${lat.toFixed(5)}, ${lon.toFixed(5)}`;
+        return feature
+            ? { ...toPlace(feature), coordinates }
+            : { label: raw, name: raw, kind: 'coordinates', coordinates };
+    }
+
+    async function getCoordinates(query, proximityCoords = null) {
+        // If input is already "lat, lon" raw coords, skip Mapbox entirely
+        const raw = parseRawCoordinates(query);
+        if (raw) return raw;
+
+        const [best] = await geocode(query, { proximity: proximityCoords });
+        if (!best) throw new ApiError(404, `Location not found: ${query}.`, 'geocode-not-found', { query });
+        return best.coordinates;
+    }
+
+    return { geocode, reverse, getCoordinates };
+}
+
+module.exports = { isValidLonLat, parseRawCoordinates, toPlace, createGeocoder };
@@ -0,0 +1,107 @@
+// ─────────────────────────────────────────────────────────────
+// Google Weather: current conditions and hourly forecasts
+//
+// FIX #1: data.temperature is { degrees, unit } — an object.
+// The original `data.temperature || 25` was always truthy,
+// so `routeTemp - 32` silently returned NaN everywhere.
+// ─────────────────────────────────────────────────────────────
+const { createCache } = require('./cache');
+const { hourKey } = require('./departure');
+const { weatherPoints } = require('./weather');
+
+// When Google leaves the temperature out
+const FALLBACK_TEMP_C = 25;
+const WEATHER_TTL_MINS = 30;
+
+/**
+ * @param {Object}   opts
+ * @param {string}   opts.apiKey         GOOGLE_API_KEY.
+ * @param {Function} opts.fetch          Fetch for the 'google-weather' service (lib/http.js).
+ * @param {number}   [opts.maxEntries]   Cache cap.
+ * @param {string}   [opts.snapshotDir]  Where the cache is snapshotted.
+ */
+function createGoogleWeather({ apiKey, fetch, maxEntries = 5000, snapshotDir = null }) {
+    const cache = createCache({
+        name: 'weather',
+        ttlMs: WEATHER_TTL_MINS * 60e3,
+        maxEntries,
+        snapshotDir,
+    });
+
+    // Times FALLBACK_TEMP_C stood in for a reading (GET /metrics)
+    let fallbacks = 0;
+
+    const hasTemperature = data => data.temperature?.degrees != null;
+
+    // Current conditions; nothing when Google answers with an error
+    async function lookup(lon, lat) {
+        const url = `https://weather.googleapis.com/v1/currentConditions:lookup?key=${apiKey}&location.latitude=${lat}&location.longitude=${lon}`;
+
+        const response = await fetch(url);
+        return response.ok ? response.json() : {};
+    }
+
+    function toReading(data) {
+        if (!hasTemperature(data)) fallbacks++;
+        const tempCelsius = data.temperature?.degrees ?? FALLBACK_TEMP_C; // safe number extraction
+        return {
+            tempCelsius,
+            feelsLikeC: data.feelsLikeTemperature?.degrees ?? data.heatIndex?.degrees ?? tempCelsius,
+            humidity:   data.relativeHumidity ?? null,
+            rainChance: data.precipitation?.probability?.percent ?? null,
+            rainMm:     data.precipitation?.qpf?.quantity ?? null,
+            uvIndex:    data.uvIndex ?? null,
+        };
+    }
+
+    async function getWeather(lon, lat) {
+        return toReading(await lookup(lon, lat));
+    }
+
+    // Weather varies over kilometres, not metres: ~1.1 km grid
+    async function getCachedWeather(lon, lat) {
+        const gridKey = `${lon.toFixed(2)},${lat.toFixed(2)}`;
+        const cached = cache.get(gridKey);
+        if (cached !== undefined) return cached;
+
+        // A fallback reading is not cached, so the next route asks again
+        const data = await lookup(lon, lat);
+        const weather = toReading(data);
+        if (hasTemperature(data)) cache.set(gridKey, weather);
+        return weather;
+    }
+
+    // Readings at a few points along each line (lib/weather.js); the
+    // cache grid dedupes the points that routes share
+    async function weatherAlong(features) {
+        return Promise.all(features.map(f => Promise.all(
+            weatherPoints(f).map(([lon, lat]) => getCachedWeather(lon, lat))
+        )));
+    }
+
+    // Hourly feels-like, as the heat penalty uses for the live score,
+    // keyed by UTC hour
+    async function getForecast(lon, lat, hours) {
+        const url = `https://weather.googleapis.com/v1/forecast/hours:lookup?key=${apiKey}&location.latitude=${lat}&location.longitude=${lon}&hours=${hours}`;
+
+        const response = await fetch(url);
+        const series = new Map();
+        if (!response.ok) return series;
+        const data = await response.json();
+
+        for (const hour of data.forecastHours || []) {
+            const degrees = hour.feelsLikeTemperature?.degrees ?? hour.temperature?.degrees;
+            if (hour.interval?.startTime && degrees != null) {
+                series.set(hourKey(hour.interval.startTime), degrees);
+            }
+        }
+
+        return series;
+    }
+
+    const stats = () => ({ fallbacks });
+
+    return { cache, getWeather, getCachedWeather, weatherAlong, getForecast, stats };
+}
+
+module.exports = { FALLBACK_TEMP_C, createGoogleWeather };
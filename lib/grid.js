@@ -0,0 +1,142 @@
+// ─────────────────────────────────────────────────────────────
+// AQI grid overlay
+//
+// Readings live on the ~110 m sampling grid (lib/sampling.js).
+// A city-wide view holds thousands of those cells, so the map
+// overlay draws coarser display cells instead: squares of k × k
+// sampling cells, k picked so a view has at most MAX_GRID_CELLS.
+// Cells are counted from fixed origins (multiples of k), so the
+// same area yields the same cells however the map is panned.
+//
+// Each display cell averages the cached readings inside it.
+// Cells without any get sampled at a point near their middle,
+// a few per request, so the picture fills in as people look.
+//
+// Everything works in whole sampling-grid units (thousandths of
+// a degree) to keep cell edges exact. Pure functions only.
+// ─────────────────────────────────────────────────────────────
+
+const UNITS_PER_DEG = 1000; // matches gridKey() in lib/sampling.js
+const CELL_MULTIPLES = [1, 2, 5, 10, 20, 50, 100];
+const MAX_GRID_CELLS = 600;
+const MAX_BBOX_SPAN_DEG = 1; // ~110 km
+
+/**
+ * Reads "west,south,east,north" in degrees; throws with a
+ * user-facing message when malformed or too large.
+ *
+ * @param {string} text
+ * @returns {number[]} [west, south, east, north]
+ */
+function parseBbox(text) {
+    const bbox = typeof text === 'string' ? text.split(',').map(Number) : [];
+    const [west, south, east, north] = bbox;
+    if (bbox.length !== 4 || !bbox.every(Number.isFinite)
+        || west < -180 || east > 180 || south < -90 || north > 90
+        || west >= east || south >= north) {
+        throw new Error('bbox must be "west,south,east,north" in degrees.');
+    }
+    if (east - west > MAX_BBOX_SPAN_DEG || north - south > MAX_BBOX_SPAN_DEG) {
+        throw new Error(`bbox can span at most ${MAX_BBOX_SPAN_DEG}° each way; zoom in.`);
+    }
+    return bbox;
+}
+
+const toUnits = deg => Math.round(deg * UNITS_PER_DEG);
+const toDeg = units => units / UNITS_PER_DEG;
+
+// Column/row range of k-unit cells covering the box
+function cellRange([west, south, east, north], k) {
+    return {
+        cols: [Math.floor(toUnits(west) / k), Math.floor(toUnits(east) / k)],
+        rows: [Math.floor(toUnits(south) / k), Math.floor(toUnits(north) / k)],
+    };
+}
+
+const countCells = ({ cols, rows }) => (cols[1] - cols[0] + 1) * (rows[1] - rows[0] + 1);
+
+/**
+ * Display cells covering a box, the finest that stays within
+ * MAX_GRID_CELLS.
+ *
+ * @param {number[]} bbox  From parseBbox().
+ * @returns {{ cellDeg:number, cells:Array<{ key:string, bounds:number[], sampleAt:number[] }> }}
+ *          bounds are [west, south, east, north]; sampleAt is the
+ *          sampling-grid point ([lon, lat]) to look up when empty.
+ */
+function displayCells(bbox) {
+    const k = CELL_MULTIPLES.find(m => countCells(cellRange(bbox, m)) <= MAX_GRID_CELLS)
+        ?? CELL_MULTIPLES[CELL_MULTIPLES.length - 1];
+    const { cols, rows } = cellRange(bbox, k);
+
+    const cells = [];
+    for (let row = rows[0]; row <= rows[1]; row++) {
+        for (let col = cols[0]; col <= cols[1]; col++) {
+            const mid = Math.floor(k / 2);
+            cells.push({
+                key: `${col},${row}`,
+                // Sampling cells are centred on their grid points, so edges sit half a unit below
+                bounds: [toDeg(col * k - 0.5), toDeg(row * k - 0.5), toDeg((col + 1) * k - 0.5), toDeg((row + 1) * k - 0.5)],
+                sampleAt: [toDeg(col * k + mid), toDeg(row * k + mid)],
+            });
+        }
+    }
+    return { cellDeg: toDeg(k), cells };
+}
+
+/**
+ * Averages readings into the display cells that contain them;
+ * readings outside those cells are skipped.
+ *
+ * @param {Object} grid  From displayCells().
+ * @param {Iterable<[string, {pm25:number}]>} readings  gridKey → reading,
+ *        e.g. the AQI cache's entries()
+ * @returns {Map<string, {pm25:number, readings:number}>} cell key → average
+ */
+function averageReadings({ cellDeg, cells }, readings) {
+    const k = toUnits(cellDeg);
+    const inView = new Set(cells.map(c => c.key));
+    const sums = new Map();
+    for (const [gridKey, reading] of readings) {
+        if (!Number.isFinite(reading?.pm25)) continue;
+        const [lon, lat] = gridKey.split(',').map(Number);
+        const key = `${Math.floor(toUnits(lon) / k)},${Math.floor(toUnits(lat) / k)}`;
+        if (!inView.has(key)) continue;
+        const sum = sums.get(key) || { total: 0, readings: 0 };
+        sum.total += reading.pm25;
+        sum.readings++;
+        sums.set(key, sum);
+    }
+    return new Map([...sums].map(([key, { total, readings: n }]) => [key, { pm25: total / n, readings: n }]));
+}
+
+/**
+ * The overlay as GeoJSON: one square Polygon per display cell
+ * with a reading, properties { pm25, readings }.
+ *
+ * @param {Array} cells                 From displayCells().
+ * @param {Map<string, Object>} values  From averageReadings().
+ */
+function toFeatureCollection(cells, values) {
+    return {
+        type: 'FeatureCollection',
+        features: cells.filter(c => values.has(c.key)).map(({ key, bounds: [w, s, e, n] }) => ({
+            type: 'Feature',
+            id: key,
+            geometry: { type: 'Polygon', coordinates: [[[w, s], [e, s], [e, n], [w, n], [w, s]]] },
+            properties: {
+                pm25: Number(values.get(key).pm25.toFixed(1)),
+                readings: values.get(key).readings,
+            },
+        })),
+    };
+}
+
+module.exports = {
+    MAX_GRID_CELLS,
+    MAX_BBOX_SPAN_DEG,
+    parseBbox,
+    displayCells,
+    averageReadings,
+    toFeatureCollection,
+};
@@ -0,0 +1,210 @@
+// ─────────────────────────────────────────────────────────────
+// GTFS feed loading
+//
+// Reads an unzipped GTFS feed (stops, routes, trips, stop_times,
+// calendar and/or calendar_dates, optional agency and transfers)
+// into the indexes lib/transit.js plans with:
+//
+//   connections  every stop-to-stop hop of every trip, sorted by
+//                departure (seconds after service-day midnight;
+//                GTFS allows times past 24:00)
+//   footpaths    walkable transfers between nearby stops
+//
+// Files are read whole, which suits metro and city-rail feeds;
+// a large city bus feed needs a few hundred MB of memory.
+// ─────────────────────────────────────────────────────────────
+const fs = require('fs');
+const path = require('path');
+const turf = require('@turf/turf');
+const { log } = require('./log');
+
+// Stops this close are treated as one interchange on foot
+const TRANSFER_RADIUS_KM = 0.3;
+// Straight-line distance → walking time
+const WALK_SPEED_KMH = 4.5;
+const WALK_DETOUR_FACTOR = 1.3;
+
+const walkSeconds = km => Math.round((km * WALK_DETOUR_FACTOR / WALK_SPEED_KMH) * 3600);
+
+// RFC 4180 CSV: quoted fields may contain commas, quotes and newlines
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+        if (quoted) {
+            if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && src[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.length > 1 || row[0] !== '') rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) rows.push([...row, field]);
+
+    const [header = [], ...body] = rows;
+    const cols = header.map(c => c.trim());
+    return body.map(cells => Object.fromEntries(cols.map((c, i) => [c, (cells[i] ?? '').trim()])));
+}
+
+function readTable(dir, name, { required = false } = {}) {
+    const file = path.join(dir, `${name}.txt`);
+    if (!fs.existsSync(file)) {
+        if (required) throw new Error(`GTFS feed ${dir} is missing ${name}.txt.`);
+        return [];
+    }
+    return parseCsv(fs.readFileSync(file, 'utf8'));
+}
+
+// "25:10:00" → seconds after service-day midnight
+function parseTime(value) {
+    const match = /^(\d+):(\d{2}):(\d{2})$/.exec(value || '');
+    return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : null;
+}
+
+// Stops within TRANSFER_RADIUS_KM of each other, found via a coarse
+// grid so large feeds do not need an all-pairs comparison
+function buildFootpaths(stops) {
+    const cellSize = 0.005; // ≈ 550 m of latitude
+    const cellOf = ([lon, lat]) => [Math.floor(lon / cellSize), Math.floor(lat / cellSize)];
+    const grid = new Map();
+    for (const stop of stops.values()) {
+        const key = cellOf(stop.coordinates).join(':');
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(stop);
+    }
+
+    const footpaths = new Map();
+    for (const stop of stops.values()) {
+        const [cx, cy] = cellOf(stop.coordinates);
+        const paths = [];
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (const other of grid.get(`${cx + dx}:${cy + dy}`) || []) {
+                    if (other.id === stop.id) continue;
+                    const km = turf.distance(stop.coordinates, other.coordinates, { units: 'kilometers' });
+                    const sameStation = stop.parent && stop.parent === other.parent;
+                    if (km <= TRANSFER_RADIUS_KM || sameStation) paths.push({ to: other.id, km, sec: walkSeconds(km) });
+                }
+            }
+        }
+        footpaths.set(stop.id, paths);
+    }
+    return footpaths;
+}
+
+/**
+ * Loads and indexes one GTFS feed directory.
+ *
+ * @param {string} dir  Directory holding the feed's .txt files.
+ * @returns {Object} Feed for lib/transit.js.
+ */
+function loadGtfs(dir) {
+    const resolved = path.resolve(dir);
+    const agency = readTable(resolved, 'agency')[0] || {};
+
+    const stops = new Map();
+    for (const s of readTable(resolved, 'stops', { required: true })) {
+        const coordinates = [Number(s.stop_lon), Number(s.stop_lat)];
+        // Station entrances and generic nodes are never boarded
+        if (!coordinates.every(Number.isFinite) || Number(s.location_type) > 1) continue;
+        stops.set(s.stop_id, { id: s.stop_id, name: s.stop_name, coordinates, parent: s.parent_station || null });
+    }
+
+    const routes = new Map(readTable(resolved, 'routes', { required: true }).map(r => [r.route_id, {
+        id: r.route_id,
+        name: r.route_short_name || r.route_long_name || r.route_id,
+        longName: r.route_long_name || '',
+        type: Number(r.route_type),
+        color: r.route_color ? `#${r.route_color}` : null,
+    }]));
+
+    const trips = new Map(readTable(resolved, 'trips', { required: true }).map(t => [t.trip_id, {
+        id: t.trip_id,
+        routeId: t.route_id,
+        serviceId: t.service_id,
+        headsign: t.trip_headsign || '',
+    }]));
+
+    // Each trip's stops in sequence; frequency-based feeds are not expanded
+    const tripStops = new Map();
+    for (const st of readTable(resolved, 'stop_times', { required: true })) {
+        if (!trips.has(st.trip_id) || !stops.has(st.stop_id)) continue;
+        const arr = parseTime(st.arrival_time) ?? parseTime(st.departure_time);
+        const dep = parseTime(st.departure_time) ?? arr;
+        if (arr === null) continue; // untimed stops are skipped, not interpolated
+        if (!tripStops.has(st.trip_id)) tripStops.set(st.trip_id, []);
+        tripStops.get(st.trip_id).push({ stopId: st.stop_id, seq: Number(st.stop_sequence), arr, dep });
+    }
+
+    const connections = [];
+    for (const [tripId, list] of tripStops) {
+        list.sort((a, b) => a.seq - b.seq);
+        for (let i = 0; i < list.length - 1; i++) {
+            connections.push({ tripId, from: list[i].stopId, to: list[i + 1].stopId, dep: list[i].dep, arr: list[i + 1].arr, index: i });
+        }
+    }
+    connections.sort((a, b) => a.dep - b.dep || a.arr - b.arr);
+
+    const calendar = new Map(readTable(resolved, 'calendar').map(c => [c.service_id, {
+        // ISO weekday order, Monday first
+        days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].map(d => c[d] === '1'),
+        start: c.start_date,
+        end: c.end_date,
+    }]));
+    const exceptions = new Map(); // "serviceId|YYYYMMDD" → added (true) or removed (false)
+    for (const d of readTable(resolved, 'calendar_dates')) {
+        exceptions.set(`${d.service_id}|${d.date}`, d.exception_type === '1');
+    }
+
+    const footpaths = buildFootpaths(stops);
+
+    log.info('GTFS feed loaded', {
+        feed: agency.agency_name || path.basename(resolved),
+        stops: stops.size, routes: routes.size, trips: trips.size, connections: connections.length,
+    });
+    return {
+        name: agency.agency_name || path.basename(resolved),
+        timeZone: agency.agency_timezone || 'Asia/Kolkata',
+        stops, routes, trips, tripStops, connections, calendar, exceptions, footpaths,
+    };
+}
+
+/**
+ * Whether a service runs on a service date.
+ *
+ * @param {Object} feed
+ * @param {string} serviceId
+ * @param {string} date     YYYYMMDD
+ * @param {number} weekday  ISO weekday, 1 = Monday
+ */
+function serviceRuns(feed, serviceId, date, weekday) {
+    const exception = feed.exceptions.get(`${serviceId}|${date}`);
+    if (exception !== undefined) return exception;
+    const c = feed.calendar.get(serviceId);
+    return Boolean(c && c.days[weekday - 1] && date >= c.start && date <= c.end);
+}
+
+module.exports = {
+    TRANSFER_RADIUS_KM,
+    parseCsv,
+    parseTime,
+    walkSeconds,
+    loadGtfs,
+    serviceRuns,
+};
@@ -0,0 +1,104 @@
+// ─────────────────────────────────────────────────────────────
+// Request guards for a publicly deployed API
+//
+//   • allowedOrigins: a request from another site's page is refused
+//     before it spends any Mapbox or Google quota (CORS alone only
+//     stops the browser reading the response)
+//   • API keys: requests without an Origin header need `X-API-Key`
+//     once API_KEYS is configured
+//   • per-client rate limits, keyed by API key or IP address
+//
+// The Origin check is not authentication. Browsers set the header
+// themselves, but any other client can send one of our origins and
+// pass as the web app without a key. What bounds such a client is
+// its per-IP rate limit and the daily quotas in lib/http.js.
+// ─────────────────────────────────────────────────────────────
+const crypto = require('crypto');
+const { CODES_BY_STATUS } = require('./errors');
+
+const parseList = value => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+// Constant-time comparison, so keys cannot be guessed byte by byte
+function matchesKey(candidate, keys) {
+    const a = crypto.createHash('sha256').update(candidate).digest();
+    return keys.some(key => crypto.timingSafeEqual(a, crypto.createHash('sha256').update(key).digest()));
+}
+
+// The error body of lib/errors.js, before any route runs
+function reject(res, status, message) {
+    const code = CODES_BY_STATUS[status];
+    res.locals.errorCode = code;
+    return res.status(status).json({ error: message, code, requestId: res.req.id });
+}
+
+/**
+ * Rejects requests from unknown origins and, when keys are set,
+ * requests with no Origin and no valid `X-API-Key`. A valid key is
+ * always accepted; a request naming an allowed origin is taken as
+ * the web app, which a script can claim too. Sets `req.clientId`
+ * for rate limiting.
+ *
+ * @param {Object}   opts
+ * @param {string[]} opts.origins  Allowed Origin values.
+ * @param {string[]} opts.apiKeys  Empty to leave non-browser clients open (development).
+ */
+function checkClient({ origins, apiKeys }) {
+    return (req, res, next) => {
+        const key = req.get('x-api-key');
+        if (key) {
+            if (!matchesKey(key, apiKeys)) return reject(res, 401, 'Invalid API key.');
+            req.clientId = `key:${crypto.createHash('sha256').update(key).digest('hex').slice(0, 12)}`;
+            return next();
+        }
+
+        const origin = req.get('origin');
+        if (origin ? !origins.includes(origin) : apiKeys.length > 0) {
+            return reject(res, 403, origin ? `Origin ${origin} is not allowed.` : 'An X-API-Key header is required.');
+        }
+        req.clientId = `ip:${req.ip}`;
+        next();
+    };
+}
+
+/**
+ * Sliding-window rate limit per client (see checkClient).
+ *
+ * @param {Object}  opts
+ * @param {string}  opts.name       Shown in the 429 message.
+ * @param {number}  opts.perMinute
+ * @param {boolean} [opts.perIp]    Count by IP address even with an API key,
+ *                                  e.g. for password guessing.
+ */
+function rateLimit({ name, perMinute, perIp = false }) {
+    const hits = new Map(); // clientId → request timestamps within the last minute
+
+    // Forget idle clients so the map does not grow forever
+    setInterval(() => {
+        const windowStart = Date.now() - 60e3;
+        for (const [client, times] of hits) {
+            if (times[times.length - 1] <= windowStart) hits.delete(client);
+        }
+    }, 60e3).unref();
+
+    return (req, res, next) => {
+        const client = (!perIp && req.clientId) || `ip:${req.ip}`;
+        const now = Date.now();
+        const times = (hits.get(client) || []).filter(t => t > now - 60e3);
+
+        res.set('RateLimit-Limit', String(perMinute));
+        if (times.length >= perMinute) {
+            hits.set(client, times);
+            const retryAfter = Math.max(1, Math.ceil((times[0] + 60e3 - now) / 1000));
+            res.set('Retry-After', String(retryAfter));
+            res.set('RateLimit-Remaining', '0');
+            return reject(res, 429, `Too many ${name} requests. Try again in ${retryAfter} s.`);
+        }
+
+        times.push(now);
+        hits.set(client, times);
+        res.set('RateLimit-Remaining', String(perMinute - times.length));
+        next();
+    };
+}
+
+module.exports = { parseList, checkClient, rateLimit };
@@ -0,0 +1,161 @@
+// ─────────────────────────────────────────────────────────────
+// Health profiles
+//
+// The same trip is riskier for an asthmatic child than for a
+// healthy adult. A profile (condition, age group, activity level)
+// changes three things:
+//
+//   doseWeight        multiplies the inhaled dose in the score
+//   breathingFactor   multiplies the breathing rate when walking
+//                     or cycling, so it changes the dose itself
+//   heat threshold    where the heat penalty starts, and how steep
+//
+// plus the PM2.5 bands the app colours readings with, and the
+// advice shown on each route. The weights are simple multipliers
+// in the direction of the literature, not clinical guidance.
+//
+// Signed-in users keep one profile in users.health_profile (JSON
+// of condition, ageGroup and activity).
+// ─────────────────────────────────────────────────────────────
+const { HEAT_THRESHOLD_C, HEAT_PENALTY_PER_DEGREE } = require('./exposure');
+
+const CONDITIONS = {
+    none:      { label: 'No condition',          doseWeight: 1.0, heatThresholdC: HEAT_THRESHOLD_C, heatPenaltyPerDegree: HEAT_PENALTY_PER_DEGREE },
+    asthma:    { label: 'Asthma',                doseWeight: 1.6, heatThresholdC: 31, heatPenaltyPerDegree: 2.0 },
+    copd:      { label: 'COPD / lung disease',   doseWeight: 1.7, heatThresholdC: 30, heatPenaltyPerDegree: 2.0 },
+    heart:     { label: 'Heart condition',       doseWeight: 1.5, heatThresholdC: 29, heatPenaltyPerDegree: 2.5 },
+    pregnancy: { label: 'Pregnant',              doseWeight: 1.4, heatThresholdC: 30, heatPenaltyPerDegree: 2.5 },
+};
+
+// Children breathe more air per kg of body weight; older adults
+// cope worse with both particles and heat
+const AGE_GROUPS = {
+    child:  { label: 'Child (under 14)', doseWeight: 1.4, heatOffsetC: -2 },
+    adult:  { label: 'Adult',            doseWeight: 1.0, heatOffsetC: 0 },
+    senior: { label: 'Over 65',          doseWeight: 1.3, heatOffsetC: -3 },
+};
+
+// Breathing relative to the typical rate; lib/exposure.js applies
+// it to walking and cycling only
+const ACTIVITY_LEVELS = {
+    light:    { label: 'Easy pace',  breathingFactor: 0.8 },
+    moderate: { label: 'Moderate',   breathingFactor: 1.0 },
+    vigorous: { label: 'Vigorous',   breathingFactor: 1.4 },
+};
+
+// Upper limits (µg/m³) of the good / moderate / sensitive bands;
+// anything above the last is hazardous
+const DEFAULT_BANDS = [12, 35, 55];
+const SENSITIVE_BANDS = [8, 25, 40];
+
+const MAX_DOSE_WEIGHT = 2.5;
+
+const DEFAULT_PROFILE = { condition: 'none', ageGroup: 'adult', activity: 'moderate' };
+
+function pick(table, key, field) {
+    const value = key ?? DEFAULT_PROFILE[field];
+    if (!Object.hasOwn(table, value)) {
+        throw new Error(`${field} must be one of: ${Object.keys(table).join(', ')}.`);
+    }
+    return value;
+}
+
+/**
+ * Validates a profile and works out its scoring parameters.
+ * Missing fields take the defaults; throws with a user-facing
+ * message on unknown values.
+ *
+ * @param {{condition?:string, ageGroup?:string, activity?:string}} [input]
+ * @returns {{ condition:string, ageGroup:string, activity:string, sensitive:boolean,
+ *             doseWeight:number, breathingFactor:number, heatThresholdC:number,
+ *             heatPenaltyPerDegree:number, bands:number[] }}
+ */
+function resolveHealthProfile(input = {}) {
+    if (input === null || typeof input !== 'object') throw new Error('health must be an object.');
+    const condition = pick(CONDITIONS, input.condition, 'condition');
+    const ageGroup = pick(AGE_GROUPS, input.ageGroup, 'ageGroup');
+    const activity = pick(ACTIVITY_LEVELS, input.activity, 'activity');
+
+    const c = CONDITIONS[condition];
+    const a = AGE_GROUPS[ageGroup];
+    const sensitive = condition !== 'none' || ageGroup !== 'adult';
+    return {
+        condition,
+        ageGroup,
+        activity,
+        sensitive,
+        doseWeight: Math.min(MAX_DOSE_WEIGHT, Number((c.doseWeight * a.doseWeight).toFixed(2))),
+        breathingFactor: ACTIVITY_LEVELS[activity].breathingFactor,
+        heatThresholdC: Math.min(c.heatThresholdC, HEAT_THRESHOLD_C + a.heatOffsetC),
+        heatPenaltyPerDegree: c.heatPenaltyPerDegree,
+        bands: sensitive ? SENSITIVE_BANDS : DEFAULT_BANDS,
+    };
+}
+
+// Just the choices, as stored and sent back to clients
+const profileChoices = ({ condition, ageGroup, activity }) => ({ condition, ageGroup, activity });
+
+/**
+ * A user's saved profile choices, or null when they never set one.
+ *
+ * @param {Object} db      better-sqlite3 database (lib/db.js).
+ * @param {number} userId
+ */
+function storedHealthProfile(db, userId) {
+    const row = db.prepare('SELECT health_profile FROM users WHERE id = ?').get(userId);
+    return row?.health_profile ? JSON.parse(row.health_profile) : null;
+}
+
+/**
+ * Short, profile-specific advice for one route.
+ *
+ * @param {Object} route   metrics ({ pm25, peakPm25, feelsLikeC, uvIndex }) and mode
+ * @param {Object} health  From resolveHealthProfile().
+ * @returns {string[]}
+ */
+function healthAdvice({ metrics, mode }, health) {
+    const advice = [];
+    const [good, , sensitiveLimit] = health.bands;
+    const peak = metrics.peakPm25 ?? metrics.pm25;
+    const open = mode !== 'driving' && mode !== 'metro';
+
+    if (peak > sensitiveLimit) {
+        if (health.condition === 'asthma' || health.condition === 'copd') {
+            advice.push(`Carry your reliever inhaler: PM2.5 peaks at ${peak} µg/m³ on this route.`);
+        } else if (health.condition === 'heart') {
+            advice.push(`PM2.5 peaks at ${peak} µg/m³; keep the effort low and stop if you feel chest discomfort.`);
+        } else if (health.condition === 'pregnancy') {
+            advice.push(`PM2.5 peaks at ${peak} µg/m³; prefer the healthiest option and avoid waiting beside traffic.`);
+        } else if (health.sensitive) {
+            advice.push(`PM2.5 peaks at ${peak} µg/m³, high for ${health.ageGroup === 'child' ? 'children' : 'older adults'}; a well-fitted N95 helps.`);
+        } else if (open) {
+            advice.push(`PM2.5 peaks at ${peak} µg/m³; a well-fitted N95 helps.`);
+        }
+    }
+    if (open && health.activity === 'vigorous' && metrics.pm25 > good) {
+        advice.push('Ease off the pace through polluted stretches: hard breathing pulls in more particles.');
+    }
+    const feelsLike = metrics.feelsLikeC ?? metrics.tempCelsius;
+    if (feelsLike > health.heatThresholdC) {
+        advice.push(`It feels like ${Math.round(feelsLike)}°C, above your ${health.heatThresholdC}°C heat limit; carry water and avoid midday trips.`);
+    }
+    if (open && metrics.uvIndex >= 8) {
+        advice.push(`UV index reaches ${metrics.uvIndex}: cover up and use sunscreen.`);
+    }
+    if (mode === 'driving' && health.sensitive && metrics.pm25 > good) {
+        advice.push('Keep the windows up and the AC on recirculate.');
+    }
+    return advice;
+}
+
+module.exports = {
+    CONDITIONS,
+    AGE_GROUPS,
+    ACTIVITY_LEVELS,
+    DEFAULT_BANDS,
+    DEFAULT_PROFILE,
+    resolveHealthProfile,
+    profileChoices,
+    storedHealthProfile,
+    healthAdvice,
+};
@@ -0,0 +1,102 @@
+// ─────────────────────────────────────────────────────────────
+// Health check (GET /healthz)
+//
+//   config     the tokens the app cannot work without are set
+//   providers  Mapbox, air quality and weather answer
+//
+// A provider counts as up when real traffic got a good answer
+// from it within the last few minutes. Otherwise it is probed
+// with one cheap call, and the outcome kept for as long, so a
+// monitor polling /healthz spends little quota. A used-up daily
+// quota is reported as down without calling anything.
+// ─────────────────────────────────────────────────────────────
+
+const PROBE_TTL_MS = 5 * 60e3;
+const PROBE_TIMEOUT_MS = 5000;
+
+const since = iso => (iso ? Date.now() - Date.parse(iso) : Infinity);
+
+/**
+ * @param {Object}   opts
+ * @param {Object}   opts.config     Setting name → value; empty means missing.
+ * @param {Object}   opts.http       lib/http.js client the providers call through.
+ * @param {Array<{name: string, service: ?string, probe: Function}>} opts.providers
+ *        `service` is the lib/http.js service, null for local data.
+ * @returns {{ run: Function }} run() → Promise<{ status, checks }>; status
+ *          is 'ok', 'degraded' (a provider down) or 'down' (config missing).
+ */
+function createHealthCheck({ config, http, providers, ttlMs = PROBE_TTL_MS, timeoutMs = PROBE_TIMEOUT_MS }) {
+    const probes = new Map(); // provider name → { at, result } or { pending }
+
+    const serviceStats = service => http.stats().find(s => s.service === service);
+
+    // Up if its last answer within ttlMs was a good one
+    function fromTraffic(service) {
+        const { lastSuccessAt, lastError } = serviceStats(service);
+        if (since(lastSuccessAt) >= ttlMs) return null;
+        if (lastError && Date.parse(lastError.at) > Date.parse(lastSuccessAt)) return null;
+        return { status: 'up', source: 'traffic', checkedAt: lastSuccessAt };
+    }
+
+    async function probe({ service, probe: call }) {
+        const started = Date.now();
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`No answer within ${timeoutMs} ms.`)), timeoutMs);
+        });
+        try {
+            await Promise.race([call(), timeout]);
+            // Some callers turn an error response into a default value;
+            // what the HTTP client saw is what counts
+            const stats = service && serviceStats(service);
+            if (stats && !(Date.parse(stats.lastSuccessAt) >= started)) {
+                throw new Error(stats.lastError?.message || 'No successful response.');
+            }
+            return { status: 'up', source: 'probe', latencyMs: Date.now() - started };
+        } catch (error) {
+            return { status: 'down', source: 'probe', error: error.message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async function checkProvider(provider) {
+        const { name, service } = provider;
+        if (service) {
+            if (http.quota(service).remaining === 0) return { status: 'down', service, error: 'Daily quota is used up.' };
+            const recent = fromTraffic(service);
+            if (recent) return { ...recent, service };
+        }
+
+        const cached = probes.get(name);
+        if (cached?.pending) return cached.pending;
+        if (cached && Date.now() - cached.at < ttlMs) return cached.result;
+
+        const pending = probe(provider).then(result => {
+            const checked = { ...result, ...(service && { service }), checkedAt: new Date().toISOString() };
+            probes.set(name, { at: Date.now(), result: checked });
+            return checked;
+        });
+        probes.set(name, { pending });
+        return pending;
+    }
+
+    async function run() {
+        const missing = Object.entries(config).filter(([, value]) => !value).map(([key]) => key);
+        const checks = {
+            config: missing.length ? { status: 'missing', missing } : { status: 'ok' },
+        };
+
+        const results = await Promise.all(providers.map(checkProvider));
+        providers.forEach(({ name }, i) => { checks[name] = results[i]; });
+
+        const status = missing.length ? 'down'
+            : results.some(r => r.status !== 'up') ? 'degraded'
+            : 'ok';
+        return { status, checks };
+    }
+
+    return { run };
+}
+
+module.exports = { PROBE_TTL_MS, createHealthCheck };
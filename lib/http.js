@@ -0,0 +1,192 @@
+// ─────────────────────────────────────────────────────────────
+// Outbound HTTP layer for every external API call
+//
+//   • one concurrency limit shared by all services
+//   • per-service rate limit (requests per rolling minute)
+//   • per-attempt timeout
+//   • retry with exponential backoff on 429 / 5xx / network errors
+//   • per-service daily quota, reset at UTC midnight
+//   • per-service calls, errors and the latest success/error
+//
+// forService(name) returns a fetch-compatible function, so the
+// callers keep using `await (await fetch(url)).json()`.
+// ─────────────────────────────────────────────────────────────
+
+class QuotaExceededError extends Error {
+    constructor(service) {
+        super(`Daily quota for ${service} is used up. Try again tomorrow.`);
+        this.name = 'QuotaExceededError';
+        this.service = service;
+    }
+}
+
+// A service still failing after every retry (network error or timeout)
+class UpstreamError extends Error {
+    constructor(service, message) {
+        super(`${service} request failed: ${message}`);
+        this.name = 'UpstreamError';
+        this.service = service;
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const RETRY_BASE_MS = 400;
+const MAX_RETRY_AFTER_MS = 10000;
+
+function isRetryable(status) {
+    return status === 429 || status >= 500;
+}
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(response) {
+    const header = response.headers.get('retry-after');
+    if (!header) return null;
+    const seconds = Number(header);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(header).getTime() - Date.now();
+    return Number.isFinite(ms) ? Math.min(MAX_RETRY_AFTER_MS, Math.max(0, ms)) : null;
+}
+
+function utcDay() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * @param {Object} opts
+ * @param {number} opts.concurrency   Max requests in flight across all services.
+ * @param {number} opts.timeoutMs     Per attempt.
+ * @param {number} opts.retries       Extra attempts after the first.
+ * @param {Object<string, {perMinute:number, dailyQuota:number}>} opts.services
+ * @param {Function} [opts.fetch]     The underlying fetch; tests replay recorded responses.
+ */
+function createHttpClient({ concurrency, timeoutMs, retries, services, fetch = globalThis.fetch }) {
+    // ── Concurrency: a FIFO semaphore ───────────────────────
+    let inFlight = 0;
+    const waiting = [];
+
+    async function acquire() {
+        if (inFlight < concurrency) {
+            inFlight++;
+            return;
+        }
+        await new Promise(resolve => waiting.push(resolve));
+    }
+
+    function release() {
+        const next = waiting.shift();
+        if (next) next();      // hand the slot straight over
+        else inFlight--;
+    }
+
+    // ── Per-service rate limit + daily quota ────────────────
+    // service → { starts: number[], day, used, calls, errors, retries, lastSuccessAt, lastError }
+    const state = new Map();
+
+    function serviceState(service) {
+        if (!services[service]) throw new Error(`Unknown outbound service "${service}".`);
+        let s = state.get(service);
+        if (!s) {
+            s = { starts: [], day: utcDay(), used: 0, calls: 0, errors: 0, retries: 0, lastSuccessAt: null, lastError: null };
+            state.set(service, s);
+        }
+        if (s.day !== utcDay()) {
+            s.day = utcDay();
+            s.used = 0;
+        }
+        return s;
+    }
+
+    async function waitForRateLimit(service) {
+        const { perMinute } = services[service];
+        const s = serviceState(service);
+        for (;;) {
+            const windowStart = Date.now() - 60e3;
+            while (s.starts.length && s.starts[0] <= windowStart) s.starts.shift();
+            if (s.starts.length < perMinute) break;
+            await sleep(s.starts[0] - windowStart + 5);
+        }
+        s.starts.push(Date.now());
+    }
+
+    function takeQuota(service) {
+        const s = serviceState(service);
+        if (s.used >= services[service].dailyQuota) throw new QuotaExceededError(service);
+        s.used++;
+    }
+
+    // ── One attempt, inside a concurrency slot ──────────────
+    // The slot is taken only once the service's rate limit allows the
+    // call, so a throttled service never holds slots other services need
+    async function attempt(service, url, options) {
+        await waitForRateLimit(service);
+        takeQuota(service);
+        await acquire();
+        try {
+            serviceState(service).calls++;
+            return await fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+        } finally {
+            release();
+        }
+    }
+
+    // Every attempt's outcome: counts for /api/quota and /metrics, and
+    // the latest success and error for /healthz
+    function record(service, response, error) {
+        const s = serviceState(service);
+        if (response?.ok) {
+            s.lastSuccessAt = Date.now();
+            return;
+        }
+        s.errors++;
+        s.lastError = { at: Date.now(), message: error?.message || `HTTP ${response.status}` };
+    }
+
+    function forService(service) {
+        serviceState(service); // fail fast on typos
+
+        return async function limitedFetch(url, options = {}) {
+            for (let n = 0; ; n++) {
+                const backoff = RETRY_BASE_MS * 2 ** n + Math.random() * RETRY_BASE_MS;
+                let response;
+                try {
+                    response = await attempt(service, url, options);
+                } catch (error) {
+                    if (error instanceof QuotaExceededError) throw error;
+                    record(service, null, error);
+                    if (n >= retries) throw new UpstreamError(service, error.message);
+                    serviceState(service).retries++;
+                    await sleep(backoff);
+                    continue;
+                }
+
+                record(service, response);
+                if (!isRetryable(response.status) || n >= retries) return response;
+                serviceState(service).retries++;
+                await sleep(retryAfterMs(response) ?? backoff);
+            }
+        };
+    }
+
+    /** Remaining daily quota for a service. */
+    function quota(service) {
+        const s = serviceState(service);
+        const limit = services[service].dailyQuota;
+        return { service, day: s.day, used: s.used, limit, remaining: Math.max(0, limit - s.used) };
+    }
+
+    function stats() {
+        return Object.keys(services).map(service => {
+            const s = serviceState(service);
+            return {
+                ...quota(service),
+                calls: s.calls, errors: s.errors, retries: s.retries,
+                lastSuccessAt: s.lastSuccessAt && new Date(s.lastSuccessAt).toISOString(),
+                lastError: s.lastError && { at: new Date(s.lastError.at).toISOString(), message: s.lastError.message },
+            };
+        });
+    }
+
+    return { forService, quota, stats };
+}
+
+module.exports = { createHttpClient, QuotaExceededError, UpstreamError };
@@ -0,0 +1,51 @@
+// ─────────────────────────────────────────────────────────────
+// Structured logging
+//
+// One JSON object per line on stdout:
+//   {"time":"…","level":"info","msg":"route analysed","requestId":"…",…}
+// so the lines can be shipped and searched as they are. Each
+// request gets a child logger carrying its requestId (lib/app.js).
+// LOG_LEVEL picks the least severe level written (default info);
+// "silent" turns logging off.
+// ─────────────────────────────────────────────────────────────
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Errors do not survive JSON.stringify; keep what helps debugging
+function serialize(value) {
+    if (!(value instanceof Error)) return value;
+    return { name: value.name, message: value.message, ...(value.code && { code: value.code }), stack: value.stack };
+}
+
+/**
+ * @param {Object}   [opts]
+ * @param {string}   [opts.level]   Key of LEVELS.
+ * @param {Object}   [opts.fields]  Added to every line.
+ * @param {Function} [opts.write]   Receives each line, without the newline.
+ * @returns {{ debug, info, warn, error: Function, child: Function }}
+ *          Each level takes (msg, fields); child(fields) returns a
+ *          logger that adds `fields` to every line.
+ */
+function createLogger({ level = 'info', fields = {}, write = line => process.stdout.write(`${line}\n`) } = {}) {
+    const threshold = LEVELS[level] ?? LEVELS.info;
+
+    const at = name => (msg, extra = {}) => {
+        if (LEVELS[name] < threshold) return;
+        const entry = { time: new Date().toISOString(), level: name, msg, ...fields };
+        for (const [key, value] of Object.entries(extra)) entry[key] = serialize(value);
+        write(JSON.stringify(entry));
+    };
+
+    return {
+        debug: at('debug'),
+        info:  at('info'),
+        warn:  at('warn'),
+        error: at('error'),
+        child: more => createLogger({ level, fields: { ...fields, ...more }, write }),
+    };
+}
+
+// The process-wide logger; request handlers use req.log instead
+const log = createLogger({ level: process.env.LOG_LEVEL || 'info' });
+
+module.exports = { LEVELS, createLogger, log };
@@ -0,0 +1,100 @@
+// ─────────────────────────────────────────────────────────────
+// Prometheus-style metrics (GET /metrics)
+//
+// A small registry rendering the text exposition format:
+//   counter    inc(labels, n)            only goes up
+//   gauge      set(labels, value)
+//   histogram  observe(labels, seconds)  cumulative buckets + sum + count
+// Counters and gauges may instead take collect(), called at scrape
+// time, for values other modules already keep (http.stats(),
+// cache.stats(), …).
+// ─────────────────────────────────────────────────────────────
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+const labelKey = labels => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+function createMetrics() {
+    const metrics = [];
+
+    function register(type, name, help, extra = {}) {
+        if (metrics.some(m => m.name === name)) throw new Error(`Metric "${name}" is already registered.`);
+        const metric = { type, name, help, values: new Map(), ...extra };
+        metrics.push(metric);
+        return metric;
+    }
+
+    // Samples: labels → value, or whatever collect() returns now
+    const samples = metric => (metric.collect ? metric.collect() : [...metric.values.values()]);
+
+    /**
+     * @param {string}   name
+     * @param {string}   help
+     * @param {Function} [collect]  () → Array<{ labels, value }>
+     */
+    function counter(name, help, collect) {
+        const metric = register('counter', name, help, { collect });
+        return {
+            inc(labels = {}, n = 1) {
+                const key = labelKey(labels);
+                const sample = metric.values.get(key) || { labels, value: 0 };
+                sample.value += n;
+                metric.values.set(key, sample);
+            },
+        };
+    }
+
+    function gauge(name, help, collect) {
+        const metric = register('gauge', name, help, { collect });
+        return {
+            set(labels, value) {
+                metric.values.set(labelKey(labels), { labels, value });
+            },
+        };
+    }
+
+    function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+        const metric = register('histogram', name, help, { buckets });
+        return {
+            observe(labels, value) {
+                const key = labelKey(labels);
+                const sample = metric.values.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                buckets.forEach((upper, i) => { if (value <= upper) sample.counts[i]++; });
+                sample.sum += value;
+                sample.count++;
+                metric.values.set(key, sample);
+            },
+        };
+    }
+
+    function render() {
+        const lines = [];
+        for (const metric of metrics) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+            for (const sample of samples(metric)) {
+                if (metric.type !== 'histogram') {
+                    if (sample.value != null) lines.push(`${metric.name}${formatLabels(sample.labels)} ${sample.value}`);
+                    continue;
+                }
+                metric.buckets.forEach((upper, i) => {
+                    lines.push(`${metric.name}_bucket${formatLabels({ ...sample.labels, le: upper })} ${sample.counts[i]}`);
+                });
+                lines.push(`${metric.name}_bucket${formatLabels({ ...sample.labels, le: '+Inf' })} ${sample.count}`);
+                lines.push(`${metric.name}_sum${formatLabels(sample.labels)} ${Number(sample.sum.toFixed(6))}`);
+                lines.push(`${metric.name}_count${formatLabels(sample.labels)} ${sample.count}`);
+            }
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    return { counter, gauge, histogram, render };
+}
+
+module.exports = { DEFAULT_BUCKETS, createMetrics };
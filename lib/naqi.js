@@ -0,0 +1,78 @@
+// ─────────────────────────────────────────────────────────────
+// India National Air Quality Index (CPCB)
+//
+// Each pollutant's concentration maps linearly onto a sub-index
+// between breakpoints; the index is the worst sub-index. CPCB
+// averages PM, NO2 over 24 h and O3, CO over 8 h — here the
+// inputs are averages over the trip instead, so the number is
+// "NAQI-style", good for comparing routes rather than for
+// official reporting.
+//
+// Units: µg/m³, except CO in mg/m³.
+// Pure functions only.
+// ─────────────────────────────────────────────────────────────
+
+const CATEGORIES = [
+    { max: 50,  name: 'Good' },
+    { max: 100, name: 'Satisfactory' },
+    { max: 200, name: 'Moderate' },
+    { max: 300, name: 'Poor' },
+    { max: 400, name: 'Very Poor' },
+    { max: 500, name: 'Severe' },
+];
+
+// Concentration breakpoints at sub-index 0, 50, 100, 200, 300, 400, 500.
+// CPCB leaves the Severe band open; its upper ends follow common practice.
+const BREAKPOINTS = {
+    pm25: [0, 30, 60, 90, 120, 250, 380],
+    pm10: [0, 50, 100, 250, 350, 430, 510],
+    no2:  [0, 40, 80, 180, 280, 400, 500],
+    o3:   [0, 50, 100, 168, 208, 748, 1000],
+    co:   [0, 1, 2, 10, 17, 34, 50],
+};
+const INDEX_STEPS = [0, 50, 100, 200, 300, 400, 500];
+
+const POLLUTANTS = Object.keys(BREAKPOINTS);
+
+/**
+ * Sub-index (0–500) for one pollutant, or null without a reading.
+ *
+ * @param {string} pollutant  Key of BREAKPOINTS.
+ * @param {?number} value
+ */
+function subIndex(pollutant, value) {
+    const bp = BREAKPOINTS[pollutant];
+    if (!bp || value == null || !Number.isFinite(value) || value < 0) return null;
+    for (let i = 1; i < bp.length; i++) {
+        if (value <= bp[i]) {
+            const fraction = (value - bp[i - 1]) / (bp[i] - bp[i - 1]);
+            return Math.round(INDEX_STEPS[i - 1] + fraction * (INDEX_STEPS[i] - INDEX_STEPS[i - 1]));
+        }
+    }
+    return 500;
+}
+
+const categoryOf = index => CATEGORIES.find(c => index <= c.max).name;
+
+/**
+ * The index for whatever pollutants a reading has.
+ *
+ * @param {{pm25?:number, pm10?:number, no2?:number, o3?:number, co?:number}} reading
+ * @returns {?{ value:number, category:string, dominant:string }}
+ *          null when no pollutant has a reading.
+ */
+function computeNaqi(reading) {
+    let worst = null;
+    for (const pollutant of POLLUTANTS) {
+        const index = subIndex(pollutant, reading?.[pollutant]);
+        if (index != null && (!worst || index > worst.value)) worst = { value: index, dominant: pollutant };
+    }
+    return worst && { value: worst.value, category: categoryOf(worst.value), dominant: worst.dominant };
+}
+
+module.exports = {
+    CATEGORIES,
+    POLLUTANTS,
+    subIndex,
+    computeNaqi,
+};
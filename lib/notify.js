@@ -0,0 +1,155 @@
+// ─────────────────────────────────────────────────────────────
+// Alert delivery: Web Push and webhooks
+//
+// Web Push needs a VAPID key pair (VAPID_PUBLIC_KEY /
+// VAPID_PRIVATE_KEY, generate with `npx web-push
+// generate-vapid-keys`). Without it push is disabled and only
+// webhooks are sent.
+//
+// Webhooks only go to public addresses: loopback, private,
+// link-local (cloud metadata) and similar ranges are refused, so
+// users cannot make the server call its own network. The host is
+// checked when the URL is saved, and the connection itself only
+// opens to an address that passed the check, so a DNS answer that
+// changes in between (rebinding) cannot get around it.
+// ─────────────────────────────────────────────────────────────
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const webpush = require('web-push');
+const { log } = require('./log');
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+// BlockList also matches IPv4-mapped IPv6 (::ffff:127.0.0.1) against the IPv4 ranges
+const isPublicAddress = address => !BLOCKED_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+
+function isWebhookUrl(value) {
+    try {
+        const { protocol } = new URL(value);
+        return protocol === 'https:' || protocol === 'http:';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Throws unless every address the URL's host resolves to is public.
+ *
+ * @param {string}   url
+ * @param {Function} [lookup]  dns.promises.lookup; tests pass their own.
+ */
+async function checkWebhookHost(url, lookup = dns.promises.lookup) {
+    if (!isWebhookUrl(url)) throw new Error('webhookUrl must be an http(s) URL.');
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = await lookup(host, { all: true });
+    } catch {
+        throw new Error(`webhookUrl host "${host}" does not resolve.`);
+    }
+    if (addresses.length === 0 || !addresses.every(a => isPublicAddress(a.address))) {
+        throw new Error('webhookUrl must point to a public address.');
+    }
+}
+
+/**
+ * A `lookup` for http.request() that fails the connection unless
+ * every address the host resolves to is public. The addresses it
+ * checks are the ones connected to.
+ *
+ * @param {Function} [resolve]  dns.lookup; tests pass their own.
+ */
+function publicOnlyLookup(resolve = dns.lookup) {
+    return (hostname, options, callback) => {
+        resolve(hostname, options, (error, address, family) => {
+            if (error) return callback(error);
+            const addresses = Array.isArray(address) ? address : [{ address, family }];
+            if (addresses.length === 0 || !addresses.every(a => isPublicAddress(a.address))) {
+                return callback(new Error('webhookUrl must point to a public address.'));
+            }
+            callback(null, address, family);
+        });
+    };
+}
+
+// POSTs JSON and resolves with the status. Redirects are not
+// followed: they could lead anywhere, including refused addresses.
+function postJson(url, payload) {
+    const body = JSON.stringify(payload);
+    const { request } = new URL(url).protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const req = request(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+            lookup: publicOnlyLookup(),
+            timeout: WEBHOOK_TIMEOUT_MS,
+        }, res => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+        req.on('timeout', () => req.destroy(new Error(`Webhook gave no answer within ${WEBHOOK_TIMEOUT_MS} ms.`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * @param {Object} opts
+ * @param {Object} opts.db   better-sqlite3 database (lib/db.js).
+ * @param {Object} opts.env  VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT.
+ */
+function createNotifier({ db, env }) {
+    const publicKey = env.VAPID_PUBLIC_KEY || null;
+    const pushEnabled = Boolean(publicKey && env.VAPID_PRIVATE_KEY);
+    if (pushEnabled) {
+        webpush.setVapidDetails(env.VAPID_SUBJECT || 'mailto:alerts@localhost', publicKey, env.VAPID_PRIVATE_KEY);
+    } else {
+        log.warn('VAPID keys not set; Web Push alerts are disabled');
+    }
+
+    // Sends to every browser the user subscribed; returns how many got it
+    async function sendPush(userId, payload) {
+        if (!pushEnabled) return 0;
+        const subscriptions = db.prepare('SELECT * FROM push_subscriptions WHERE user_id = ?').all(userId);
+        let delivered = 0;
+        for (const s of subscriptions) {
+            try {
+                await webpush.sendNotification(
+                    { endpoint: s.endpoint, keys: { p256dh: s.p256dh, auth: s.auth } },
+                    JSON.stringify(payload)
+                );
+                delivered++;
+            } catch (error) {
+                // The browser unsubscribed or the subscription expired
+                if (error.statusCode === 404 || error.statusCode === 410) {
+                    db.prepare('DELETE FROM push_subscriptions WHERE endpoint = ?').run(s.endpoint);
+                } else {
+                    log.warn('push failed', { userId, error: error.message });
+                }
+            }
+        }
+        return delivered;
+    }
+
+    async function sendWebhook(url, payload) {
+        // IP literals never go through the lookup, so they are checked here
+        await checkWebhookHost(url);
+        const status = await postJson(url, payload);
+        if (status < 200 || status >= 300) throw new Error(`Webhook responded ${status}.`);
+    }
+
+    return { publicKey: pushEnabled ? publicKey : null, sendPush, sendWebhook };
+}
+
+module.exports = { createNotifier, isWebhookUrl, checkWebhookHost, publicOnlyLookup };
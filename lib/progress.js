@@ -0,0 +1,66 @@
+// ─────────────────────────────────────────────────────────────
+// Route analysis progress
+//
+// analyzeRoutes() reports each stage as it works through it; the
+// streaming endpoint forwards the events to the browser so the
+// progress bar follows real work. Each stage owns a slice of the
+// bar in proportion to how long it usually takes (AQI sampling
+// dominates). Stages a request skips are simply jumped over.
+// ─────────────────────────────────────────────────────────────
+
+const STAGES = [
+    { name: 'geocode',    label: 'Finding your places',          weight: 8 },
+    { name: 'directions', label: 'Fetching routes',              weight: 10 },
+    { name: 'sampling',   label: 'Sampling air quality',         weight: 45 },
+    { name: 'detours',    label: 'Looking for cleaner detours',  weight: 12 },
+    { name: 'departures', label: 'Checking departure times',     weight: 10 },
+    { name: 'scoring',    label: 'Scoring routes',               weight: 5 },
+    { name: 'transit',    label: 'Checking metro and bus',       weight: 10 },
+];
+
+const TOTAL_WEIGHT = STAGES.reduce((sum, s) => sum + s.weight, 0);
+
+/**
+ * @param {(event: Object) => void} [emit]  Receives
+ *        { type: 'progress', stage, label, done, total, percent },
+ *        plus whatever is sent through send().
+ * @returns {{ stage: Function, step: Function, send: Function }}
+ *          stage(name, total) starts a stage of `total` steps,
+ *          step(n = 1) completes steps of the current stage, and
+ *          send(event) passes any other event through.
+ */
+function createProgress(emit = () => {}) {
+    let current = null;
+    let done = 0;
+    let total = 0;
+    let lastPercent = -1;
+
+    function report() {
+        const index = STAGES.indexOf(current);
+        const before = STAGES.slice(0, index).reduce((sum, s) => sum + s.weight, 0);
+        const fraction = total > 0 ? Math.min(1, done / total) : 0;
+        const percent = Math.floor(((before + current.weight * fraction) / TOTAL_WEIGHT) * 100);
+        // Lookups finish in bursts; one event per percent is plenty
+        if (percent === lastPercent && done !== 0 && done !== total) return;
+        lastPercent = percent;
+        emit({ type: 'progress', stage: current.name, label: current.label, done, total, percent });
+    }
+
+    function stage(name, stepCount = 1) {
+        current = STAGES.find(s => s.name === name);
+        if (!current) throw new Error(`Unknown progress stage "${name}".`);
+        done = 0;
+        total = stepCount;
+        report();
+    }
+
+    function step(n = 1) {
+        if (!current) return;
+        done += n;
+        report();
+    }
+
+    return { stage, step, send: emit };
+}
+
+module.exports = { STAGES, createProgress };
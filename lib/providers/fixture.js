@@ -0,0 +1,78 @@
+// ─────────────────────────────────────────────────────────────
+// Fixture provider — deterministic PM2.5 from a local file.
+//
+// Accepts a GeoJSON FeatureCollection of Points with a `pm25`
+// property, or a CSV with `lon,lat,pm25` columns; `pm10`, `no2`,
+// `o3` (µg/m³) and `co` (mg/m³) are optional. Values are
+// interpolated between points, so the whole route pipeline can
+// run offline and always produce the same scores.
+// ─────────────────────────────────────────────────────────────
+const fs = require('fs');
+const path = require('path');
+const { interpolateIdw } = require('./interpolate');
+
+const POLLUTANTS = ['pm25', 'pm10', 'no2', 'o3', 'co'];
+
+// Only the pollutants with a finite value
+function readValues(source) {
+    const values = {};
+    for (const p of POLLUTANTS) {
+        const v = source[p] === '' || source[p] == null ? NaN : Number(source[p]);
+        if (Number.isFinite(v)) values[p] = v;
+    }
+    return values;
+}
+
+function parseGeoJson(text) {
+    const data = JSON.parse(text);
+    return (data.features || [])
+        .filter(f => f.geometry?.type === 'Point')
+        .map(f => ({ coordinates: f.geometry.coordinates, values: readValues(f.properties || {}) }))
+        .filter(p => p.values.pm25 != null);
+}
+
+function parseCsv(text) {
+    const [header, ...rows] = text.trim().split(/\r?\n/);
+    const cols = header.split(',').map(c => c.trim().toLowerCase());
+    const [lonIdx, latIdx, pmIdx] = ['lon', 'lat', 'pm25'].map(c => cols.indexOf(c));
+    if (lonIdx < 0 || latIdx < 0 || pmIdx < 0) throw new Error('Fixture CSV needs lon, lat and pm25 columns.');
+
+    return rows
+        .map(row => row.split(','))
+        .map(cells => ({
+            coordinates: [Number(cells[lonIdx]), Number(cells[latIdx])],
+            values: readValues(Object.fromEntries(cols.map((c, i) => [c, cells[i]?.trim()]))),
+        }))
+        .filter(p => p.coordinates.every(Number.isFinite) && p.values.pm25 != null);
+}
+
+function create({ fixturePath }) {
+    if (!fixturePath) throw new Error('Fixture provider needs AQI_FIXTURE_PATH.');
+
+    const resolved = path.resolve(fixturePath);
+    const text = fs.readFileSync(resolved, 'utf8');
+    const points = /\.csv$/i.test(resolved) ? parseCsv(text) : parseGeoJson(text);
+    if (points.length === 0) throw new Error(`Fixture ${resolved} contains no PM2.5 points.`);
+
+    // One point set per pollutant present in the file
+    const layers = POLLUTANTS
+        .map(p => [p, points.filter(pt => pt.values[p] != null).map(pt => ({ coordinates: pt.coordinates, value: pt.values[p] }))])
+        .filter(([, layer]) => layer.length > 0);
+
+    async function getAirQuality(lon, lat) {
+        // No distance cut-off: a fixture should answer for any route
+        return Object.fromEntries(layers.map(([p, layer]) => [
+            p, Number(interpolateIdw(layer, lon, lat, { maxKm: Infinity }).toFixed(p === 'co' ? 2 : 1)),
+        ]));
+    }
+
+    return {
+        name: 'fixture',
+        service: null, // local file: no quota
+        // Fixture data never changes while the server runs
+        updateIntervalMins: Infinity,
+        getAirQuality,
+    };
+}
+
+module.exports = { SERVICE: null, create };
@@ -0,0 +1,89 @@
+// ─────────────────────────────────────────────────────────────
+// Google Air Quality provider
+//   FIX #2: extraComputations is required — without it the
+//   `pollutants` array never contains `.concentration`.
+// ─────────────────────────────────────────────────────────────
+const { hourKey } = require('../departure');
+
+// Outbound quota/rate-limit bucket (lib/http.js)
+const SERVICE = 'google-air-quality';
+
+// Google refreshes current conditions hourly
+const UPDATE_INTERVAL_MINS = 60;
+const FORECAST_PAGE_SIZE = 96;
+
+// Gases come in ppb; lib/naqi.js wants µg/m³ (molecular weight / 24.45 at 25 °C)
+const PPB_TO_UG = { no2: 46.01 / 24.45, o3: 48.00 / 24.45, co: 28.01 / 24.45 };
+const POLLUTANTS = ['pm25', 'pm10', 'no2', 'o3', 'co'];
+
+function findPm25(pollutants) {
+    const pm25Data = pollutants?.find(p => p.code === 'pm25');
+    return pm25Data?.concentration?.value ?? null;
+}
+
+// { pm25, pm10, no2, o3 } in µg/m³ and co in mg/m³, for those reported
+function readPollutants(pollutants) {
+    const reading = {};
+    for (const { code, concentration } of pollutants || []) {
+        if (!POLLUTANTS.includes(code) || concentration?.value == null) continue;
+        let value = concentration.value;
+        if (concentration.units === 'PARTS_PER_BILLION') value *= PPB_TO_UG[code] ?? 1;
+        reading[code] = code === 'co' ? value / 1000 : value;
+    }
+    return reading;
+}
+
+// Without apiKey every lookup fails, so routes score on the fallback
+// PM2.5 and /healthz reports the missing key rather than the server
+// refusing to start
+function create({ apiKey, fetch = globalThis.fetch }) {
+    async function post(endpoint, body) {
+        if (!apiKey) throw new Error('Google air-quality provider needs GOOGLE_API_KEY.');
+        const response = await fetch(`https://airquality.googleapis.com/v1/${endpoint}?key=${apiKey}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (data.error) throw new Error(`Google Air Quality Error: ${data.error.message}`);
+        return data;
+    }
+
+    async function getAirQuality(lon, lat) {
+        const data = await post('currentConditions:lookup', {
+            location: { latitude: lat, longitude: lon },
+            extraComputations: ['POLLUTANT_CONCENTRATION'] // ← required!
+        });
+
+        const reading = readPollutants(data.pollutants);
+        if (reading.pm25 == null) throw new Error(`Google Air Quality returned no PM2.5 for ${lat},${lon}.`);
+        return reading;
+    }
+
+    // Hourly series keyed by UTC hour
+    async function getPm25Forecast(lon, lat, startTime, endTime) {
+        const data = await post('forecast:lookup', {
+            location: { latitude: lat, longitude: lon },
+            period: { startTime: startTime.toISOString(), endTime: endTime.toISOString() },
+            extraComputations: ['POLLUTANT_CONCENTRATION'],
+            pageSize: FORECAST_PAGE_SIZE
+        });
+
+        const series = new Map();
+        for (const hour of data.hourlyForecasts || []) {
+            const pm25 = findPm25(hour.pollutants);
+            if (pm25 != null) series.set(hourKey(hour.dateTime), pm25);
+        }
+        return series;
+    }
+
+    return {
+        name: 'google',
+        service: SERVICE,
+        updateIntervalMins: UPDATE_INTERVAL_MINS,
+        getAirQuality,
+        getPm25Forecast,
+    };
+}
+
+module.exports = { SERVICE, create };
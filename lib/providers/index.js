@@ -0,0 +1,41 @@
+// ─────────────────────────────────────────────────────────────
+// Air-quality provider selection
+//
+// Every provider exposes:
+//   name                          string
+//   service                       lib/http.js quota bucket, or null
+//   updateIntervalMins            how often its readings change
+//   getAirQuality(lon, lat)       → Promise<{ pm25, pm10?, no2?, o3?, co? }>
+//                                 µg/m³ (CO in mg/m³); pm25 always
+//                                 present, throws on failure
+//   getPm25Forecast(lon, lat, from, to)   (optional)
+//                                 → Promise<Map<hourKey, number>>
+//
+// Pick one with AQI_PROVIDER=google|openaq|fixture.
+// ─────────────────────────────────────────────────────────────
+const google = require('./google');
+const openaq = require('./openaq');
+const fixture = require('./fixture');
+
+const PROVIDERS = { google, openaq, fixture };
+
+/**
+ * @param {Object} env
+ * @param {Object} [http]  lib/http.js client; calls go through its limits.
+ */
+function createAirQualityProvider(env = process.env, http = null) {
+    const name = (env.AQI_PROVIDER || 'google').toLowerCase();
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown AQI_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+
+    return provider.create({
+        apiKey: name === 'openaq' ? env.OPENAQ_API_KEY : env.GOOGLE_API_KEY,
+        providerNames: (env.OPENAQ_PROVIDERS || '').split(',').map(s => s.trim()).filter(Boolean),
+        fixturePath: env.AQI_FIXTURE_PATH,
+        fetch: http && provider.SERVICE ? http.forService(provider.SERVICE) : globalThis.fetch,
+    });
+}
+
+module.exports = { createAirQualityProvider };
@@ -0,0 +1,40 @@
+// ─────────────────────────────────────────────────────────────
+// Inverse-distance weighting between point readings.
+// Shared by the station-based and fixture providers.
+// ─────────────────────────────────────────────────────────────
+const turf = require('@turf/turf');
+
+/**
+ * @param {Array<{coordinates:number[], value:number}>} points  [lon, lat] readings.
+ * @param {number} lon
+ * @param {number} lat
+ * @param {Object} [opts]
+ * @param {number} [opts.maxKm=25]    Ignore points further away than this.
+ * @param {number} [opts.neighbours=4] Use at most this many nearest points.
+ * @param {number} [opts.power=2]
+ * @returns {number|null} null when no point is within range.
+ */
+function interpolateIdw(points, lon, lat, { maxKm = 25, neighbours = 4, power = 2 } = {}) {
+    const here = turf.point([lon, lat]);
+    const nearest = points
+        .map(p => ({ value: p.value, km: turf.distance(here, turf.point(p.coordinates), { units: 'kilometers' }) }))
+        .filter(p => p.km <= maxKm)
+        .sort((a, b) => a.km - b.km)
+        .slice(0, neighbours);
+
+    if (nearest.length === 0) return null;
+
+    // Standing on a station: use its reading as-is
+    if (nearest[0].km < 0.01) return nearest[0].value;
+
+    let weighted = 0;
+    let weights = 0;
+    for (const { value, km } of nearest) {
+        const w = 1 / Math.pow(km, power);
+        weighted += value * w;
+        weights += w;
+    }
+    return weighted / weights;
+}
+
+module.exports = { interpolateIdw };
@@ -0,0 +1,89 @@
+// ─────────────────────────────────────────────────────────────
+// OpenAQ provider (ground stations, incl. CPCB)
+//
+// Ground monitors are sparse, so readings are interpolated
+// between the nearest stations with recent PM2.5 data. Station
+// lists are fetched per ~11 km tile and reused until stale, so
+// a route's samples cost a handful of calls, not one each.
+// ─────────────────────────────────────────────────────────────
+const { interpolateIdw } = require('./interpolate');
+
+const SERVICE = 'openaq';
+const BASE_URL = 'https://api.openaq.org/v3';
+const PM25_PARAMETER_ID = 2;
+const SEARCH_RADIUS_M = 25000;      // OpenAQ's maximum
+const MAX_STATIONS_PER_TILE = 8;
+const MAX_READING_AGE_HOURS = 3;
+
+// CPCB stations report every 15 minutes; OpenAQ ingests them roughly half-hourly
+const UPDATE_INTERVAL_MINS = 30;
+
+// Like the Google provider, a missing key fails each lookup, not startup
+function create({ apiKey, providerNames = [], fetch = globalThis.fetch }) {
+    // tileKey → { fetchedAt, stations: Promise<Array<{coordinates, value, datetime}>> }
+    const tiles = new Map();
+
+    async function get(path) {
+        if (!apiKey) throw new Error('OpenAQ provider needs OPENAQ_API_KEY.');
+        const response = await fetch(`${BASE_URL}${path}`, { headers: { 'X-API-Key': apiKey } });
+        if (!response.ok) throw new Error(`OpenAQ API Error: ${response.status} ${response.statusText}`);
+        return response.json();
+    }
+
+    async function fetchStations(lon, lat) {
+        const data = await get(`/locations?coordinates=${lat},${lon}&radius=${SEARCH_RADIUS_M}&parameters_id=${PM25_PARAMETER_ID}&limit=100`);
+
+        const wanted = providerNames.map(n => n.toLowerCase());
+        const locations = (data.results || [])
+            .filter(loc => !wanted.length || wanted.some(n => loc.provider?.name?.toLowerCase().includes(n)))
+            .map(loc => ({
+                id: loc.id,
+                coordinates: [loc.coordinates.longitude, loc.coordinates.latitude],
+                sensorId: loc.sensors?.find(s => s.parameter?.id === PM25_PARAMETER_ID)?.id,
+                distance: Math.hypot(loc.coordinates.longitude - lon, loc.coordinates.latitude - lat),
+            }))
+            .filter(loc => loc.sensorId)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, MAX_STATIONS_PER_TILE);
+
+        const oldest = Date.now() - MAX_READING_AGE_HOURS * 3600e3;
+        const readings = await Promise.all(locations.map(async loc => {
+            const latest = await get(`/locations/${loc.id}/latest`);
+            const reading = latest.results?.find(r => r.sensorsId === loc.sensorId);
+            if (!reading || reading.value < 0) return null;
+            if (new Date(reading.datetime?.utc).getTime() < oldest) return null;
+            return { coordinates: loc.coordinates, value: reading.value };
+        }));
+
+        return readings.filter(Boolean);
+    }
+
+    function getStations(lon, lat) {
+        const tileKey = `${lon.toFixed(1)},${lat.toFixed(1)}`;
+        const tile = tiles.get(tileKey);
+        if (tile && Date.now() - tile.fetchedAt < UPDATE_INTERVAL_MINS * 60e3) return tile.stations;
+
+        // Store the pending promise so concurrent samples share one fetch
+        const stations = fetchStations(Number(lon.toFixed(1)), Number(lat.toFixed(1)));
+        tiles.set(tileKey, { fetchedAt: Date.now(), stations });
+        stations.catch(() => tiles.delete(tileKey));
+        return stations;
+    }
+
+    // PM2.5 only: CPCB gas monitors are too sparse to interpolate between
+    async function getAirQuality(lon, lat) {
+        const stations = await getStations(lon, lat);
+        const pm25 = interpolateIdw(stations, lon, lat, { maxKm: SEARCH_RADIUS_M / 1000 });
+        if (pm25 == null) throw new Error(`No OpenAQ station with recent PM2.5 near ${lat},${lon}.`);
+        return { pm25 };
+    }
+
+    return {
+        name: 'openaq',
+        service: SERVICE,
+        updateIntervalMins: UPDATE_INTERVAL_MINS,
+        getAirQuality,
+    };
+}
+
+module.exports = { SERVICE, create };
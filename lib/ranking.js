@@ -0,0 +1,116 @@
+// ─────────────────────────────────────────────────────────────
+// Route scoring and ranking
+//
+// A trip is one route option per leg. Every combination is a
+// candidate, scored on its inhaled dose plus the heat, UV and
+// other pollutants met along the way (lib/exposure.js). The
+// fastest candidate and the best scoring ones are shortlisted;
+// when a departure window is given the shortlist is ranked on
+// each trip's best leave-time instead.
+//
+// Pure functions only.
+// ─────────────────────────────────────────────────────────────
+const { combineExposures, scoreExposure } = require('./exposure');
+const { combinations } = require('./trip');
+const { computeNaqi } = require('./naqi');
+const { summarizeWeather } = require('./weather');
+
+// Only the best few candidates get a forecast departure plan
+const MAX_PLANNED_TRIPS = 3;
+
+// CO is in mg/m³, so whole numbers would hide it
+const roundPollutants = pollutants => Object.fromEntries(Object.entries(pollutants).map(([key, value]) =>
+    [key, value == null ? null : Number(value.toFixed(key === 'co' ? 2 : 0))]
+));
+
+const roundMetrics = exposure => ({
+    pm25:            Math.round(exposure.avgPm25),
+    peakPm25:        Math.round(exposure.peakPm25),
+    doseUg:          Number(exposure.doseUg.toFixed(1)),
+    minutesAboveWho: Math.round(exposure.minutesAboveWho),
+    pollutants:      roundPollutants(exposure.pollutants),
+    // NAQI-style index over the trip averages (lib/naqi.js)
+    aqi:             computeNaqi({ ...exposure.pollutants, pm25: exposure.avgPm25 }),
+});
+
+// Dose plus the heat, UV and other pollutants met along the way
+const scoreTrip = (exposure, weather, mode, health) => scoreExposure({
+    doseUg:      exposure.doseUg,
+    tempCelsius: weather.tempCelsius,
+    feelsLikeC:  weather.feelsLikeC,
+    uvIndex:     weather.uvIndex,
+    pollutants:  exposure.pollutants,
+    mode,
+    health,
+});
+
+/**
+ * Whole-trip candidates: one option per leg.
+ *
+ * @param {Array<Object[]>} legOptions  Per leg, options with { route, exposure,
+ *        weatherReadings, detour? }.
+ * @param {Object} opts
+ * @param {string} opts.mode
+ * @param {Object} opts.health           lib/health.js profile.
+ * @param {number} opts.maxExtraMinutes  Detours may add at most this much to the
+ *        quickest trip; candidates without detours are always kept.
+ * @returns {Array<{legs, durationSec, exposure, weather, healthScore}>}
+ */
+function buildCandidates(legOptions, { mode, health, maxExtraMinutes }) {
+    const all = combinations(legOptions).map(legs => {
+        const durationSec = legs.reduce((sum, o) => sum + o.route.duration, 0);
+        const exposure = combineExposures(legs.map(o => ({ exposure: o.exposure, durationSec: o.route.duration })));
+        const weather = summarizeWeather(legs.flatMap(o => o.weatherReadings));
+        return { legs, durationSec, exposure, weather, healthScore: scoreTrip(exposure, weather, mode, health) };
+    });
+    const quickestSec = Math.min(...all.map(c => c.durationSec));
+    return all.filter(c => !c.legs.some(o => o.detour) || c.durationSec <= quickestSec + maxExtraMinutes * 60);
+}
+
+/**
+ * @param {Object[]} candidates  From buildCandidates().
+ * @returns {{ byDuration:Object[], byScore:Object[], shortlist:Object[] }}
+ *          shortlist is the fastest plus the MAX_PLANNED_TRIPS best
+ *          scoring, each once.
+ */
+function rankCandidates(candidates) {
+    const byDuration = [...candidates].sort((a, b) => a.durationSec - b.durationSec);
+    const byScore    = [...candidates].sort((a, b) => b.healthScore - a.healthScore);
+    const shortlist  = [...new Set([byDuration[0], ...byScore.slice(0, MAX_PLANNED_TRIPS)])];
+    return { byDuration, byScore, shortlist };
+}
+
+// When planning ahead, rank on each trip's best leave-time rather than right now
+const rankByDeparture = shortlist => [...shortlist].sort((a, b) =>
+    (b.departurePlan?.best.healthScore ?? b.healthScore) - (a.departurePlan?.best.healthScore ?? a.healthScore)
+);
+
+/**
+ * The three route cards. The fastest trip is reused rather than
+ * converted twice when it also ranks healthiest; with fewer than
+ * three candidates the missing cards repeat the ones above.
+ *
+ * @param {Object}   fastest   Candidate.
+ * @param {Object[]} ranked    Candidates, best first.
+ * @param {Function} toRoute   candidate → route.
+ */
+function pickMainRoutes(fastest, ranked, toRoute) {
+    const fastestRoute = toRoute(fastest);
+    const [healthiestRoute, secondHealthiestRoute] = ranked.slice(0, 2)
+        .map(c => (c === fastest ? fastestRoute : toRoute(c)));
+    return {
+        fastest:          fastestRoute,
+        healthiest:       healthiestRoute       || fastestRoute,
+        secondHealthiest: secondHealthiestRoute || healthiestRoute,
+    };
+}
+
+module.exports = {
+    MAX_PLANNED_TRIPS,
+    roundMetrics,
+    scoreTrip,
+    buildCandidates,
+    rankCandidates,
+    rankByDeparture,
+    pickMainRoutes,
+};
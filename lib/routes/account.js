@@ -0,0 +1,210 @@
+// ─────────────────────────────────────────────────────────────
+// Accounts, saved places and saved commutes
+//
+//   POST   /api/auth/register   { email, password } → { token, user }
+//   POST   /api/auth/login      { email, password } → { token, user }
+//   POST   /api/auth/logout
+//   GET    /api/me
+//   GET    /api/me/health       PUT /api/me/health
+//   GET    /api/places          POST /api/places
+//   PUT    /api/places/:id      DELETE /api/places/:id
+//   GET    /api/commutes        POST /api/commutes
+//   PUT    /api/commutes/:id    DELETE /api/commutes/:id
+//
+// Everything except register/login needs `Authorization: Bearer`;
+// register/login have their own, stricter per-IP rate limit.
+// Failures are thrown as ApiError; lib/app.js sends them.
+// ─────────────────────────────────────────────────────────────
+const express = require('express');
+const {
+    MIN_PASSWORD_LENGTH,
+    hashPassword,
+    verifyPassword,
+    createSession,
+    deleteSession,
+    bearerToken,
+    authenticate,
+} = require('../auth');
+const { DEFAULT_PROFILE, resolveHealthProfile, profileChoices, storedHealthProfile } = require('../health');
+const { ApiError } = require('../errors');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_TEXT_LENGTH = 200;
+
+const cleanText = v => (typeof v === 'string' ? v.trim().slice(0, MAX_TEXT_LENGTH) : '');
+
+const toPlace = row => ({ id: row.id, label: row.label, query: row.query, createdAt: row.created_at });
+const toCommute = row => ({
+    id: row.id,
+    name: row.name,
+    start: row.start,
+    end: row.end,
+    mode: row.mode,
+    createdAt: row.created_at,
+});
+
+/**
+ * @param {Object}   opts
+ * @param {Object}   opts.db           better-sqlite3 database (lib/db.js).
+ * @param {string[]} opts.travelModes  Valid values for a commute's mode.
+ * @param {Function} opts.authLimit    Rate-limit middleware (lib/guard.js) for register/login.
+ */
+function createAccountRouter({ db, travelModes, authLimit }) {
+    const router = express.Router();
+    const requireUser = authenticate(db);
+
+    // ── Auth ────────────────────────────────────────────────
+    function readCredentials(req) {
+        const email = cleanText(req.body?.email).toLowerCase();
+        const password = typeof req.body?.password === 'string' ? req.body.password : '';
+        if (!EMAIL_PATTERN.test(email)) throw new ApiError(400, 'Enter a valid email address.');
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            throw new ApiError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+        }
+        return { email, password };
+    }
+
+    router.post('/auth/register', authLimit, async (req, res) => {
+        const credentials = readCredentials(req);
+        // Hashed first, so nothing can register the email between the check and the insert
+        const passwordHash = await hashPassword(credentials.password);
+
+        const exists = db.prepare('SELECT 1 FROM users WHERE email = ?').get(credentials.email);
+        if (exists) throw new ApiError(409, 'An account with that email already exists.');
+
+        const { lastInsertRowid } = db.prepare('INSERT INTO users (email, password_hash) VALUES (?, ?)')
+            .run(credentials.email, passwordHash);
+        const userId = Number(lastInsertRowid);
+        res.status(201).json({ token: createSession(db, userId), user: { id: userId, email: credentials.email } });
+    });
+
+    router.post('/auth/login', authLimit, async (req, res) => {
+        const credentials = readCredentials(req);
+
+        const user = db.prepare('SELECT id, email, password_hash FROM users WHERE email = ?').get(credentials.email);
+        if (!await verifyPassword(credentials.password, user?.password_hash)) {
+            throw new ApiError(401, 'Wrong email or password.');
+        }
+        res.json({ token: createSession(db, user.id), user: { id: user.id, email: user.email } });
+    });
+
+    router.post('/auth/logout', requireUser, (req, res) => {
+        deleteSession(db, bearerToken(req));
+        res.status(204).end();
+    });
+
+    router.get('/me', requireUser, (req, res) => {
+        res.json({ user: req.user, health: storedHealthProfile(db, req.user.id) });
+    });
+
+    // ── Health profile ──────────────────────────────────────
+    // Scores the user's saved commutes, alerts and tracked trips;
+    // the app also sends it with every POST /api/routes.
+    router.get('/me/health', requireUser, (req, res) => {
+        res.json(storedHealthProfile(db, req.user.id) || DEFAULT_PROFILE);
+    });
+
+    router.put('/me/health', requireUser, (req, res) => {
+        let choices;
+        try {
+            choices = profileChoices(resolveHealthProfile(req.body ?? {}));
+        } catch (error) {
+            throw new ApiError(400, error.message);
+        }
+        db.prepare('UPDATE users SET health_profile = ? WHERE id = ?').run(JSON.stringify(choices), req.user.id);
+        res.json(choices);
+    });
+
+    // ── Saved places ────────────────────────────────────────
+    function readPlace(req) {
+        const label = cleanText(req.body?.label);
+        const query = cleanText(req.body?.query);
+        if (!label || !query) throw new ApiError(400, 'A place needs a label and an address.');
+        return { label, query };
+    }
+
+    router.get('/places', requireUser, (req, res) => {
+        const rows = db.prepare('SELECT * FROM places WHERE user_id = ? ORDER BY created_at').all(req.user.id);
+        res.json(rows.map(toPlace));
+    });
+
+    router.post('/places', requireUser, (req, res) => {
+        const place = readPlace(req);
+
+        // Saving "Home" again moves Home rather than failing
+        db.prepare(`
+            INSERT INTO places (user_id, label, query) VALUES (?, ?, ?)
+            ON CONFLICT (user_id, label) DO UPDATE SET query = excluded.query
+        `).run(req.user.id, place.label, place.query);
+        const row = db.prepare('SELECT * FROM places WHERE user_id = ? AND label = ?').get(req.user.id, place.label);
+        res.status(201).json(toPlace(row));
+    });
+
+    router.put('/places/:id', requireUser, (req, res) => {
+        const place = readPlace(req);
+
+        let changes;
+        try {
+            ({ changes } = db.prepare('UPDATE places SET label = ?, query = ? WHERE id = ? AND user_id = ?')
+                .run(place.label, place.query, req.params.id, req.user.id));
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                throw new ApiError(409, `You already have a place called "${place.label}".`);
+            }
+            throw error;
+        }
+        if (!changes) throw new ApiError(404, 'Place not found.');
+        res.json(toPlace(db.prepare('SELECT * FROM places WHERE id = ?').get(req.params.id)));
+    });
+
+    router.delete('/places/:id', requireUser, (req, res) => {
+        const { changes } = db.prepare('DELETE FROM places WHERE id = ? AND user_id = ?').run(req.params.id, req.user.id);
+        if (!changes) throw new ApiError(404, 'Place not found.');
+        res.status(204).end();
+    });
+
+    // ── Saved commutes ──────────────────────────────────────
+    function readCommute(req) {
+        const start = cleanText(req.body?.start);
+        const end = cleanText(req.body?.end);
+        const mode = cleanText(req.body?.mode);
+        const name = cleanText(req.body?.name) || `${start} → ${end}`;
+        if (!start || !end) throw new ApiError(400, 'A commute needs a start and a destination.');
+        if (!travelModes.includes(mode)) {
+            throw new ApiError(400, `Unknown travel mode "${mode}". Use one of: ${travelModes.join(', ')}.`);
+        }
+        return { name, start, end, mode };
+    }
+
+    router.get('/commutes', requireUser, (req, res) => {
+        const rows = db.prepare('SELECT * FROM commutes WHERE user_id = ? ORDER BY created_at').all(req.user.id);
+        res.json(rows.map(toCommute));
+    });
+
+    router.post('/commutes', requireUser, (req, res) => {
+        const commute = readCommute(req);
+
+        const { lastInsertRowid } = db.prepare('INSERT INTO commutes (user_id, name, start, "end", mode) VALUES (?, ?, ?, ?, ?)')
+            .run(req.user.id, commute.name, commute.start, commute.end, commute.mode);
+        res.status(201).json(toCommute(db.prepare('SELECT * FROM commutes WHERE id = ?').get(lastInsertRowid)));
+    });
+
+    router.put('/commutes/:id', requireUser, (req, res) => {
+        const commute = readCommute(req);
+
+        const { changes } = db.prepare('UPDATE commutes SET name = ?, start = ?, "end" = ?, mode = ? WHERE id = ? AND user_id = ?')
+            .run(commute.name, commute.start, commute.end, commute.mode, req.params.id, req.user.id);
+        if (!changes) throw new ApiError(404, 'Commute not found.');
+        res.json(toCommute(db.prepare('SELECT * FROM commutes WHERE id = ?').get(req.params.id)));
+    });
+
+    router.delete('/commutes/:id', requireUser, (req, res) => {
+        const { changes } = db.prepare('DELETE FROM commutes WHERE id = ? AND user_id = ?').run(req.params.id, req.user.id);
+        if (!changes) throw new ApiError(404, 'Commute not found.');
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+module.exports = { createAccountRouter };
@@ -0,0 +1,186 @@
+// ─────────────────────────────────────────────────────────────
+// Scheduled commute alerts and Web Push subscriptions
+//
+//   GET    /api/commutes/:id/alert
+//   PUT    /api/commutes/:id/alert      { departTime, days, timezone, leadMins,
+//                                         maxPm25, minHealthScore, webhookUrl,
+//                                         push, enabled }
+//   DELETE /api/commutes/:id/alert
+//   POST   /api/commutes/:id/alert/run  check now, notifying if triggered
+//   GET    /api/push/key                VAPID public key for subscribing
+//   POST   /api/push/subscriptions      a browser PushSubscription
+//   DELETE /api/push/subscriptions      { endpoint }
+//
+// All endpoints except /push/key need `Authorization: Bearer`.
+// ─────────────────────────────────────────────────────────────
+const express = require('express');
+const { authenticate } = require('../auth');
+const { isValidTimeZone } = require('../alerts');
+const { isWebhookUrl, checkWebhookHost } = require('../notify');
+const { toAlert } = require('../scheduler');
+const { ApiError, sendError } = require('../errors');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_LEAD_MINS = 180;
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const present = alert => ({
+    commuteId: alert.commuteId,
+    departTime: alert.departTime,
+    days: alert.days,
+    timezone: alert.timezone,
+    leadMins: alert.leadMins,
+    maxPm25: alert.maxPm25,
+    minHealthScore: alert.minHealthScore,
+    webhookUrl: alert.webhookUrl,
+    push: alert.push,
+    enabled: alert.enabled,
+    lastResult: alert.lastResult,
+});
+
+const optionalNumber = v => (v === null || v === undefined || v === '' ? null : Number(v));
+
+/**
+ * @param {Object} opts
+ * @param {Object} opts.db         better-sqlite3 database (lib/db.js).
+ * @param {Object} opts.scheduler  lib/scheduler.js
+ * @param {Object} opts.notifier   lib/notify.js
+ */
+function createAlertsRouter({ db, scheduler, notifier }) {
+    const router = express.Router();
+    const requireUser = authenticate(db);
+
+    function ownCommute(req) {
+        const commute = db.prepare('SELECT id FROM commutes WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+        if (!commute) throw new ApiError(404, 'Commute not found.');
+        return commute;
+    }
+
+    function findAlert(commuteId) {
+        const row = db.prepare('SELECT * FROM commute_alerts WHERE commute_id = ?').get(commuteId);
+        return row ? toAlert(row) : null;
+    }
+
+    function readAlert(req) {
+        const body = req.body || {};
+
+        const departTime = typeof body.departTime === 'string' ? body.departTime.trim() : '';
+        if (!TIME_PATTERN.test(departTime)) throw new ApiError(400, 'departTime must be "HH:MM" (24-hour).');
+
+        const days = [...new Set(Array.isArray(body.days) ? body.days.map(Number) : [1, 2, 3, 4, 5])].sort();
+        if (days.length === 0 || !days.every(d => Number.isInteger(d) && d >= 1 && d <= 7)) {
+            throw new ApiError(400, 'days must list weekdays 1 (Monday) to 7 (Sunday).');
+        }
+
+        const timezone = body.timezone || DEFAULT_TIMEZONE;
+        if (!isValidTimeZone(timezone)) throw new ApiError(400, `Unknown time zone "${timezone}".`);
+
+        const leadMins = body.leadMins == null ? 30 : Number(body.leadMins);
+        if (!Number.isInteger(leadMins) || leadMins < 5 || leadMins > MAX_LEAD_MINS) {
+            throw new ApiError(400, `leadMins must be a whole number between 5 and ${MAX_LEAD_MINS}.`);
+        }
+
+        const maxPm25 = optionalNumber(body.maxPm25);
+        if (maxPm25 !== null && !(maxPm25 > 0)) throw new ApiError(400, 'maxPm25 must be a positive number.');
+        const minHealthScore = optionalNumber(body.minHealthScore);
+        if (minHealthScore !== null && !(minHealthScore >= 0 && minHealthScore <= 100)) {
+            throw new ApiError(400, 'minHealthScore must be between 0 and 100.');
+        }
+
+        const webhookUrl = body.webhookUrl ? String(body.webhookUrl).trim() : null;
+        if (webhookUrl && !isWebhookUrl(webhookUrl)) throw new ApiError(400, 'webhookUrl must be an http(s) URL.');
+
+        return {
+            departTime,
+            days,
+            timezone,
+            leadMins,
+            maxPm25,
+            minHealthScore,
+            webhookUrl,
+            push: body.push !== false,
+            enabled: body.enabled !== false,
+        };
+    }
+
+    // ── Commute alerts ──────────────────────────────────────
+    router.get('/commutes/:id/alert', requireUser, (req, res) => {
+        ownCommute(req);
+        const alert = findAlert(req.params.id);
+        if (!alert) throw new ApiError(404, 'No alert set for this commute.');
+        res.json(present(alert));
+    });
+
+    router.put('/commutes/:id/alert', requireUser, async (req, res) => {
+        ownCommute(req);
+        const a = readAlert(req);
+        if (a.webhookUrl) {
+            try {
+                await checkWebhookHost(a.webhookUrl);
+            } catch (error) {
+                throw new ApiError(400, error.message);
+            }
+        }
+
+        // Changing the schedule re-arms today's check
+        db.prepare(`
+            INSERT INTO commute_alerts
+                (commute_id, user_id, depart_time, days, timezone, lead_mins,
+                 max_pm25, min_health_score, webhook_url, push, enabled)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (commute_id) DO UPDATE SET
+                depart_time = excluded.depart_time, days = excluded.days,
+                timezone = excluded.timezone, lead_mins = excluded.lead_mins,
+                max_pm25 = excluded.max_pm25, min_health_score = excluded.min_health_score,
+                webhook_url = excluded.webhook_url, push = excluded.push,
+                enabled = excluded.enabled, last_run_for = NULL
+        `).run(req.params.id, req.user.id, a.departTime, a.days.join(','), a.timezone, a.leadMins,
+            a.maxPm25, a.minHealthScore, a.webhookUrl, a.push ? 1 : 0, a.enabled ? 1 : 0);
+        res.json(present(findAlert(req.params.id)));
+    });
+
+    router.delete('/commutes/:id/alert', requireUser, (req, res) => {
+        ownCommute(req);
+        db.prepare('DELETE FROM commute_alerts WHERE commute_id = ?').run(req.params.id);
+        res.status(204).end();
+    });
+
+    router.post('/commutes/:id/alert/run', requireUser, async (req, res) => {
+        ownCommute(req);
+        const alert = findAlert(req.params.id);
+        if (!alert) throw new ApiError(404, 'No alert set for this commute.');
+        try {
+            res.json(await scheduler.runAlert(alert, new Date(), { log: req.log }));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // ── Web Push subscriptions ──────────────────────────────
+    router.get('/push/key', (req, res) => {
+        if (!notifier.publicKey) throw new ApiError(404, 'Push notifications are not configured on this server.');
+        res.json({ publicKey: notifier.publicKey });
+    });
+
+    router.post('/push/subscriptions', requireUser, (req, res) => {
+        const { endpoint, keys } = req.body || {};
+        if (!isWebhookUrl(endpoint) || !keys?.p256dh || !keys?.auth) {
+            throw new ApiError(400, 'Send the PushSubscription from the browser.');
+        }
+        db.prepare(`
+            INSERT INTO push_subscriptions (endpoint, user_id, p256dh, auth) VALUES (?, ?, ?, ?)
+            ON CONFLICT (endpoint) DO UPDATE SET
+                user_id = excluded.user_id, p256dh = excluded.p256dh, auth = excluded.auth
+        `).run(endpoint, req.user.id, keys.p256dh, keys.auth);
+        res.status(201).json({ endpoint });
+    });
+
+    router.delete('/push/subscriptions', requireUser, (req, res) => {
+        db.prepare('DELETE FROM push_subscriptions WHERE endpoint = ? AND user_id = ?').run(req.body?.endpoint, req.user.id);
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+module.exports = { createAlertsRouter };
@@ -0,0 +1,78 @@
+// ─────────────────────────────────────────────────────────────
+// Place search for the stop inputs (lib/geocode.js)
+//
+//   GET /api/geocode/suggest?q=sector 5&proximity=75.83,25.20&limit=5
+//       Several India-restricted candidates for an autocomplete
+//       list, biased to the map view or the user's location.
+//   GET /api/geocode/reverse?lon=75.83&lat=25.20
+//       The nearest address for "use my location". Falls back to
+//       the raw coordinates when Mapbox has nothing there.
+// ─────────────────────────────────────────────────────────────
+const express = require('express');
+const { isValidLonLat, parseRawCoordinates } = require('../geocode');
+const { ApiError, sendError } = require('../errors');
+
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * @param {Object}   opts
+ * @param {Object}   opts.geocoder  lib/geocode.js geocoder.
+ * @param {Object}   opts.cache     lib/cache.js cache for answers; suggestions
+ *                                  repeat a lot while people type.
+ * @param {Function} opts.limit     Rate-limit middleware (lib/guard.js).
+ */
+function createGeocodeRouter({ geocoder, cache, limit }) {
+    const router = express.Router();
+
+    router.get('/geocode/suggest', limit, async (req, res) => {
+        const q = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 120) : '';
+        if (q.length < 3) return res.json([]);
+
+        const raw = parseRawCoordinates(q);
+        if (raw) return res.json([{ label: q, name: q, kind: 'coordinates', coordinates: raw }]);
+
+        let proximity = null;
+        if (req.query.proximity) {
+            proximity = String(req.query.proximity).split(',').map(Number);
+            if (proximity.length !== 2 || !isValidLonLat(proximity)) {
+                throw new ApiError(400, 'proximity must be "lon,lat".');
+            }
+        }
+        const count = Math.min(MAX_SUGGESTIONS, Math.max(1, Number(req.query.limit) || 5));
+
+        // ~11 km proximity grid keeps nearby map views on one cache entry
+        const key = `${q.toLowerCase()}|${proximity ? proximity.map(v => v.toFixed(1)).join(',') : '-'}|${count}`;
+        const cached = cache.get(key);
+        if (cached) return res.json(cached);
+
+        try {
+            const suggestions = await geocoder.geocode(q, { proximity, limit: count, autocomplete: true });
+            cache.set(key, suggestions);
+            res.json(suggestions);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.get('/geocode/reverse', limit, async (req, res) => {
+        const coordinates = [Number(req.query.lon), Number(req.query.lat)];
+        if (!isValidLonLat(coordinates)) throw new ApiError(400, 'lon and lat are required.');
+
+        const [lon, lat] = coordinates;
+        const key = `reverse|${lon.toFixed(4)},${lat.toFixed(4)}`; // ~11 m
+        const cached = cache.get(key);
+        if (cached) return res.json(cached);
+
+        try {
+            const place = await geocoder.reverse(lon, lat);
+            cache.set(key, place);
+            res.json(place);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createGeocodeRouter };
@@ -0,0 +1,225 @@
+// ─────────────────────────────────────────────────────────────
+// Commute history and exposure dashboard
+//
+//   POST /api/history            record the route actually taken,
+//                                optionally measured from a GPS track
+//   GET  /api/history?limit=50   most recent trips
+//   GET  /api/history/summary?period=week|month
+//        per-period dose, PM2.5 and time, plus what was saved
+//        versus always taking the fastest route
+//
+// All endpoints need `Authorization: Bearer`.
+// ─────────────────────────────────────────────────────────────
+const express = require('express');
+const turf = require('@turf/turf');
+const { authenticate } = require('../auth');
+const { BREATHING_PROFILES, computeTrackExposure, scoreExposure } = require('../exposure');
+const { resolveHealthProfile, storedHealthProfile } = require('../health');
+const { ApiError } = require('../errors');
+const { ROUTE_KEYS } = require('../export');
+
+const MAX_LIMIT = 200;
+const MAX_TRACK_POINTS = 10000;
+const SUMMARY_BUCKETS = 12;
+
+// Bounds for route metrics sent by the client
+const MAX_DURATION_MINS = 24 * 60;
+const MAX_DISTANCE_KM = 2000;
+const MAX_PM25 = 1000;
+// Cycling at a vigorous pace (2.3 × 1.4 m³/h) through MAX_PM25 air
+const MAX_DOSE_UG_PER_HOUR = MAX_PM25 * 4;
+
+// SQLite strftime patterns; %G-W%V is the ISO 8601 week (2026-W43)
+const PERIOD_FORMATS = {
+    week:  '%G-W%V',
+    month: '%Y-%m',
+};
+
+const toTrip = row => ({
+    id: row.id,
+    commuteId: row.commute_id,
+    start: row.start,
+    end: row.end,
+    mode: row.mode,
+    routeName: row.route_name,
+    durationMins: row.duration_mins,
+    distanceKm: row.distance_km,
+    pm25: row.pm25,
+    doseUg: row.dose_ug,
+    healthScore: row.health_score,
+    fastestDurationMins: row.fastest_duration_mins,
+    fastestDoseUg: row.fastest_dose_ug,
+    tracked: Boolean(row.tracked),
+    takenAt: row.taken_at,
+});
+
+const round1 = v => Math.round((v ?? 0) * 10) / 10;
+
+const within = (value, min, max) => value == null || (Number(value) >= min && Number(value) <= max);
+
+// A route object the client sent back, with metrics a real trip could have
+function isMetricsRoute(r) {
+    const durationMins = Number(r?.durationMins);
+    if (!(durationMins > 0 && durationMins <= MAX_DURATION_MINS)) return false;
+    const { doseUg, pm25 } = r.metrics || {};
+    return doseUg != null && within(doseUg, 0, MAX_DOSE_UG_PER_HOUR * durationMins / 60)
+        && within(pm25, 0, MAX_PM25)
+        && within(r.distanceKm, 0, MAX_DISTANCE_KM)
+        && within(r.healthScore, 0, 100);
+}
+
+// GPS fixes recorded during live navigation, each with the PM2.5
+// of the route sample it was matched to and, on transit trips, the
+// breathing profile of its leg. Returns null when invalid.
+function readTrack(track) {
+    if (!Array.isArray(track) || track.length < 2 || track.length > MAX_TRACK_POINTS) return null;
+    const points = track.map(p => ({
+        coordinates: Array.isArray(p?.coordinates) ? p.coordinates.map(Number) : [],
+        at: new Date(p?.at).getTime(),
+        pm25: Number(p?.pm25),
+        mode: p?.mode === undefined ? undefined : String(p.mode),
+    }));
+    const valid = points.every((p, i) =>
+        p.coordinates.length === 2 && p.coordinates.every(Number.isFinite) &&
+        Number.isFinite(p.at) && (i === 0 || p.at >= points[i - 1].at) &&
+        Number.isFinite(p.pm25) && p.pm25 >= 0 &&
+        (p.mode === undefined || Object.hasOwn(BREATHING_PROFILES, p.mode))
+    );
+    return valid ? points : null;
+}
+
+// The planned route's metrics replaced by what the track measured
+function measureTrack(points, mode, route, health) {
+    const exposure = computeTrackExposure({ points, mode, health });
+    return {
+        ...route,
+        durationMins: exposure.durationSec / 60,
+        distanceKm: turf.length(turf.lineString(points.map(p => p.coordinates)), { units: 'kilometers' }),
+        // Tracks carry PM2.5 only; weather and other pollutants are the plan's
+        healthScore: scoreExposure({
+            doseUg: exposure.doseUg,
+            tempCelsius: Number(route.metrics.tempCelsius) || 0,
+            feelsLikeC: Number(route.metrics.feelsLikeC) || undefined,
+            uvIndex: Number(route.metrics.uvIndex) || 0,
+            pollutants: route.metrics.pollutants,
+            mode,
+            health,
+        }),
+        metrics: { ...route.metrics, pm25: exposure.avgPm25, doseUg: exposure.doseUg },
+    };
+}
+
+/**
+ * @param {Object} opts
+ * @param {Object} opts.db       better-sqlite3 database (lib/db.js).
+ * @param {Object} opts.results  lib/cache.js cache of recent POST /api/routes results.
+ */
+function createHistoryRouter({ db, results }) {
+    const router = express.Router();
+    router.use('/history', authenticate(db));
+
+    // Body: { start, end, mode, commuteId?, resultId?, routeKey?, route, fastest, track? }.
+    // While POST /api/routes still holds resultId, the route named by
+    // routeKey (default healthiest) and the fastest one are taken from
+    // that result. Otherwise route and fastest are the route objects the
+    // client was shown, and their metrics must be in a plausible range.
+    // With track ([{ coordinates, at, pm25 }, …]) the trip's time, distance
+    // and dose are measured from it rather than taken from the plan, and
+    // scored for the user's saved health profile.
+    router.post('/history', (req, res) => {
+        const { start, end, mode, commuteId = null, resultId, routeKey = 'healthiest', track } = req.body || {};
+        let { route, fastest } = req.body || {};
+        if (!start || !end || !mode) throw new ApiError(400, 'start, end and mode are required.');
+        if (!ROUTE_KEYS.includes(routeKey)) throw new ApiError(400, `routeKey must be one of: ${ROUTE_KEYS.join(', ')}.`);
+
+        const result = typeof resultId === 'string' && results.get(resultId);
+        if (result?.[routeKey]?.metrics && result.fastest?.metrics) {
+            route = result[routeKey];
+            fastest = result.fastest;
+        } else if (!isMetricsRoute(route) || !isMetricsRoute(fastest)) {
+            throw new ApiError(400, 'route and fastest must include durationMins and metrics.doseUg, within realistic ranges.');
+        }
+
+        if (track !== undefined) {
+            const points = readTrack(track);
+            if (!points) {
+                throw new ApiError(400, `track must be 2–${MAX_TRACK_POINTS} points with coordinates, time-ordered at and pm25.`);
+            }
+            if (!Object.hasOwn(BREATHING_PROFILES, mode) && points.some(p => !p.mode)) {
+                throw new ApiError(400, `Unknown mode "${mode}"; give every track point a mode.`);
+            }
+            route = measureTrack(points, mode, route, resolveHealthProfile(storedHealthProfile(db, req.user.id) ?? undefined));
+        }
+
+        if (commuteId != null) {
+            const owned = db.prepare('SELECT 1 FROM commutes WHERE id = ? AND user_id = ?').get(commuteId, req.user.id);
+            if (!owned) throw new ApiError(404, 'Commute not found.');
+        }
+
+        const { lastInsertRowid } = db.prepare(`
+            INSERT INTO trips (user_id, commute_id, start, "end", mode, route_name, duration_mins, distance_km,
+                               pm25, dose_ug, health_score, fastest_duration_mins, fastest_dose_ug, tracked)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            req.user.id, commuteId, String(start), String(end), String(mode),
+            String(route.name || 'Route'), Number(route.durationMins), Number(route.distanceKm) || 0,
+            Number(route.metrics.pm25) || 0, Number(route.metrics.doseUg), Math.round(Number(route.healthScore) || 0),
+            Number(fastest.durationMins), Number(fastest.metrics.doseUg), track !== undefined ? 1 : 0
+        );
+        res.status(201).json(toTrip(db.prepare('SELECT * FROM trips WHERE id = ?').get(lastInsertRowid)));
+    });
+
+    router.get('/history', (req, res) => {
+        const limit = Math.min(MAX_LIMIT, Math.max(1, Number(req.query.limit) || 50));
+        const rows = db.prepare('SELECT * FROM trips WHERE user_id = ? ORDER BY taken_at DESC LIMIT ?').all(req.user.id, limit);
+        res.json(rows.map(toTrip));
+    });
+
+    router.get('/history/summary', (req, res) => {
+        const period = req.query.period || 'week';
+        const format = PERIOD_FORMATS[period];
+        if (!format) throw new ApiError(400, `period must be one of: ${Object.keys(PERIOD_FORMATS).join(', ')}.`);
+
+        const rows = db.prepare(`
+            SELECT strftime('${format}', taken_at)                 AS period,
+                   COUNT(*)                                        AS trips,
+                   SUM(dose_ug)                                    AS doseUg,
+                   SUM(fastest_dose_ug)                            AS fastestDoseUg,
+                   SUM(duration_mins)                              AS minutes,
+                   SUM(duration_mins - fastest_duration_mins)      AS extraMinutes,
+                   SUM(pm25 * duration_mins) / SUM(duration_mins)  AS avgPm25
+            FROM trips
+            WHERE user_id = ?
+            GROUP BY 1
+            ORDER BY 1 DESC
+            LIMIT ?
+        `).all(req.user.id, SUMMARY_BUCKETS);
+
+        const buckets = rows.reverse().map(r => ({
+            period: r.period,
+            trips: r.trips,
+            doseUg: round1(r.doseUg),
+            fastestDoseUg: round1(r.fastestDoseUg),
+            savedDoseUg: round1(r.fastestDoseUg - r.doseUg),
+            minutes: Math.round(r.minutes),
+            extraMinutes: Math.round(r.extraMinutes),
+            avgPm25: Math.round(r.avgPm25 ?? 0),
+        }));
+
+        const sum = key => buckets.reduce((n, b) => n + b[key], 0);
+        res.json({
+            period,
+            buckets,
+            totals: {
+                trips: sum('trips'),
+                doseUg: round1(sum('doseUg')),
+                savedDoseUg: round1(sum('savedDoseUg')),
+                extraMinutes: sum('extraMinutes'),
+            },
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createHistoryRouter };
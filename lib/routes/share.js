@@ -0,0 +1,74 @@
+// ─────────────────────────────────────────────────────────────
+// Route export and share links
+//
+//   GET  /api/routes/:resultId/export?route=healthiest&format=gpx|geojson
+//   POST /api/share              { resultId, route } → { id, createdAt }
+//   GET  /api/share/:id          the stored snapshot
+//   GET  /api/share/:id/export?format=gpx|geojson[&route=…]
+//
+// POST /api/routes keeps each result for an hour under its
+// resultId, so exports and shares are built from what the server
+// computed, never from client-supplied geometry. A share stores a
+// snapshot; opening it shows the snapshot with its timestamp, and
+// the frontend can re-run the trip from the stored stops.
+// ─────────────────────────────────────────────────────────────
+const crypto = require('crypto');
+const express = require('express');
+const { authenticate } = require('../auth');
+const { ROUTE_KEYS, sendExport } = require('../export');
+const { ApiError } = require('../errors');
+
+const expired = () => new ApiError(404, 'These results have expired. Analyze the trip again.');
+
+/**
+ * @param {Object} opts
+ * @param {Object} opts.db       better-sqlite3 database (lib/db.js).
+ * @param {Object} opts.results  lib/cache.js cache of recent POST /api/routes results.
+ */
+function createShareRouter({ db, results }) {
+    const router = express.Router();
+    const optionalUser = authenticate(db, { required: false });
+
+    function findShare(id) {
+        const row = db.prepare('SELECT * FROM shared_routes WHERE id = ?').get(id);
+        return row && { id: row.id, route: row.route_key, createdAt: row.created_at, result: JSON.parse(row.snapshot) };
+    }
+
+    router.get('/routes/:resultId/export', (req, res) => {
+        const result = results.get(req.params.resultId);
+        if (!result) throw expired();
+        sendExport(res, result, { routeKey: req.query.route || 'healthiest', format: req.query.format });
+    });
+
+    router.post('/share', optionalUser, (req, res) => {
+        const { resultId, route = 'healthiest' } = req.body || {};
+        if (!ROUTE_KEYS.includes(route)) {
+            throw new ApiError(400, `route must be one of: ${ROUTE_KEYS.join(', ')}.`);
+        }
+        const result = typeof resultId === 'string' && results.get(resultId);
+        if (!result) throw expired();
+
+        // 9 random bytes → 12 URL-safe characters
+        const id = crypto.randomBytes(9).toString('base64url');
+        db.prepare('INSERT INTO shared_routes (id, user_id, route_key, snapshot) VALUES (?, ?, ?, ?)')
+            .run(id, req.user?.id ?? null, route, JSON.stringify(result));
+        const { createdAt } = findShare(id);
+        res.status(201).json({ id, route, createdAt });
+    });
+
+    router.get('/share/:id', (req, res) => {
+        const share = findShare(req.params.id);
+        if (!share) throw new ApiError(404, 'Shared route not found.');
+        res.json(share);
+    });
+
+    router.get('/share/:id/export', (req, res) => {
+        const share = findShare(req.params.id);
+        if (!share) throw new ApiError(404, 'Shared route not found.');
+        sendExport(res, share.result, { routeKey: req.query.route || share.route, format: req.query.format });
+    });
+
+    return router;
+}
+
+module.exports = { createShareRouter };
@@ -0,0 +1,34 @@
+// ─────────────────────────────────────────────────────────────
+// Health and metrics for monitoring
+//
+//   GET /healthz   { status, checks } (lib/healthcheck.js); 200 when
+//                  everything is ok, 503 when degraded or down
+//   GET /metrics   Prometheus text format (lib/metrics.js)
+//
+// Mounted at the root, outside /api, so monitors need neither an
+// Origin nor an API key; keep them off the public internet at the
+// reverse proxy.
+// ─────────────────────────────────────────────────────────────
+const express = require('express');
+
+/**
+ * @param {Object} opts
+ * @param {Object} opts.healthCheck  lib/healthcheck.js check.
+ * @param {Object} opts.metrics      lib/metrics.js registry.
+ */
+function createStatusRouter({ healthCheck, metrics }) {
+    const router = express.Router();
+
+    router.get('/healthz', async (req, res) => {
+        const health = await healthCheck.run();
+        res.status(health.status === 'ok' ? 200 : 503).json(health);
+    });
+
+    router.get('/metrics', (req, res) => {
+        res.type('text/plain; version=0.0.4').send(metrics.render());
+    });
+
+    return router;
+}
+
+module.exports = { createStatusRouter };
@@ -0,0 +1,178 @@
+// ─────────────────────────────────────────────────────────────
+// Adaptive route sampling
+//
+// 1. Coarse pass: every alternative is sampled at a step sized
+//    so the whole request fits in half the lookup budget. With
+//    many alternatives the step widens, down to each route's two
+//    ends, until the cells fit the whole budget; any still over
+//    it take the reading of the nearest cell that was looked up.
+// 2. Refinement: stretches where PM2.5 jumps between adjacent
+//    samples are bisected, steepest first, until readings agree,
+//    the 300 m floor is reached, or the budget runs out.
+//
+// Samples are snapped to the ~110 m AQI cache grid and grouped
+// by cell across all alternatives, so a cell shared by three
+// routes is looked up once. Only uncached cells cost budget.
+// Refinement follows PM2.5; other pollutants in a reading ride
+// along on the samples.
+// ─────────────────────────────────────────────────────────────
+const turf = require('@turf/turf');
+
+const MIN_STEP_KM = 0.3;
+const CHANGE_THRESHOLD_PM25 = 6;   // µg/m³ between neighbouring samples
+const MAX_REFINE_ROUNDS = 4;
+const DEFAULT_BUDGET = 120;
+
+// The AQI cache grid: 3 decimals ≈ 110 m
+function gridKey(lon, lat) {
+    return `${lon.toFixed(3)},${lat.toFixed(3)}`;
+}
+
+function snapToGrid([lon, lat]) {
+    const coordinates = [Number(lon.toFixed(3)), Number(lat.toFixed(3))];
+    return { coordinates, cellKey: gridKey(coordinates[0], coordinates[1]) };
+}
+
+function sampleAt(lineFeature, distanceKm) {
+    const pt = turf.along(lineFeature, distanceKm, { units: 'kilometers' });
+    return { distanceKm, ...snapToGrid(pt.geometry.coordinates) };
+}
+
+/**
+ * Samples every route alternative for air quality within a lookup budget.
+ *
+ * @param {Array<Object>} lineFeatures  turf LineString Features, one per alternative.
+ * @param {Object}   opts
+ * @param {(cells: Array<{cellKey:string, coordinates:number[]}>) => Promise<Map<string, Object>>} opts.lookup
+ *        Resolves a reading ({ pm25, pm10?, no2?, o3?, co? }) for a batch of distinct cells.
+ * @param {(cellKey:string) => boolean} opts.isCached  Cached cells cost no budget.
+ * @param {number}   [opts.budget]      Max uncached lookups for the whole request.
+ * @returns {Promise<{ routes: Array<Array<{coordinates, cellKey, distanceKm, pm25}>>, stats: Object }>}
+ *          Each sample also has whatever other pollutants its reading had.
+ */
+async function sampleRoutes(lineFeatures, { lookup, isCached, budget = DEFAULT_BUDGET }) {
+    const readings = new Map(); // cellKey → reading
+    const borrowed = new Map(); // cellKey → a nearby cell's reading, for cells over budget
+    const readingOf = cellKey => readings.get(cellKey) ?? borrowed.get(cellKey);
+    const stats = { samples: 0, cells: 0, lookups: 0, cacheHits: 0, borrowed: 0, budget, refineRounds: 0, coarseStepKm: 0 };
+
+    // Looks up every not-yet-known cell in one batch
+    async function resolve(samples) {
+        const pending = new Map();
+        for (const s of samples) {
+            if (!readings.has(s.cellKey) && !pending.has(s.cellKey)) pending.set(s.cellKey, s);
+        }
+        if (pending.size === 0) return;
+
+        const cells = [...pending.values()].map(({ cellKey, coordinates }) => ({ cellKey, coordinates }));
+        for (const { cellKey } of cells) {
+            if (isCached(cellKey)) stats.cacheHits++;
+            else stats.lookups++;
+        }
+        const values = await lookup(cells);
+        for (const [cellKey, reading] of values) readings.set(cellKey, reading);
+    }
+
+    function isFree(cellKey) {
+        return readings.has(cellKey) || isCached(cellKey);
+    }
+
+    // Uncached cells beyond the budget, picked round-robin so every
+    // route gets readings of its own before any gets a second. At
+    // least one cell is looked up, so there is a reading to share.
+    function overBudget(routes) {
+        const spent = new Set();
+        const over = new Set();
+        for (let i = 0; i < Math.max(...routes.map(s => s.length)); i++) {
+            for (const s of routes.map(samples => samples[i]).filter(Boolean)) {
+                if (isCached(s.cellKey) || spent.has(s.cellKey)) continue;
+                if (spent.size < Math.max(1, budget)) spent.add(s.cellKey);
+                else over.add(s.cellKey);
+            }
+        }
+        return over;
+    }
+
+    // ── 1. Coarse pass ──────────────────────────────────────
+    const lengths = lineFeatures.map(f => turf.length(f, { units: 'kilometers' }));
+    const totalKm = lengths.reduce((a, b) => a + b, 0);
+    const longestKm = Math.max(0, ...lengths);
+    // Half the budget for the coarse pass, less one destination sample per route
+    const coarseSlots = Math.max(1, budget / 2 - lineFeatures.length);
+    let coarseStepKm = Math.max(MIN_STEP_KM, totalKm / coarseSlots);
+
+    const coarseSamples = stepKm => lineFeatures.map((feature, r) => {
+        const samples = [];
+        for (let d = 0; d < lengths[r]; d += stepKm) samples.push(sampleAt(feature, d));
+        samples.push(sampleAt(feature, lengths[r])); // always cover the destination
+        return samples;
+    });
+    let routes = coarseSamples(coarseStepKm);
+    let over = overBudget(routes);
+    while (over.size > 0 && coarseStepKm < longestKm) {
+        coarseStepKm *= 2;
+        routes = coarseSamples(coarseStepKm);
+        over = overBudget(routes);
+    }
+    stats.coarseStepKm = Number(coarseStepKm.toFixed(2));
+    await resolve(routes.flat().filter(s => !over.has(s.cellKey)));
+
+    // Cells over budget take the reading of the nearest looked-up cell
+    const looked = [...readings.keys()].map(cellKey => ({ cellKey, coordinates: cellKey.split(',').map(Number) }));
+    const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+    for (const s of routes.flat()) {
+        if (readings.has(s.cellKey) || borrowed.has(s.cellKey)) continue;
+        const nearest = looked.reduce((a, b) => (distance(b.coordinates, s.coordinates) < distance(a.coordinates, s.coordinates) ? b : a));
+        borrowed.set(s.cellKey, readings.get(nearest.cellKey));
+    }
+    stats.borrowed = borrowed.size;
+
+    // ── 2. Refine where readings change quickly ─────────────
+    for (let round = 0; round < MAX_REFINE_ROUNDS; round++) {
+        const candidates = [];
+        routes.forEach((samples, r) => {
+            for (let i = 0; i < samples.length - 1; i++) {
+                const a = samples[i];
+                const b = samples[i + 1];
+                const jump = Math.abs(readingOf(a.cellKey).pm25 - readingOf(b.cellKey).pm25);
+                if (jump > CHANGE_THRESHOLD_PM25 && b.distanceKm - a.distanceKm >= 2 * MIN_STEP_KM) {
+                    candidates.push({ r, a, b, jump });
+                }
+            }
+        });
+        if (candidates.length === 0) break;
+
+        // Steepest changes first, while the budget lasts
+        candidates.sort((x, y) => y.jump - x.jump);
+        const added = [];
+        const addedKeys = new Set();
+        let remaining = budget - stats.lookups;
+        for (const { r, a, b } of candidates) {
+            const mid = sampleAt(lineFeatures[r], (a.distanceKm + b.distanceKm) / 2);
+            const extra = isFree(mid.cellKey) || addedKeys.has(mid.cellKey) ? 0 : 1;
+            if (extra > remaining) continue;
+            remaining -= extra;
+            addedKeys.add(mid.cellKey);
+            added.push({ r, sample: mid });
+        }
+        if (added.length === 0) break;
+
+        await resolve(added.map(x => x.sample));
+        for (const { r, sample } of added) routes[r].push(sample);
+        routes.forEach(samples => samples.sort((x, y) => x.distanceKm - y.distanceKm));
+        stats.refineRounds++;
+    }
+
+    const sampled = routes.map(samples => samples.map(s => ({ ...s, ...readingOf(s.cellKey) })));
+    stats.samples = sampled.reduce((n, s) => n + s.length, 0);
+    stats.cells = readings.size;
+    return { routes: sampled, stats };
+}
+
+module.exports = {
+    MIN_STEP_KM,
+    DEFAULT_BUDGET,
+    gridKey,
+    snapToGrid,
+    sampleRoutes,
+};
@@ -0,0 +1,141 @@
+// ─────────────────────────────────────────────────────────────
+// Commute alert scheduler
+//
+// Once a minute, every enabled alert whose departure is within
+// its lead time is re-analyzed through the same analyzeRoutes()
+// used by POST /api/routes. If the result breaks one of the
+// user's thresholds, or a different route is clearly healthier
+// than usual, the user is notified by Web Push and/or webhook.
+// Each departure is checked at most once: a failed check is
+// recorded too, so a bad address or a provider outage does not
+// spend quota on the same departure every minute.
+// ─────────────────────────────────────────────────────────────
+const { dueDeparture, evaluateAlert } = require('./alerts');
+const { storedHealthProfile } = require('./health');
+const { log: defaultLog } = require('./log');
+
+const DEFAULT_INTERVAL_MS = 60e3;
+
+const toAlert = row => ({
+    commuteId: row.commute_id,
+    userId: row.user_id,
+    departTime: row.depart_time,
+    days: row.days.split(',').map(Number),
+    timezone: row.timezone,
+    leadMins: row.lead_mins,
+    maxPm25: row.max_pm25,
+    minHealthScore: row.min_health_score,
+    webhookUrl: row.webhook_url,
+    push: Boolean(row.push),
+    enabled: Boolean(row.enabled),
+    lastRunFor: row.last_run_for,
+    lastBestRoute: row.last_best_route,
+    lastBestScore: row.last_best_score,
+    lastResult: row.last_result ? JSON.parse(row.last_result) : null,
+});
+
+/**
+ * @param {Object}   opts
+ * @param {Object}   opts.db             better-sqlite3 database (lib/db.js).
+ * @param {Function} opts.analyzeRoutes  ({start, end, mode, departAt, health}) → POST /api/routes result.
+ * @param {Object}   opts.notifier       lib/notify.js
+ * @param {number}   [opts.intervalMs]
+ */
+function createAlertScheduler({ db, analyzeRoutes, notifier, intervalMs = DEFAULT_INTERVAL_MS }) {
+    let timer = null;
+    let running = false;
+
+    /**
+     * Analyzes one commute for one departure and notifies if needed.
+     * Also used by POST /api/commutes/:id/alert/run to test an alert,
+     * logging under that request.
+     */
+    async function runAlert(alert, departure = new Date(), { log = defaultLog } = {}) {
+        log = log.child({ commuteId: alert.commuteId });
+        const commute = db.prepare('SELECT * FROM commutes WHERE id = ?').get(alert.commuteId);
+        const result = await analyzeRoutes({
+            start: commute.start,
+            end: commute.end,
+            mode: commute.mode,
+            departAt: departure.toISOString(),
+            // Thresholds are checked against scores for the owner's own health profile
+            health: storedHealthProfile(db, alert.userId),
+        }, { log });
+        const evaluation = evaluateAlert(alert, result);
+        const notified = [];
+
+        if (evaluation.triggered) {
+            const payload = {
+                title: `${commute.name}: check your route`,
+                body: evaluation.reasons.join(' '),
+                commuteId: commute.id,
+                departAt: departure.toISOString(),
+                best: evaluation.best,
+                reasons: evaluation.reasons,
+            };
+            if (alert.push && await notifier.sendPush(alert.userId, payload) > 0) notified.push('push');
+            if (alert.webhookUrl) {
+                try {
+                    await notifier.sendWebhook(alert.webhookUrl, payload);
+                    notified.push('webhook');
+                } catch (error) {
+                    log.warn('webhook failed', { error: error.message });
+                }
+            }
+        }
+
+        const record = { ...evaluation, notified, checkedAt: new Date().toISOString(), departAt: departure.toISOString() };
+        db.prepare(`
+            UPDATE commute_alerts
+            SET last_run_for = ?, last_best_route = ?, last_best_score = ?, last_result = ?
+            WHERE commute_id = ?
+        `).run(departure.toISOString(), evaluation.best.name, evaluation.best.healthScore,
+            JSON.stringify(record), alert.commuteId);
+        return record;
+    }
+
+    // The attempt, without a best route, as last_result { error, … }
+    function recordFailure(alert, departure, error) {
+        const record = { error: error.message, checkedAt: new Date().toISOString(), departAt: departure.toISOString() };
+        db.prepare('UPDATE commute_alerts SET last_run_for = ?, last_result = ? WHERE commute_id = ?')
+            .run(departure.toISOString(), JSON.stringify(record), alert.commuteId);
+    }
+
+    // Runs due alerts one after another so a busy minute never
+    // fans out into dozens of parallel route analyses
+    async function tick(now = new Date()) {
+        if (running) return;
+        running = true;
+        try {
+            const rows = db.prepare('SELECT * FROM commute_alerts WHERE enabled = 1').all();
+            for (const alert of rows.map(toAlert)) {
+                const departure = dueDeparture(alert, now);
+                if (!departure) continue;
+                try {
+                    const { triggered, notified } = await runAlert(alert, departure);
+                    defaultLog.info('alert checked', { commuteId: alert.commuteId, triggered, notified });
+                } catch (error) {
+                    defaultLog.error('alert failed', { commuteId: alert.commuteId, error });
+                    recordFailure(alert, departure, error);
+                }
+            }
+        } finally {
+            running = false;
+        }
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(tick, intervalMs);
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, stop, tick, runAlert };
+}
+
+module.exports = { createAlertScheduler, toAlert };
@@ -0,0 +1,207 @@
+// ─────────────────────────────────────────────────────────────
+// Transit journey planning
+//
+// Earliest-arrival Connection Scan over a GTFS feed loaded by
+// lib/gtfs.js: walk to any stop within reach, ride, change on
+// foot between nearby stops, walk from the last stop. Trips of
+// the previous service day are included, since GTFS times run
+// past midnight.
+//
+// Pure functions only — lib/analyze.js fetches walking geometry and
+// air quality for the legs of the journey found here.
+// ─────────────────────────────────────────────────────────────
+const turf = require('@turf/turf');
+const { walkSeconds, serviceRuns } = require('./gtfs');
+const { zonedParts, zonedInstant } = require('./alerts');
+
+// Farthest walk to the first stop or from the last one
+const ACCESS_RADIUS_KM = 1.5;
+// Time to reach the platform and board after arriving at a stop
+const MIN_CHANGE_SEC = 60;
+const MAX_JOURNEY_SEC = 3 * 3600;
+const MIN_WALK_KM = 0.02;
+
+// GTFS route_type → kind shown in the app. Metro and monorail run
+// enclosed (mostly underground or sealed, air-conditioned coaches);
+// buses, trams and suburban trains have open windows and doors.
+function routeKind(type) {
+    if (type === 1 || type === 12 || (type >= 400 && type < 500)) return 'metro';
+    if (type === 2 || (type >= 100 && type < 200)) return 'rail';
+    if (type === 0 || (type >= 900 && type < 1000)) return 'tram';
+    if (type === 4 || (type >= 1000 && type < 1100)) return 'ferry';
+    return 'bus';
+}
+
+const isEnclosed = kind => kind === 'metro';
+
+// The service day that contains `date`, and the one before it
+function serviceDays(timeZone, date) {
+    return [1, 0].map(daysBack => {
+        const shifted = zonedParts(new Date(date.getTime() - daysBack * 86400e3), timeZone);
+        const midnight = zonedInstant({ ...shifted, hour: 0, minute: 0 }, timeZone).getTime();
+        const ymd = `${shifted.year}${String(shifted.month).padStart(2, '0')}${String(shifted.day).padStart(2, '0')}`;
+        return { date: ymd, weekday: shifted.weekday, midnight };
+    });
+}
+
+function nearbyStops(feed, point, radiusKm) {
+    const near = new Map();
+    for (const stop of feed.stops.values()) {
+        const km = turf.distance(point, stop.coordinates, { units: 'kilometers' });
+        if (km <= radiusKm) near.set(stop.id, { km, sec: walkSeconds(km) });
+    }
+    return near;
+}
+
+// First index whose departure is at or after `sec`
+function firstDepartureIndex(connections, sec) {
+    let lo = 0;
+    let hi = connections.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (connections[mid].dep < sec) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+/**
+ * Fastest transit journey between two points.
+ *
+ * @param {Object}   feed     From lib/gtfs.js loadGtfs().
+ * @param {number[]} from     [lon, lat]
+ * @param {number[]} to       [lon, lat]
+ * @param {Date}     [departAt]
+ * @returns {?{ departAt:Date, arriveAt:Date, legs:Array<Object>}}
+ *          Legs are `walk` ({ from, to, distanceKm }) or `ride`
+ *          ({ mode: metro|rail|tram|ferry|bus, enclosed, route, headsign, from,
+ *          to, path, stopCount });
+ *          every leg has departAt and arriveAt. Null when no journey
+ *          with at least one ride exists.
+ */
+function planJourney(feed, from, to, departAt = new Date()) {
+    const t0 = departAt.getTime();
+    const access = nearbyStops(feed, from, ACCESS_RADIUS_KM);
+    const egress = nearbyStops(feed, to, ACCESS_RADIUS_KM);
+    if (!access.size || !egress.size) return null;
+
+    // Seconds after departAt at which each stop can be boarded
+    const ready = new Map();
+    const via = new Map();
+    for (const [stopId, walk] of access) {
+        ready.set(stopId, walk.sec + MIN_CHANGE_SEC);
+        via.set(stopId, { kind: 'access', ...walk });
+    }
+
+    // Scan both service days in one time-ordered pass
+    const days = serviceDays(feed.timeZone, departAt).map(day => {
+        const offset = (day.midnight - t0) / 1000;
+        return { ...day, offset, i: firstDepartureIndex(feed.connections, -offset), runs: new Map() };
+    });
+    const next = () => {
+        let pick = null;
+        for (const day of days) {
+            const c = feed.connections[day.i];
+            if (c && (!pick || c.dep + day.offset < feed.connections[pick.i].dep + pick.offset)) pick = day;
+        }
+        if (!pick) return null;
+        const c = feed.connections[pick.i++];
+        return { c, day: pick, dep: c.dep + pick.offset, arr: c.arr + pick.offset };
+    };
+
+    const boarded = new Map(); // "date|tripId" → boarding hop
+    let best = null;
+
+    for (let hop = next(); hop; hop = next()) {
+        if (hop.dep >= (best?.sec ?? MAX_JOURNEY_SEC)) break;
+        const { c, day } = hop;
+        const trip = feed.trips.get(c.tripId);
+        if (!day.runs.has(trip.serviceId)) day.runs.set(trip.serviceId, serviceRuns(feed, trip.serviceId, day.date, day.weekday));
+        if (!day.runs.get(trip.serviceId)) continue;
+
+        const tripKey = `${day.date}|${c.tripId}`;
+        if (!boarded.has(tripKey)) {
+            if ((ready.get(c.from) ?? Infinity) > hop.dep) continue;
+            boarded.set(tripKey, hop);
+        }
+        const ride = { board: boarded.get(tripKey), alight: hop };
+
+        if (hop.arr + MIN_CHANGE_SEC < (ready.get(c.to) ?? Infinity)) {
+            ready.set(c.to, hop.arr + MIN_CHANGE_SEC);
+            via.set(c.to, { kind: 'ride', ...ride });
+            for (const path of feed.footpaths.get(c.to) || []) {
+                const at = hop.arr + path.sec + MIN_CHANGE_SEC;
+                if (at < (ready.get(path.to) ?? Infinity)) {
+                    ready.set(path.to, at);
+                    via.set(path.to, { kind: 'transfer', from: c.to, km: path.km, sec: path.sec });
+                }
+            }
+        }
+
+        const walkOut = egress.get(c.to);
+        if (walkOut && hop.arr + walkOut.sec < (best?.sec ?? Infinity)) {
+            best = { sec: hop.arr + walkOut.sec, stopId: c.to, walkOut, ride };
+        }
+    }
+    if (!best) return null;
+
+    // Walk the pointers back from the last ride
+    const at = sec => new Date(t0 + sec * 1000);
+    const stopPoint = id => ({ name: feed.stops.get(id).name, coordinates: feed.stops.get(id).coordinates });
+    const legs = [{
+        kind: 'walk', from: stopPoint(best.stopId), to: { name: 'Destination', coordinates: to },
+        distanceKm: best.walkOut.km, departAt: at(best.sec - best.walkOut.sec), arriveAt: at(best.sec),
+    }];
+    let ride = best.ride;
+    for (let guard = 0; ride && guard < 50; guard++) {
+        const { board, alight } = ride;
+        const route = feed.routes.get(feed.trips.get(board.c.tripId).routeId);
+        const kind = routeKind(route.type);
+        const path = feed.tripStops.get(board.c.tripId).slice(board.c.index, alight.c.index + 2);
+        legs.push({
+            kind: 'ride',
+            mode: kind,
+            enclosed: isEnclosed(kind),
+            route: { name: route.name, longName: route.longName, color: route.color },
+            headsign: feed.trips.get(board.c.tripId).headsign,
+            from: stopPoint(board.c.from),
+            to: stopPoint(alight.c.to),
+            path: path.map(s => feed.stops.get(s.stopId).coordinates),
+            stopCount: path.length - 1,
+            departAt: at(board.dep),
+            arriveAt: at(alight.arr),
+        });
+
+        let stopId = board.c.from;
+        let step = via.get(stopId);
+        while (step.kind === 'transfer') {
+            const arrived = ready.get(step.from) - MIN_CHANGE_SEC;
+            legs.push({
+                kind: 'walk', from: stopPoint(step.from), to: stopPoint(stopId),
+                distanceKm: step.km, departAt: at(arrived), arriveAt: at(arrived + step.sec),
+            });
+            stopId = step.from;
+            step = via.get(stopId);
+        }
+        ride = step.kind === 'ride' ? step : null;
+        if (step.kind === 'access') {
+            // Leave just in time for the first ride rather than right away
+            const leaveSec = Math.max(0, legs[legs.length - 1].departAt.getTime() / 1000 - t0 / 1000 - step.sec - MIN_CHANGE_SEC);
+            legs.push({
+                kind: 'walk', from: { name: 'Start', coordinates: from }, to: stopPoint(stopId),
+                distanceKm: step.km, departAt: at(leaveSec), arriveAt: at(leaveSec + step.sec),
+            });
+        }
+    }
+    // Changing platforms within one station is not worth a walking leg
+    const kept = legs.reverse().filter(l => l.kind !== 'walk' || l.distanceKm >= MIN_WALK_KM);
+    return { departAt: legs[0].departAt, arriveAt: legs[legs.length - 1].arriveAt, legs: kept };
+}
+
+module.exports = {
+    ACCESS_RADIUS_KM,
+    MIN_CHANGE_SEC,
+    routeKind,
+    isEnclosed,
+    planJourney,
+};
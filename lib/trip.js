@@ -0,0 +1,136 @@
+// ─────────────────────────────────────────────────────────────
+// Multi-stop trips
+//
+// A trip of N stops is N − 1 legs, each with its own Mapbox
+// alternatives. Whole-trip candidates pick one alternative per
+// leg; exposure adds up leg by leg. Intermediate stops can be
+// reordered to minimise the total inhaled dose.
+//
+// Pure functions only — lib/analyze.js does the fetching.
+// ─────────────────────────────────────────────────────────────
+
+// Start, destination and up to four stops in between. Reordering
+// four stops already means 20 directions requests.
+const MAX_STOPS = 6;
+
+function permutations(items) {
+    if (items.length <= 1) return [items];
+    return items.flatMap((item, i) =>
+        permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest])
+    );
+}
+
+/**
+ * The leg pairs needed to compare every order of the intermediate
+ * stops. The direct start → destination leg is never needed.
+ *
+ * @param {number} stopCount
+ * @returns {Array<[number, number]>}
+ */
+function reorderPairs(stopCount) {
+    const last = stopCount - 1;
+    const pairs = [];
+    for (let a = 0; a < last; a++) {
+        for (let b = 1; b <= last; b++) {
+            if (a !== b && !(a === 0 && b === last)) pairs.push([a, b]);
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Cheapest order of the intermediate stops; start and destination
+ * stay in place.
+ *
+ * @param {number} stopCount
+ * @param {(from:number, to:number) => number} legCost
+ * @returns {number[]}  Stop indices in travel order.
+ */
+function bestStopOrder(stopCount, legCost) {
+    const inner = Array.from({ length: stopCount - 2 }, (_, i) => i + 1);
+    let best = null;
+    let bestCost = Infinity;
+    for (const perm of permutations(inner)) {
+        const order = [0, ...perm, stopCount - 1];
+        let cost = 0;
+        for (let i = 0; i < order.length - 1; i++) cost += legCost(order[i], order[i + 1]);
+        // Strictly cheaper only, so the order the user typed wins ties
+        if (cost < bestCost) {
+            best = order;
+            bestCost = cost;
+        }
+    }
+    return best;
+}
+
+/**
+ * Every way of picking one alternative per leg.
+ *
+ * @param {Array<Array>} legOptions
+ * @returns {Array<Array>}
+ */
+function combinations(legOptions) {
+    return legOptions.reduce(
+        (combos, options) => combos.flatMap(combo => options.map(option => [...combo, option])),
+        [[]]
+    );
+}
+
+/**
+ * Joins consecutive legs into one line, with sample distances
+ * measured from the trip start.
+ *
+ * @param {Array<{geometry:Object, lengthKm:number, samples:Array<{distanceKm:number}>}>} legs
+ * @returns {{ geometry:Object, samples:Array }}
+ */
+function joinLegs(legs) {
+    const coordinates = [];
+    const samples = [];
+    let offsetKm = 0;
+    for (const leg of legs) {
+        // Each leg starts where the previous one ended
+        coordinates.push(...(coordinates.length ? leg.geometry.coordinates.slice(1) : leg.geometry.coordinates));
+        for (const s of leg.samples) samples.push({ ...s, distanceKm: s.distanceKm + offsetKm });
+        offsetKm += leg.lengthKm;
+    }
+    return { geometry: { type: 'LineString', coordinates }, samples };
+}
+
+/**
+ * Turn-by-turn steps of consecutive Mapbox routes (one per leg),
+ * each placed by its distance from the trip start. A step's
+ * maneuver happens at `atKm`; the step then runs `distanceKm`.
+ *
+ * @param {Array<{distance:number, legs:Array<{steps:Array}>}>} routes  Mapbox routes requested with steps=true.
+ * @returns {Array<{instruction:string, type:string, modifier:?string, name:string, coordinates:number[], atKm:number, distanceKm:number}>}
+ */
+function joinSteps(routes) {
+    const steps = [];
+    let offsetKm = 0;
+    for (const route of routes) {
+        let atKm = offsetKm;
+        for (const step of (route.legs || []).flatMap(leg => leg.steps || [])) {
+            steps.push({
+                instruction: step.maneuver.instruction,
+                type:        step.maneuver.type,
+                modifier:    step.maneuver.modifier || null,
+                name:        step.name || '',
+                coordinates: step.maneuver.location,
+                atKm:        Number(atKm.toFixed(3)),
+                distanceKm:  Number((step.distance / 1000).toFixed(3)),
+            });
+            atKm += step.distance / 1000;
+        }
+        offsetKm += route.distance / 1000;
+    }
+    return steps;
+}
+
+module.exports = {
+    MAX_STOPS,
+    reorderPairs,
+    bestStopOrder,
+    combinations,
+    joinLegs,
+    joinSteps,
+};
@@ -0,0 +1,66 @@
+// ─────────────────────────────────────────────────────────────
+// Weather along a route
+//
+// Weather changes over kilometres, so a few evenly spaced points
+// per route are enough: heat and rain at the far end of a long
+// ride can differ from the destination's. Readings come from
+// lib/google-weather.js (Google Weather, ~1.1 km cache grid).
+//
+// Pure functions only.
+// ─────────────────────────────────────────────────────────────
+const turf = require('@turf/turf');
+
+const WEATHER_STEP_KM = 3;
+const MAX_WEATHER_SAMPLES = 6;
+
+/**
+ * Points to read the weather at: both ends and every
+ * WEATHER_STEP_KM between, at most MAX_WEATHER_SAMPLES in all.
+ *
+ * @param {Object} lineFeature  turf LineString Feature.
+ * @returns {number[][]} [lon, lat] points
+ */
+function weatherPoints(lineFeature) {
+    const lengthKm = turf.length(lineFeature, { units: 'kilometers' });
+    const count = Math.min(MAX_WEATHER_SAMPLES, Math.max(2, Math.ceil(lengthKm / WEATHER_STEP_KM) + 1));
+    return Array.from({ length: count }, (_, i) =>
+        turf.along(lineFeature, (lengthKm * i) / (count - 1), { units: 'kilometers' }).geometry.coordinates
+    );
+}
+
+const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+const max = values => Math.max(...values);
+
+// fn over the readings that have `key`, rounded; null when none do
+function stat(readings, key, fn, digits = 0) {
+    const values = readings.map(r => r[key]).filter(v => v != null && Number.isFinite(v));
+    return values.length ? Number(fn(values).toFixed(digits)) : null;
+}
+
+/**
+ * One trip's weather from the readings along it: typical air
+ * temperature and humidity, and the worst heat, rain and UV met.
+ *
+ * @param {Array<{tempCelsius:number, feelsLikeC?:number, humidity?:number,
+ *                rainChance?:number, rainMm?:number, uvIndex?:number}>} readings
+ * @returns {{ tempCelsius:?number, feelsLikeC:?number, humidity:?number,
+ *             rainChance:?number, rainMm:?number, uvIndex:?number }}
+ */
+function summarizeWeather(readings) {
+    const tempCelsius = stat(readings, 'tempCelsius', mean, 1);
+    return {
+        tempCelsius,
+        feelsLikeC: stat(readings, 'feelsLikeC', max, 1) ?? tempCelsius,
+        humidity:   stat(readings, 'humidity', mean),
+        rainChance: stat(readings, 'rainChance', max),
+        rainMm:     stat(readings, 'rainMm', max, 1),
+        uvIndex:    stat(readings, 'uvIndex', max),
+    };
+}
+
+module.exports = {
+    WEATHER_STEP_KM,
+    MAX_WEATHER_SAMPLES,
+    weatherPoints,
+    summarizeWeather,
+};
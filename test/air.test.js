@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FALLBACK_PM25, createAirQuality } = require('../lib/air');
+const { createAirQualityProvider } = require('../lib/providers');
+const { createHttpClient, QuotaExceededError } = require('../lib/http');
+const { replayFetch, KOTA_AIR_QUALITY } = require('./helpers/replay');
+
+function googleAir(fixtures, { dailyQuota = 100, lookupBudget } = {}) {
+    const fetch = replayFetch(fixtures);
+    const http = createHttpClient({
+        concurrency: 4,
+        timeoutMs: 1000,
+        retries: 0,
+        services: { 'google-air-quality': { perMinute: 600, dailyQuota } },
+        fetch,
+    });
+    const provider = createAirQualityProvider({ AQI_PROVIDER: 'google', GOOGLE_API_KEY: 'test' }, http);
+    return { fetch, http, air: createAirQuality({ provider, http, lookupBudget }) };
+}
+
+describe('getCachedAQI', () => {
+    it('reads every pollutant, converting gases to µg/m³ and CO to mg/m³', async () => {
+        const { air } = googleAir(KOTA_AIR_QUALITY);
+        const reading = await air.getCachedAQI(75.86, 25.16);
+
+        assert.equal(reading.pm25, 141.2);
+        assert.equal(reading.pm10, 228.4);
+        assert.equal(reading.no2.toFixed(1), '92.0');  // 48.9 ppb
+        assert.equal(reading.o3.toFixed(1), '24.3');   // 12.4 ppb
+        assert.equal(reading.co.toFixed(2), '1.38');   // 1204.3 ppb
+        assert.equal('so2' in reading, false);
+    });
+
+    it('looks each ~110 m cell up once', async () => {
+        const { air, fetch } = googleAir(KOTA_AIR_QUALITY);
+        await air.getCachedAQI(75.8601, 25.1601);
+        await air.getCachedAQI(75.8604, 25.1598);
+
+        assert.equal(fetch.calls.length, 1);
+        assert.equal(air.cache.has('75.860,25.160'), true);
+    });
+
+    it('falls back without caching when the provider fails', async () => {
+        const { air, fetch } = googleAir(['google-air-quality-permission-denied']);
+
+        assert.deepEqual(await air.getCachedAQI(75.84, 25.18), { pm25: FALLBACK_PM25 });
+        assert.equal(air.cache.has('75.840,25.180'), false);
+        await air.getCachedAQI(75.84, 25.18);
+        assert.equal(fetch.calls.length, 2);
+    });
+});
+
+describe('requestBudget', () => {
+    it('shrinks once the daily quota runs low and refuses work when it is gone', async () => {
+        const { air } = googleAir(KOTA_AIR_QUALITY, { dailyQuota: 10, lookupBudget: 40 });
+        assert.equal(air.requestBudget(), 10);
+
+        for (let i = 0; i < 9; i++) await air.getCachedAQI(75.84 + i / 100, 25.18);
+        assert.equal(air.requestBudget(), 1);
+
+        await air.getCachedAQI(75.99, 25.18);
+        assert.throws(() => air.requestBudget(), QuotaExceededError);
+    });
+});
@@ -0,0 +1,417 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../lib/app');
+const { FALLBACK_PM25 } = require('../lib/air');
+const { replayFetch, KOTA_AIR_QUALITY } = require('./helpers/replay');
+
+// Kota Junction → the Ring Road end, as recorded: NH 52 is quickest
+// but runs through the worst air, Kunhadi Road is the cleanest and
+// the bypass sits in between
+const TRIP = { start: 'Kota Junction', end: '25.14, 75.88', mode: 'driving', transit: false, maxExtraMinutes: 0 };
+const KOTA = ['mapbox-geocoding-kota-junction', 'mapbox-geocoding-no-results', 'mapbox-directions-driving', 'google-weather-current', ...KOTA_AIR_QUALITY];
+
+// A server on a free port around createApp(), replaying `fixtures`
+function serve(fixtures, env = {}) {
+    const fetch = replayFetch(fixtures);
+    const server = {
+        fetch,
+        async start() {
+            const { app, db } = createApp({
+                DB_PATH: ':memory:',
+                MAPBOX_ACCESS_TOKEN: 'test',
+                GOOGLE_API_KEY: 'test',
+                ROUTES_RATE_LIMIT_PER_MIN: '100',
+                ...env,
+            }, { fetch });
+            server.db = db;
+            await new Promise(resolve => { server.http = app.listen(0, resolve); });
+            server.url = `http://127.0.0.1:${server.http.address().port}`;
+        },
+        async stop() {
+            await new Promise(resolve => server.http.close(resolve));
+            server.db.close();
+        },
+        async request(path, body, headers = {}) {
+            const response = await globalThis.fetch(server.url + path, body === undefined ? { headers } : {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+            });
+            const text = await response.text();
+            const type = response.headers.get('content-type') || '';
+            return { status: response.status, headers: response.headers, body: type.includes('json') ? JSON.parse(text) : text };
+        },
+    };
+    return server;
+}
+
+describe('POST /api/routes', () => {
+    const server = serve(KOTA);
+    before(() => server.start());
+    after(() => server.stop());
+
+    it('ranks the fastest, healthiest and second healthiest routes', async () => {
+        const { status, body } = await server.request('/api/routes', TRIP);
+
+        assert.equal(status, 200);
+        assert.equal(body.fastest.name, 'Jhalawar Road, NH 52');
+        assert.equal(body.healthiest.name, 'Kunhadi Road, Ring Road');
+        assert.equal(body.secondHealthiest.name, 'Kota Bypass, Industrial Area Road');
+        assert.ok(body.healthiest.healthScore > body.secondHealthiest.healthScore);
+        assert.ok(body.secondHealthiest.healthScore > body.fastest.healthScore);
+        assert.ok(body.fastest.metrics.pm25 > body.healthiest.metrics.pm25);
+        assert.deepEqual([body.fastest, body.healthiest, body.secondHealthiest].map(r => r.extraMins), [0, 3, 5]);
+        assert.equal(body.healthiest.metrics.feelsLikeC, 35.9);
+        assert.equal(typeof body.resultId, 'string');
+    });
+
+    it('geocodes typed stops and passes raw "lat, lon" straight through', async () => {
+        server.fetch.calls.length = 0;
+        const { body } = await server.request('/api/routes', TRIP);
+
+        assert.deepEqual(body.stops, [
+            { query: 'Kota Junction', coordinates: [75.84, 25.18] },
+            { query: '25.14, 75.88', coordinates: [75.88, 25.14] },
+        ]);
+        const geocoding = server.fetch.calls.filter(c => c.url.includes('/geocoding/'));
+        assert.deepEqual(geocoding.map(c => new URL(c.url).pathname), ['/geocoding/v5/mapbox.places/Kota%20Junction.json']);
+    });
+
+    it('rejects a trip without both ends', async () => {
+        const { status, body } = await server.request('/api/routes', { start: 'Kota Junction' });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Start and end locations required.');
+    });
+
+    it('rejects unknown travel modes', async () => {
+        const { status, body } = await server.request('/api/routes', { ...TRIP, mode: 'rocket' });
+        assert.equal(status, 400);
+        assert.match(body.error, /^Unknown travel mode "rocket"/);
+
+        for (const mode of ['toString', 'constructor', '__proto__']) {
+            const { status: inherited } = await server.request('/api/routes', { ...TRIP, mode });
+            assert.equal(inherited, 400, mode);
+        }
+    });
+
+    it('answers 404 for places Mapbox cannot find', async () => {
+        const { status, body } = await server.request('/api/routes', { ...TRIP, end: 'Nowhere Nagar' });
+        assert.equal(status, 404);
+        assert.equal(body.error, 'Location not found: Nowhere Nagar.');
+        assert.equal(body.code, 'geocode-not-found');
+        assert.equal(body.query, 'Nowhere Nagar');
+    });
+
+    it('tags each request with an ID, keeping a well-formed one from the client', async () => {
+        const own = await globalThis.fetch(`${server.url}/api/quota`, { headers: { 'X-Request-Id': 'trace-0123456789' } });
+        assert.equal(own.headers.get('x-request-id'), 'trace-0123456789');
+
+        const { headers, body } = await server.request('/api/routes', { start: 'Kota Junction' });
+        assert.match(headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+        assert.equal(body.requestId, headers.get('x-request-id'));
+        assert.equal(body.code, 'invalid-request');
+    });
+});
+
+describe('POST /api/routes when the APIs fail', () => {
+    it('answers 404 when there is no route', async () => {
+        const server = serve(['mapbox-directions-no-route', 'google-weather-current', ...KOTA_AIR_QUALITY]);
+        await server.start();
+        const { status, body } = await server.request('/api/routes', { ...TRIP, start: '25.18, 75.84' });
+        await server.stop();
+
+        assert.equal(status, 404);
+        assert.equal(body.error, 'No driving routes found from "25.18, 75.84" to "25.14, 75.88".');
+        assert.equal(body.code, 'no-route');
+    });
+
+    it('reports Mapbox errors as the provider being unavailable', async () => {
+        const server = serve(['mapbox-geocoding-invalid-token']);
+        await server.start();
+        const { status, body } = await server.request('/api/routes', TRIP);
+        await server.stop();
+
+        assert.equal(status, 502);
+        assert.equal(body.code, 'provider-unavailable');
+        assert.equal(body.error, 'Mapbox API Error: Not Authorized - Invalid Token');
+    });
+
+    it('scores on the fallback PM2.5 when air quality is unavailable', async () => {
+        const server = serve(['mapbox-directions-driving', 'google-weather-current', 'google-air-quality-permission-denied']);
+        await server.start();
+        const { status, body } = await server.request('/api/routes', { ...TRIP, start: '25.18, 75.84' });
+        const metrics = await server.request('/metrics');
+        await server.stop();
+
+        assert.equal(status, 200);
+        assert.match(metrics.body, /^commute_fallback_values_total\{value="pm25"\} [1-9]\d*$/m);
+        assert.match(metrics.body, /^commute_external_errors_total\{service="google-air-quality"\} [1-9]\d*$/m);
+        for (const key of ['fastest', 'healthiest', 'secondHealthiest']) {
+            assert.equal(body[key].metrics.pm25, FALLBACK_PM25);
+        }
+        // Equal air everywhere: the quickest trip breathes least
+        assert.equal(body.healthiest.name, body.fastest.name);
+    });
+
+    it('answers 503 once the air-quality quota is used up', async () => {
+        const server = serve(['mapbox-directions-driving', 'google-weather-current', ...KOTA_AIR_QUALITY], { GOOGLE_AQ_DAILY_QUOTA: '1' });
+        await server.start();
+        const first = await server.request('/api/routes', { ...TRIP, start: '25.18, 75.84' });
+        const second = await server.request('/api/routes', { ...TRIP, start: '25.18, 75.84' });
+        await server.stop();
+
+        assert.equal(first.status, 200);
+        assert.equal(second.status, 503);
+        assert.equal(second.body.code, 'provider-unavailable');
+        assert.equal(second.body.error, 'Daily quota for google-air-quality is used up. Try again tomorrow.');
+    });
+});
+
+describe('POST /api/routes/stream', () => {
+    const server = serve(KOTA);
+    before(() => server.start());
+    after(() => server.stop());
+
+    const events = text => text.trim().split('\n\n').map(block => {
+        const [, type, data] = block.match(/^event: (.+)\ndata: (.+)$/);
+        return { type, ...JSON.parse(data) };
+    });
+
+    it('streams progress and each route, then the result', async () => {
+        const { status, body } = await server.request('/api/routes/stream', TRIP);
+        const stream = events(body);
+
+        assert.equal(status, 200);
+        assert.equal(stream[0].type, 'progress');
+        assert.deepEqual(stream.filter(e => e.type === 'route').map(e => e.key), ['fastest', 'healthiest', 'secondHealthiest']);
+        assert.equal(stream.at(-1).type, 'result');
+        assert.equal(stream.at(-1).healthiest.name, 'Kunhadi Road, Ring Road');
+    });
+
+    it('ends with an error event for a bad request', async () => {
+        const { body } = await server.request('/api/routes/stream', { ...TRIP, mode: 'rocket' });
+        const [error] = events(body);
+
+        assert.equal(error.type, 'error');
+        assert.equal(error.status, 400);
+        assert.equal(error.code, 'invalid-request');
+        assert.equal(typeof error.requestId, 'string');
+    });
+});
+
+describe('Geocoding and grid endpoints', () => {
+    const server = serve(['mapbox-geocoding-reverse', ...KOTA_AIR_QUALITY]);
+    before(() => server.start());
+    after(() => server.stop());
+
+    it('suggests raw coordinates without calling Mapbox', async () => {
+        const { body } = await server.request('/api/geocode/suggest?q=25.14,%2075.88');
+        assert.deepEqual(body, [{ label: '25.14, 75.88', name: '25.14, 75.88', kind: 'coordinates', coordinates: [75.88, 25.14] }]);
+        assert.equal(server.fetch.calls.length, 0);
+    });
+
+    it('rejects a malformed proximity', async () => {
+        const { status, body } = await server.request('/api/geocode/suggest?q=gumanpura&proximity=75.8');
+        assert.equal(status, 400);
+        assert.equal(body.error, 'proximity must be "lon,lat".');
+        assert.equal(body.code, 'invalid-request');
+    });
+
+    it('reverse geocodes "use my location"', async () => {
+        const { body } = await server.request('/api/geocode/reverse?lon=75.8512&lat=25.1724');
+        assert.equal(body.name, 'Gumanpura Main Road');
+        assert.deepEqual(body.coordinates, [75.8512, 25.1724]);
+    });
+
+    it('rejects a bbox that is too large', async () => {
+        const { status, body } = await server.request('/api/aqi/grid?bbox=75,25,77,26');
+        assert.equal(status, 400);
+        assert.match(body.error, /zoom in/);
+    });
+
+    it('fills the grid from recorded readings', async () => {
+        const { status, body } = await server.request('/api/aqi/grid?bbox=75.855,25.155,75.865,25.165');
+        assert.equal(status, 200);
+        assert.ok(body.features.length > 0);
+        assert.equal(body.features[0].properties.pm25, 141.2);
+    });
+
+    it('counts only readings inside the view', async () => {
+        // Readings cached for a view ~15 km away, then a view without any
+        await server.request('/api/aqi/grid?bbox=75.700,25.050,75.710,25.060');
+        const { body } = await server.request('/api/aqi/grid?bbox=75.755,25.055,75.765,25.065');
+
+        const bounds = body.features.map(f => f.geometry.coordinates[0][0]);
+        assert.ok(bounds.every(([lon, lat]) => lon >= 75.754 && lon <= 75.766 && lat >= 25.054 && lat <= 25.066));
+        assert.equal(body.features.length, 12);
+        assert.equal(body.pending, 11 * 11 - 12);
+    });
+});
+
+describe('Account errors', () => {
+    const server = serve([], { AUTH_RATE_LIMIT_PER_MIN: '4' });
+    before(() => server.start());
+    after(() => server.stop());
+
+    it('answers with a code and request ID like every other error', async () => {
+        const { status, headers, body } = await server.request('/api/me');
+        assert.equal(status, 401);
+        assert.deepEqual(body, { error: 'Sign in required.', code: 'unauthorized', requestId: headers.get('x-request-id') });
+
+        const account = { email: 'a@example.com', password: 'long enough' };
+        assert.equal((await server.request('/api/auth/register', account)).status, 201);
+        const again = await server.request('/api/auth/register', account);
+        assert.equal(again.status, 409);
+        assert.equal(again.body.code, 'conflict');
+    });
+
+    it('answers an unknown email like a wrong password, and limits attempts per IP', async () => {
+        const wrong = await server.request('/api/auth/login', { email: 'a@example.com', password: 'not the one' });
+        const unknown = await server.request('/api/auth/login', { email: 'b@example.com', password: 'not the one' });
+        assert.equal(wrong.status, 401);
+        assert.deepEqual({ ...unknown.body, requestId: null }, { ...wrong.body, requestId: null });
+
+        const limited = await server.request('/api/auth/login', { email: 'b@example.com', password: 'not the one' });
+        assert.equal(limited.status, 429);
+        assert.equal(limited.body.code, 'rate-limited');
+    });
+
+    it('rejects a body that is not JSON', async () => {
+        const response = await fetch(`${server.url}/api/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{"email":',
+        });
+        const body = await response.json();
+        assert.equal(response.status, 400);
+        assert.equal(body.code, 'invalid-request');
+    });
+});
+
+describe('Commute history', () => {
+    const server = serve(KOTA);
+    let auth;
+    before(async () => {
+        await server.start();
+        const { body } = await server.request('/api/auth/register', { email: 'a@example.com', password: 'long enough' });
+        auth = { Authorization: `Bearer ${body.token}` };
+    });
+    after(() => server.stop());
+
+    const claimed = { durationMins: 20, metrics: { doseUg: 0.1, pm25: 1 } };
+    const trip = { start: 'Kota Junction', end: '25.14, 75.88', mode: 'driving' };
+
+    it('records the metrics of the analysed route, not the ones sent back', async () => {
+        const { body: result } = await server.request('/api/routes', TRIP);
+        const { status, body } = await server.request('/api/history', {
+            ...trip, resultId: result.resultId, routeKey: 'healthiest', route: claimed, fastest: claimed,
+        }, auth);
+
+        assert.equal(status, 201);
+        assert.equal(body.routeName, result.healthiest.name);
+        assert.equal(body.doseUg, result.healthiest.metrics.doseUg);
+        assert.equal(body.fastestDoseUg, result.fastest.metrics.doseUg);
+    });
+
+    it('rejects a routeKey that does not name a route', async () => {
+        const { body: result } = await server.request('/api/routes', TRIP);
+        for (const routeKey of ['stops', 'resultId', '__proto__']) {
+            const { status, body } = await server.request('/api/history', {
+                ...trip, resultId: result.resultId, routeKey, route: claimed, fastest: claimed,
+            }, auth);
+            assert.equal(status, 400, routeKey);
+            assert.equal(body.code, 'invalid-request');
+        }
+    });
+
+    it('falls back to the sent metrics when the result has no such route', async () => {
+        const { body: result } = await server.request('/api/routes', TRIP);
+        const { status, body } = await server.request('/api/history', {
+            ...trip, resultId: result.resultId, routeKey: 'transit', route: claimed, fastest: claimed,
+        }, auth);
+
+        assert.equal(status, 201);
+        assert.equal(body.doseUg, claimed.metrics.doseUg);
+    });
+
+    it('range-checks the metrics when the result has expired', async () => {
+        const impossible = { durationMins: 20, metrics: { doseUg: 1e6, pm25: 80 } };
+        const { status } = await server.request('/api/history', { ...trip, resultId: 'gone', route: impossible, fastest: claimed }, auth);
+        assert.equal(status, 400);
+    });
+
+    it('labels weekly buckets with ISO 8601 weeks', async () => {
+        const userId = server.db.prepare('SELECT id FROM users').get().id;
+        server.db.prepare('DELETE FROM trips').run();
+        server.db.prepare(`
+            INSERT INTO trips (user_id, start, "end", mode, route_name, duration_mins, distance_km, pm25, dose_ug,
+                               health_score, fastest_duration_mins, fastest_dose_ug, taken_at)
+            VALUES (?, 'a', 'b', 'driving', 'Route', 20, 5, 60, 10, 70, 18, 12, '2027-01-01 08:00:00')
+        `).run(userId);
+
+        const { body } = await server.request('/api/history/summary?period=week', undefined, auth);
+        assert.deepEqual(body.buckets.map(b => b.period), ['2026-W53']);
+    });
+});
+
+describe('GET /healthz and GET /metrics', () => {
+    it('counts providers that just answered as up, without probing them', async () => {
+        const server = serve(KOTA);
+        await server.start();
+        await server.request('/api/routes', TRIP);
+        const calls = server.fetch.calls.length;
+        const { status, body } = await server.request('/healthz');
+        await server.stop();
+
+        assert.equal(status, 200);
+        assert.equal(body.status, 'ok');
+        assert.deepEqual(body.checks.config, { status: 'ok' });
+        for (const name of ['mapbox', 'air-quality', 'weather']) {
+            assert.equal(body.checks[name].status, 'up', name);
+            assert.equal(body.checks[name].source, 'traffic', name);
+        }
+        assert.equal(server.fetch.calls.length, calls);
+    });
+
+    it('answers 503 naming missing settings and unreachable providers', async () => {
+        const server = serve([], { MAPBOX_ACCESS_TOKEN: '' });
+        await server.start();
+        const { status, body } = await server.request('/healthz');
+        await server.stop();
+
+        assert.equal(status, 503);
+        assert.equal(body.status, 'down');
+        assert.deepEqual(body.checks.config, { status: 'missing', missing: ['MAPBOX_ACCESS_TOKEN'] });
+        assert.equal(body.checks.mapbox.status, 'down');
+        assert.match(body.checks.mapbox.error, /mapbox request failed/);
+    });
+
+    it('starts without GOOGLE_API_KEY and reports it missing', async () => {
+        const server = serve([], { GOOGLE_API_KEY: '' });
+        await server.start();
+        const { status, body } = await server.request('/healthz');
+        await server.stop();
+
+        assert.equal(status, 503);
+        assert.deepEqual(body.checks.config, { status: 'missing', missing: ['GOOGLE_API_KEY'] });
+        assert.match(body.checks['air-quality'].error, /needs GOOGLE_API_KEY/);
+    });
+
+    it('exposes latency, external calls and cache hit rates', async () => {
+        const server = serve(KOTA);
+        await server.start();
+        await server.request('/api/routes', TRIP);
+        await server.request('/api/routes', TRIP);
+        const { status, headers, body } = await server.request('/metrics');
+        await server.stop();
+
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /^text\/plain/);
+        assert.match(body, /^commute_http_request_duration_seconds_count\{method="POST",route="\/api\/routes",status="200"\} 2$/m);
+        assert.match(body, /^commute_external_requests_total\{service="mapbox"\} [1-9]\d*$/m);
+        assert.match(body, /^commute_external_errors_total\{service="mapbox"\} 0$/m);
+        // The second trip reads every cell from the cache
+        assert.match(body, /^commute_cache_hit_ratio\{cache="air-google"\} 0\.\d+$/m);
+        assert.match(body, /^commute_fallback_values_total\{value="pm25"\} 0$/m);
+    });
+});
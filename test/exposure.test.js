@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveHealthProfile } = require('../lib/health');
+const {
+    REFERENCE_DOSE_UG, computeExposure, combineExposures, computeTrackExposure, scoreExposure,
+} = require('../lib/exposure');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+// 10 km in half an hour through a steady 100 µg/m³
+const steady = { samples: [0, 5, 10].map(distanceKm => ({ distanceKm, pm25: 100 })), routeLengthKm: 10, durationSec: 1800 };
+
+describe('computeExposure', () => {
+    it('multiplies PM2.5, infiltration, breathing rate and hours for each mode', () => {
+        // 100 µg/m³ × infiltration × m³/h × 0.5 h
+        close(computeExposure({ ...steady, mode: 'cycling' }).doseUg, 100 * 1.0 * 2.3 * 0.5);
+        close(computeExposure({ ...steady, mode: 'walking' }).doseUg, 100 * 1.0 * 1.4 * 0.5);
+        close(computeExposure({ ...steady, mode: 'driving' }).doseUg, 100 * 0.6 * 0.6 * 0.5);
+        close(computeExposure({ ...steady, mode: 'metro' }).doseUg, 100 * 0.45 * 0.6 * 0.5);
+
+        const { avgPm25, peakPm25, minutesAboveWho } = computeExposure({ ...steady, mode: 'cycling' });
+        assert.deepEqual({ avgPm25, peakPm25 }, { avgPm25: 100, peakPm25: 100 });
+        close(minutesAboveWho, 30);
+    });
+
+    it('takes the mean of the readings at either end of each segment', () => {
+        // 0–4 km at (10 + 30) / 2, 4–10 km at (30 + 60) / 2, walking an hour
+        const exposure = computeExposure({
+            samples: [{ distanceKm: 0, pm25: 10 }, { distanceKm: 4, pm25: 30 }, { distanceKm: 10, pm25: 60 }],
+            routeLengthKm: 10,
+            durationSec: 3600,
+            mode: 'walking',
+        });
+
+        close(exposure.doseUg, 1.4 * (20 * 0.4 + 45 * 0.6));
+        close(exposure.avgPm25, 20 * 0.4 + 45 * 0.6);
+        close(exposure.minutesAboveWho, 60);   // 20 and 45 are both above 15
+        assert.equal(exposure.peakPm25, 60);
+    });
+
+    it('scales the breathing rate by activity only where the traveller makes the effort', () => {
+        const vigorous = resolveHealthProfile({ activity: 'vigorous' });
+        close(computeExposure({ ...steady, mode: 'cycling', health: vigorous }).doseUg, 100 * 2.3 * 1.4 * 0.5);
+        close(computeExposure({ ...steady, mode: 'driving', health: vigorous }).doseUg, 100 * 0.6 * 0.6 * 0.5);
+    });
+
+    it('averages other pollutants only when every sample reports them', () => {
+        const samples = [{ distanceKm: 0, pm25: 50, no2: 40, o3: 10 }, { distanceKm: 10, pm25: 50, no2: 80 }];
+        const { pollutants } = computeExposure({ samples, routeLengthKm: 10, durationSec: 1800, mode: 'cycling' });
+        assert.deepEqual(pollutants, { pm10: null, no2: 60, o3: null, co: null });
+    });
+
+    it('is zero without samples', () => {
+        assert.equal(computeExposure({ samples: [], routeLengthKm: 10, durationSec: 1800, mode: 'cycling' }).doseUg, 0);
+    });
+});
+
+describe('combineExposures', () => {
+    it('adds doses and minutes, and averages PM2.5 by time', () => {
+        const leg = (doseUg, avgPm25, peakPm25, minutesAboveWho, durationSec, no2) => ({
+            durationSec,
+            exposure: { doseUg, avgPm25, peakPm25, minutesAboveWho, pollutants: { pm10: null, no2, o3: null, co: null } },
+        });
+        const combined = combineExposures([leg(10, 20, 35, 10, 600, 30), leg(5, 50, 90, 20, 1200, 60)]);
+
+        assert.deepEqual(combined, {
+            doseUg: 15,
+            avgPm25: (20 * 600 + 50 * 1200) / 1800,
+            peakPm25: 90,
+            minutesAboveWho: 30,
+            pollutants: { pm10: null, no2: (30 * 600 + 60 * 1200) / 1800, o3: null, co: null },
+        });
+        assert.equal(combineExposures([leg(10, 20, 35, 10, 600, 30), leg(5, 50, 90, 20, 1200, null)]).pollutants.no2, null);
+    });
+});
+
+describe('computeTrackExposure', () => {
+    const minutes = m => m * 60e3;
+
+    it('weights each segment by the real time between fixes', () => {
+        // 40 → 60 for 10 minutes, then 60 → 80 for 50 minutes
+        const points = [{ at: 0, pm25: 40 }, { at: minutes(10), pm25: 60 }, { at: minutes(60), pm25: 80 }];
+        const exposure = computeTrackExposure({ points, mode: 'cycling' });
+
+        close(exposure.doseUg, 2.3 * (50 * 10 / 60 + 70 * 50 / 60));
+        close(exposure.avgPm25, (50 * 10 + 70 * 50) / 60);
+        assert.equal(exposure.durationSec, 3600);
+        assert.equal(exposure.peakPm25, 80);
+    });
+
+    it('breathes each fix’s own mode until the next fix', () => {
+        // Half an hour on the metro, then half an hour walking
+        const points = [{ at: 0, pm25: 100, mode: 'metro' }, { at: minutes(30), pm25: 100, mode: 'walking' }, { at: minutes(60), pm25: 100 }];
+        close(computeTrackExposure({ points, mode: 'bus' }).doseUg, 100 * 0.45 * 0.6 * 0.5 + 100 * 1.4 * 0.5);
+    });
+});
+
+describe('scoreExposure', () => {
+    it('halves the score at the reference dose', () => {
+        assert.equal(scoreExposure({ doseUg: 0, tempCelsius: 25 }), 100);
+        assert.equal(scoreExposure({ doseUg: REFERENCE_DOSE_UG, tempCelsius: 25 }), 50);
+    });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRawCoordinates, createGeocoder } = require('../lib/geocode');
+const { ApiError } = require('../lib/errors');
+const { replayFetch } = require('./helpers/replay');
+
+describe('parseRawCoordinates', () => {
+    it('reads "lat, lon" as [lon, lat]', () => {
+        assert.deepEqual(parseRawCoordinates('25.18, 75.84'), [75.84, 25.18]);
+        assert.deepEqual(parseRawCoordinates('  25.1803,75.8412 '), [75.8412, 25.1803]);
+        assert.deepEqual(parseRawCoordinates('-33.9, -70'), [-70, -33.9]);
+    });
+
+    it('leaves anything else to the geocoder', () => {
+        for (const query of ['Kota Junction', '25.18', '25.18 75.84', '25.18, 75.84, 3', 'Sector 5, 12', '']) {
+            assert.equal(parseRawCoordinates(query), null, query);
+        }
+    });
+});
+
+describe('getCoordinates', () => {
+    it('uses raw coordinates without calling Mapbox', async () => {
+        const fetch = replayFetch([]);
+        const geocoder = createGeocoder({ token: 'test', fetch });
+
+        assert.deepEqual(await geocoder.getCoordinates('25.14, 75.88'), [75.88, 25.14]);
+        assert.equal(fetch.calls.length, 0);
+    });
+
+    it('geocodes text within India, biased towards the previous stop', async () => {
+        const fetch = replayFetch(['mapbox-geocoding-kota-junction']);
+        const geocoder = createGeocoder({ token: 'test', fetch });
+
+        assert.deepEqual(await geocoder.getCoordinates('Kota Junction', [75.88, 25.14]), [75.84, 25.18]);
+        const url = new URL(fetch.calls[0].url);
+        assert.equal(url.searchParams.get('country'), 'in');
+        assert.equal(url.searchParams.get('proximity'), '75.88,25.14');
+        assert.equal(url.searchParams.get('access_token'), 'test');
+    });
+
+    it('answers 404 when nothing matches', async () => {
+        const geocoder = createGeocoder({ token: 'test', fetch: replayFetch(['mapbox-geocoding-no-results']) });
+
+        await assert.rejects(geocoder.getCoordinates('Nowhere Nagar'), error =>
+            error instanceof ApiError && error.status === 404 && error.message === 'Location not found: Nowhere Nagar.'
+        );
+    });
+
+    it('surfaces Mapbox errors', async () => {
+        const geocoder = createGeocoder({ token: 'bad', fetch: replayFetch(['mapbox-geocoding-invalid-token']) });
+
+        await assert.rejects(geocoder.getCoordinates('Kota Junction'), /Mapbox API Error: Not Authorized - Invalid Token/);
+    });
+});
+
+describe('reverse', () => {
+    it('keeps the asked-for coordinates with the nearest address', async () => {
+        const geocoder = createGeocoder({ token: 'test', fetch: replayFetch(['mapbox-geocoding-reverse']) });
+
+        assert.deepEqual(await geocoder.reverse(75.8512, 25.1724), {
+            label: 'Gumanpura Main Road, Gumanpura, Kota, Rajasthan 324007, India',
+            name: 'Gumanpura Main Road',
+            kind: 'address',
+            coordinates: [75.8512, 25.1724],
+        });
+    });
+});
@@ -0,0 +1,68 @@
+// ─────────────────────────────────────────────────────────────
+// Replays recorded API responses (test/fixtures/http)
+//
+// Each fixture is one exchange:
+//   { request: { method, url, body? }, status, body }
+// with keys and tokens in the URL replaced by REDACTED. A request
+// matches fixtures with the same method, host and path; among
+// POSTs with a body location (Google Air Quality), the one
+// recorded nearest wins, so a handful of readings covers a route.
+// Anything unmatched rejects, naming the request.
+// ─────────────────────────────────────────────────────────────
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'http');
+
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${name}.json`), 'utf8'));
+}
+
+const endpoint = url => {
+    const { host, pathname } = new URL(url);
+    return `${host}${decodeURIComponent(pathname)}`;
+};
+
+const locationOf = body => body?.location && [body.location.longitude, body.location.latitude];
+
+/**
+ * @param {string[]} names  Fixture files to serve, without .json.
+ * @returns {Function} fetch-compatible; .calls lists every request
+ *          as { method, url, body }.
+ */
+function replayFetch(names) {
+    const fixtures = names.map(loadFixture);
+    const calls = [];
+
+    async function fetch(url, { method = 'GET', body } = {}) {
+        const parsedBody = body ? JSON.parse(body) : null;
+        calls.push({ method, url: String(url), body: parsedBody });
+
+        const candidates = fixtures.filter(f =>
+            f.request.method === method && endpoint(f.request.url) === endpoint(String(url))
+        );
+        if (candidates.length === 0) throw new TypeError(`No recorded response for ${method} ${url}`);
+
+        let fixture = candidates[0];
+        const at = locationOf(parsedBody);
+        if (at) {
+            const distance = f => Math.hypot(...locationOf(f.request.body).map((v, i) => v - at[i]));
+            fixture = candidates.reduce((a, b) => (distance(b) < distance(a) ? b : a));
+        }
+        return new Response(JSON.stringify(fixture.body), {
+            status: fixture.status,
+            headers: { 'Content-Type': 'application/json' },
+        });
+    }
+
+    fetch.calls = calls;
+    return fetch;
+}
+
+// Every Google Air Quality reading recorded around the Kota trip
+const KOTA_AIR_QUALITY = [
+    'kota-junction', 'kota-destination', 'nh52-centre', 'kunhadi-west', 'kunhadi',
+    'ring-road', 'bypass-north', 'bypass', 'industrial-area',
+].map(name => `google-air-quality-${name}`);
+
+module.exports = { loadFixture, replayFetch, KOTA_AIR_QUALITY };
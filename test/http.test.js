@@ -0,0 +1,34 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHttpClient } = require('../lib/http');
+
+afterEach(() => mock.timers.reset());
+
+describe('createHttpClient', () => {
+    it('lets other services through while one waits for its rate limit', { timeout: 5000 }, async () => {
+        mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+        const http = createHttpClient({
+            concurrency: 1,
+            timeoutMs: 1000,
+            retries: 0,
+            services: {
+                slow: { perMinute: 1, dailyQuota: 10 },
+                fast: { perMinute: 10, dailyQuota: 10 },
+            },
+            fetch: async () => new Response('{}'),
+        });
+        const slow = http.forService('slow');
+        const fast = http.forService('fast');
+
+        await slow('https://slow.example/a');
+        let throttledDone = false;
+        const throttled = slow('https://slow.example/b').then(() => { throttledDone = true; });
+
+        assert.equal((await fast('https://fast.example/')).status, 200);
+        assert.equal(throttledDone, false);
+
+        mock.timers.tick(61e3);
+        await throttled;
+        assert.deepEqual(http.stats().map(s => [s.service, s.calls]), [['slow', 2], ['fast', 1]]);
+    });
+});
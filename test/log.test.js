@@ -0,0 +1,31 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger } = require('../lib/log');
+
+describe('createLogger', () => {
+    const capture = level => {
+        const lines = [];
+        return { lines, log: createLogger({ level, write: line => lines.push(JSON.parse(line)) }) };
+    };
+
+    it('writes one JSON object per line, children adding their fields', () => {
+        const { lines, log } = capture('info');
+        log.child({ requestId: 'abc' }).info('route scored', { healthScore: 78 });
+
+        assert.equal(lines.length, 1);
+        const { time, ...entry } = lines[0];
+        assert.ok(!Number.isNaN(Date.parse(time)));
+        assert.deepEqual(entry, { level: 'info', msg: 'route scored', requestId: 'abc', healthScore: 78 });
+    });
+
+    it('drops lines below the level and keeps error details', () => {
+        const { lines, log } = capture('warn');
+        log.info('request');
+        log.error('unexpected error', { error: new TypeError('boom') });
+
+        assert.deepEqual(lines.map(l => l.msg), ['unexpected error']);
+        assert.equal(lines[0].error.name, 'TypeError');
+        assert.equal(lines[0].error.message, 'boom');
+        assert.match(lines[0].error.stack, /boom/);
+    });
+});
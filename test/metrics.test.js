@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetrics } = require('../lib/metrics');
+
+describe('createMetrics', () => {
+    it('renders counters per label set, escaping label values', () => {
+        const metrics = createMetrics();
+        const errors = metrics.counter('test_errors_total', 'Errors.');
+        errors.inc({ code: 'no-route' });
+        errors.inc({ code: 'no-route' }, 2);
+        errors.inc({ code: 'say "hi"\\' });
+
+        assert.equal(metrics.render(), [
+            '# HELP test_errors_total Errors.',
+            '# TYPE test_errors_total counter',
+            'test_errors_total{code="no-route"} 3',
+            'test_errors_total{code="say \\"hi\\"\\\\"} 1',
+            '',
+        ].join('\n'));
+    });
+
+    it('reads collected values at scrape time and skips missing ones', () => {
+        const metrics = createMetrics();
+        let hits = 1;
+        metrics.gauge('test_hit_ratio', 'Ratio.', () => [
+            { labels: { cache: 'air' }, value: hits },
+            { labels: { cache: 'cold' }, value: null },
+        ]);
+        hits = 0.5;
+
+        assert.match(metrics.render(), /^test_hit_ratio\{cache="air"\} 0\.5$/m);
+        assert.doesNotMatch(metrics.render(), /cold/);
+    });
+
+    it('keeps cumulative histogram buckets with a sum and count', () => {
+        const metrics = createMetrics();
+        const latency = metrics.histogram('test_seconds', 'Latency.', [0.1, 1]);
+        for (const seconds of [0.05, 0.5, 3]) latency.observe({ route: '/api/routes' }, seconds);
+
+        const lines = metrics.render().trim().split('\n').slice(2);
+        assert.deepEqual(lines, [
+            'test_seconds_bucket{route="/api/routes",le="0.1"} 1',
+            'test_seconds_bucket{route="/api/routes",le="1"} 2',
+            'test_seconds_bucket{route="/api/routes",le="+Inf"} 3',
+            'test_seconds_sum{route="/api/routes"} 3.55',
+            'test_seconds_count{route="/api/routes"} 3',
+        ]);
+    });
+
+    it('refuses a name twice', () => {
+        const metrics = createMetrics();
+        metrics.counter('test_total', 'Once.');
+        assert.throws(() => metrics.gauge('test_total', 'Twice.'), /already registered/);
+    });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { checkWebhookHost, publicOnlyLookup } = require('../lib/notify');
+
+// Resolves every host to `addresses`, as dns.promises.lookup({ all: true }) would
+const resolvesTo = (...addresses) => async () => addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+
+describe('checkWebhookHost', () => {
+    it('accepts hosts that resolve to public addresses only', async () => {
+        await checkWebhookHost('https://hooks.example.com/commute', resolvesTo('93.184.216.34', '2606:2800:220:1::1'));
+        await checkWebhookHost('https://93.184.216.34/commute');
+    });
+
+    it('refuses loopback, private, link-local and mapped addresses', async () => {
+        for (const url of [
+            'http://127.0.0.1:3000/', 'http://localhost/', 'http://10.1.2.3/', 'http://172.20.0.5/',
+            'http://192.168.1.1/', 'http://169.254.169.254/latest/meta-data/', 'http://[::1]/',
+            'http://[fd00::1]/', 'http://[fe80::1]/', 'http://[::ffff:127.0.0.1]/', 'http://0.0.0.0/',
+        ]) {
+            await assert.rejects(checkWebhookHost(url), /public address/, url);
+        }
+    });
+
+    it('refuses a name with any private address among its answers', async () => {
+        await assert.rejects(
+            checkWebhookHost('https://rebind.example.com/', resolvesTo('93.184.216.34', '10.0.0.7')),
+            /public address/,
+        );
+    });
+
+    it('refuses other schemes and hosts that do not resolve', async () => {
+        await assert.rejects(checkWebhookHost('ftp://example.com/'), /http\(s\) URL/);
+        await assert.rejects(checkWebhookHost('https://nowhere.invalid/', async () => { throw new Error('ENOTFOUND'); }), /does not resolve/);
+    });
+});
+
+describe('publicOnlyLookup', () => {
+    it('refuses to connect when the name now resolves to a private address', async () => {
+        let hits = 0;
+        const server = http.createServer((req, res) => { hits++; res.end(); });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        // Public when the URL was checked, loopback by the time of the send
+        const rebound = (hostname, options, callback) => (options.all
+            ? callback(null, [{ address: '127.0.0.1', family: 4 }])
+            : callback(null, '127.0.0.1', 4));
+        const request = http.request(`http://rebind.example.com:${server.address().port}/`, {
+            method: 'POST', lookup: publicOnlyLookup(rebound),
+        });
+        const failed = new Promise(resolve => request.on('error', resolve));
+        request.end();
+
+        assert.match((await failed).message, /public address/);
+        await new Promise(resolve => server.close(resolve));
+        assert.equal(hits, 0);
+    });
+});
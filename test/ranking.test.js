@@ -0,0 +1,125 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveHealthProfile } = require('../lib/health');
+const {
+    MAX_PLANNED_TRIPS, roundMetrics, buildCandidates, rankCandidates, rankByDeparture, pickMainRoutes,
+} = require('../lib/ranking');
+
+const health = resolveHealthProfile();
+const mild = { tempCelsius: 24, feelsLikeC: 24, humidity: 50, rainChance: 0, rainMm: 0, uvIndex: 2 };
+
+// A leg option as lib/analyze.js hands it over
+const option = (name, durationSec, doseUg, extra = {}) => ({
+    name,
+    route: { duration: durationSec },
+    exposure: { doseUg, avgPm25: doseUg, peakPm25: doseUg, minutesAboveWho: 0, pollutants: { pm10: null, no2: null, o3: null, co: null } },
+    weatherReadings: [mild],
+    ...extra,
+});
+
+const candidate = (id, durationSec, healthScore, extra = {}) => ({ id, durationSec, healthScore, ...extra });
+
+describe('buildCandidates', () => {
+    it('combines one option per leg and scores lower doses higher', () => {
+        const candidates = buildCandidates(
+            [[option('a0', 600, 30), option('a1', 700, 10)], [option('b0', 300, 20)]],
+            { mode: 'cycling', health, maxExtraMinutes: 10 },
+        );
+
+        assert.deepEqual(candidates.map(c => c.legs.map(o => o.name)), [['a0', 'b0'], ['a1', 'b0']]);
+        assert.deepEqual(candidates.map(c => c.durationSec), [900, 1000]);
+        assert.equal(candidates[0].exposure.doseUg, 50);
+        assert.ok(candidates[1].healthScore > candidates[0].healthScore);
+    });
+
+    it('drops detours that add more than maxExtraMinutes to the quickest trip', () => {
+        const legs = [[option('fast', 600, 40), option('slow', 1500, 35), option('detour', 1000, 5, { detour: true })]];
+
+        const within = buildCandidates(legs, { mode: 'walking', health, maxExtraMinutes: 10 });
+        assert.deepEqual(within.map(c => c.legs[0].name), ['fast', 'slow', 'detour']);
+
+        const tight = buildCandidates(legs, { mode: 'walking', health, maxExtraMinutes: 5 });
+        assert.deepEqual(tight.map(c => c.legs[0].name), ['fast', 'slow']);
+    });
+});
+
+describe('rankCandidates', () => {
+    it('orders by time and by score, and shortlists the fastest plus the best scoring', () => {
+        const trips = [
+            candidate('slow-clean', 1500, 90),
+            candidate('fast-dirty', 600, 40),
+            candidate('middle', 900, 70),
+            candidate('long-way', 1800, 60),
+            candidate('worst', 1200, 20),
+        ];
+        const { byDuration, byScore, shortlist } = rankCandidates(trips);
+
+        assert.deepEqual(byDuration.map(c => c.id), ['fast-dirty', 'middle', 'worst', 'slow-clean', 'long-way']);
+        assert.deepEqual(byScore.map(c => c.id), ['slow-clean', 'middle', 'long-way', 'fast-dirty', 'worst']);
+        assert.deepEqual(shortlist.map(c => c.id), ['fast-dirty', 'slow-clean', 'middle', 'long-way']);
+        assert.equal(shortlist.length, MAX_PLANNED_TRIPS + 1);
+    });
+
+    it('lists the fastest once when it also scores best', () => {
+        const { shortlist } = rankCandidates([candidate('best', 600, 90), candidate('other', 900, 50)]);
+        assert.deepEqual(shortlist.map(c => c.id), ['best', 'other']);
+    });
+});
+
+describe('rankByDeparture', () => {
+    it('ranks on the best leave-time when a trip has a plan', () => {
+        const ranked = rankByDeparture([
+            candidate('now-best', 600, 80, { departurePlan: { best: { healthScore: 82 } } }),
+            candidate('later-best', 900, 70, { departurePlan: { best: { healthScore: 88 } } }),
+            candidate('unplanned', 700, 85),
+        ]);
+        assert.deepEqual(ranked.map(c => c.id), ['later-best', 'unplanned', 'now-best']);
+    });
+});
+
+describe('pickMainRoutes', () => {
+    const toRoute = c => ({ id: c.id });
+
+    it('picks the fastest, healthiest and second healthiest', () => {
+        const fastest = candidate('fast', 600, 40);
+        const ranked = [candidate('clean', 900, 90), candidate('cleanish', 1000, 80), fastest];
+
+        assert.deepEqual(pickMainRoutes(fastest, ranked, toRoute), {
+            fastest: { id: 'fast' },
+            healthiest: { id: 'clean' },
+            secondHealthiest: { id: 'cleanish' },
+        });
+    });
+
+    it('reuses the fastest route object when it also ranks healthiest', () => {
+        const fastest = candidate('fast', 600, 90);
+        const routes = pickMainRoutes(fastest, [fastest, candidate('other', 900, 50)], toRoute);
+
+        assert.equal(routes.healthiest, routes.fastest);
+        assert.deepEqual(routes.secondHealthiest, { id: 'other' });
+    });
+
+    it('repeats cards when there is a single candidate', () => {
+        const only = candidate('only', 600, 70);
+        const routes = pickMainRoutes(only, [only], toRoute);
+
+        assert.equal(routes.healthiest, routes.fastest);
+        assert.equal(routes.secondHealthiest, routes.fastest);
+    });
+});
+
+describe('roundMetrics', () => {
+    it('rounds for display and adds the NAQI over the trip averages', () => {
+        const metrics = roundMetrics({
+            avgPm25: 64.6, peakPm25: 141.2, doseUg: 35.24, minutesAboveWho: 11.6,
+            pollutants: { pm10: 101.3, no2: 40.2, o3: null, co: 0.724 },
+        });
+
+        assert.deepEqual(
+            { ...metrics, aqi: undefined },
+            { pm25: 65, peakPm25: 141, doseUg: 35.2, minutesAboveWho: 12, pollutants: { pm10: 101, no2: 40, o3: null, co: 0.72 }, aqi: undefined },
+        );
+        assert.equal(metrics.aqi.dominant, 'pm25');
+        assert.equal(metrics.aqi.category, 'Moderate');
+    });
+});
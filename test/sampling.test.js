@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const turf = require('@turf/turf');
+const { sampleRoutes, MIN_STEP_KM } = require('../lib/sampling');
+const { loadFixture } = require('./helpers/replay');
+
+// Recorded route geometries; readings rise towards the NH 52 junction
+const [direct, kunhadi] = loadFixture('mapbox-directions-driving').body.routes.map(r => turf.feature(r.geometry));
+const hotspot = [75.86, 25.16];
+
+function fakeLookup() {
+    const looked = [];
+    return {
+        looked,
+        lookup: async cells => new Map(cells.map(({ cellKey, coordinates: [lon, lat] }) => {
+            looked.push(cellKey);
+            return [cellKey, { pm25: Math.max(20, 140 - 4000 * Math.hypot(lon - hotspot[0], lat - hotspot[1])) }];
+        })),
+        isCached: () => false,
+    };
+}
+
+describe('sampleRoutes', () => {
+    it('looks up cells shared by several routes once', async () => {
+        const air = fakeLookup();
+        const { routes, stats } = await sampleRoutes([direct, direct], { ...air, budget: 60 });
+
+        assert.deepEqual(routes[0], routes[1]);
+        assert.equal(new Set(air.looked).size, air.looked.length);
+        assert.equal(stats.lookups, air.looked.length);
+    });
+
+    it('stays within the lookup budget', async () => {
+        const air = fakeLookup();
+        const { stats } = await sampleRoutes([direct, kunhadi], { ...air, budget: 12 });
+
+        assert.ok(stats.lookups <= 12, `${stats.lookups} lookups`);
+    });
+
+    it('stays within the budget with more routes than it allows two samples each', async () => {
+        const air = fakeLookup();
+        // Twenty routes ~1 km apart, so few cells are shared
+        const many = Array.from({ length: 20 }, (_, i) => turf.transformTranslate(i % 2 ? direct : kunhadi, i, 90));
+        const { routes, stats } = await sampleRoutes(many, { ...air, budget: 12 });
+
+        assert.ok(stats.lookups <= 12, `${stats.lookups} lookups`);
+        assert.equal(stats.lookups, air.looked.length);
+        assert.ok(stats.borrowed > 0);
+        assert.ok(routes.every(samples => samples.length >= 2 && samples.every(s => Number.isFinite(s.pm25))));
+    });
+
+    it('samples more closely where PM2.5 changes fast', async () => {
+        const { routes } = await sampleRoutes([direct], { ...fakeLookup(), budget: 60 });
+        const gaps = routes[0].slice(1).map((s, i) => s.distanceKm - routes[0][i].distanceKm);
+
+        assert.ok(Math.min(...gaps) >= MIN_STEP_KM * 0.99);
+        assert.ok(Math.min(...gaps) < Math.max(...gaps));
+    });
+
+    it('counts cells already cached as free', async () => {
+        const air = fakeLookup();
+        const { stats } = await sampleRoutes([direct], { ...air, isCached: () => true, budget: 0 });
+
+        assert.equal(stats.lookups, 0);
+        assert.ok(stats.cacheHits > 0);
+    });
+});
@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase } = require('../lib/db');
+const { createAlertScheduler } = require('../lib/scheduler');
+
+// Monday 08:40 in Kota; the alert covers the 09:00 departure from 08:30
+const NOW = new Date('2026-10-19T03:10:00Z');
+const DEPARTURE = '2026-10-19T03:30:00.000Z';
+
+function setup(analyzeRoutes) {
+    const db = openDatabase(':memory:');
+    const { lastInsertRowid: userId } = db.prepare("INSERT INTO users (email, password_hash) VALUES ('a@example.com', 'x')").run();
+    const { lastInsertRowid: commuteId } = db.prepare(`
+        INSERT INTO commutes (user_id, name, start, "end", mode) VALUES (?, 'Work', 'Kota Junction', 'Nowhere Nagar', 'cycling')
+    `).run(userId);
+    db.prepare(`
+        INSERT INTO commute_alerts (commute_id, user_id, depart_time, days, timezone, lead_mins, push)
+        VALUES (?, ?, '09:00', '1,2,3,4,5', 'Asia/Kolkata', 30, 0)
+    `).run(commuteId, userId);
+    const scheduler = createAlertScheduler({ db, analyzeRoutes, notifier: {} });
+    return { db, scheduler, commuteId };
+}
+
+describe('alert scheduler', () => {
+    it('records a failed check so the departure is not analysed every minute', async () => {
+        let calls = 0;
+        const { db, scheduler, commuteId } = setup(async () => {
+            calls++;
+            throw new Error('Location not found: Nowhere Nagar.');
+        });
+
+        await scheduler.tick(NOW);
+        await scheduler.tick(new Date(NOW.getTime() + 60e3));
+
+        assert.equal(calls, 1);
+        const row = db.prepare('SELECT * FROM commute_alerts WHERE commute_id = ?').get(commuteId);
+        assert.equal(row.last_run_for, DEPARTURE);
+        assert.equal(row.last_best_route, null);
+        assert.equal(JSON.parse(row.last_result).error, 'Location not found: Nowhere Nagar.');
+        db.close();
+    });
+});
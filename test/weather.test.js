@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const turf = require('@turf/turf');
+const { FALLBACK_TEMP_C, createGoogleWeather } = require('../lib/google-weather');
+const { replayFetch } = require('./helpers/replay');
+
+const weatherFrom = fixtures => {
+    const fetch = replayFetch(fixtures);
+    return { fetch, weather: createGoogleWeather({ apiKey: 'test', fetch }) };
+};
+
+describe('Google Weather', () => {
+    it('reads current conditions', async () => {
+        const { weather } = weatherFrom(['google-weather-current']);
+
+        assert.deepEqual(await weather.getWeather(75.84, 25.18), {
+            tempCelsius: 33.4,
+            feelsLikeC: 35.9,
+            humidity: 38,
+            rainChance: 5,
+            rainMm: 0,
+            uvIndex: 7,
+        });
+    });
+
+    it('falls back to a mild temperature when none is reported', async () => {
+        const { weather } = weatherFrom(['google-weather-no-temperature']);
+        const reading = await weather.getWeather(75.84, 25.18);
+
+        assert.equal(reading.tempCelsius, FALLBACK_TEMP_C);
+        assert.equal(reading.feelsLikeC, FALLBACK_TEMP_C);
+        assert.equal(reading.uvIndex, null);
+    });
+
+    it('does not cache a fallback or read the body of an error response', async () => {
+        const { weather, fetch } = weatherFrom(['google-weather-no-temperature']);
+        await weather.getCachedWeather(75.84, 25.18);
+        await weather.getCachedWeather(75.84, 25.18);
+        assert.equal(fetch.calls.length, 2);
+        assert.equal(weather.stats().fallbacks, 2);
+
+        const failing = createGoogleWeather({ apiKey: 'test', fetch: async () => new Response('Service Unavailable', { status: 503 }) });
+        assert.equal((await failing.getCachedWeather(75.84, 25.18)).tempCelsius, FALLBACK_TEMP_C);
+        assert.equal((await failing.getForecast(75.84, 25.18, 3)).size, 0);
+    });
+
+    it('reads a few points along a route and caches them on a ~1.1 km grid', async () => {
+        const { weather, fetch } = weatherFrom(['google-weather-current']);
+        const line = turf.lineString([[75.84, 25.18], [75.86, 25.16], [75.88, 25.14]]);
+        const [readings] = await weather.weatherAlong([line]);
+
+        assert.ok(readings.length >= 2);
+        assert.equal(fetch.calls.length, readings.length);
+        await weather.weatherAlong([line]);
+        assert.equal(fetch.calls.length, readings.length);
+    });
+
+    it('keys the feels-like forecast by UTC hour', async () => {
+        const { weather } = weatherFrom(['google-weather-forecast']);
+        const series = await weather.getForecast(75.88, 25.14, 3);
+
+        assert.deepEqual([...series], [
+            ['2026-10-19T08', 36.7],
+            ['2026-10-19T09', 37.5],
+            ['2026-10-19T10', 35.0],  // no feels-like: the temperature
+        ]);
+    });
+});